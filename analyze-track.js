@@ -0,0 +1,717 @@
+/**
+ * analyze-track.js
+ * Generates the beat/section analysis JSON that trackAnalysis.js loads
+ *
+ * Spotify's stream can't be analysed in the browser, so the sync data for our
+ * own catalogue is made offline from the master file, without any online service.
+ *
+ * Usage:
+ *   node analyze-track.js <audio file> <spotify track id or URI> [output.json]
+ *
+ * WAV files are read directly. MP3 and other formats are decoded with ffmpeg,
+ * which has to be installed and on the PATH. The result is written to
+ * analysis/<track id>.json unless an output path is given.
+ *
+ * Steps: spectral flux onset detection, tempo estimation by autocorrelation,
+ * dynamic programming beat tracking, downbeat/bar grouping, loudness
+ * segments between onsets and sections from changes in loudness and timbre.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Audio is analysed at about 22 kHz, which is plenty for rhythm
+const TARGET_RATE = 22050;
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 256;
+
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const BEATS_PER_BAR = 4;
+
+// How strictly the beat tracker sticks to the estimated tempo
+const TIGHTNESS = 100;
+
+// Sections are compared over this many bars on each side of a boundary
+const SECTION_WINDOW_BARS = 4;
+const MIN_SECTION_BARS = 8;
+
+// Read a Spotify track id from an id, a spotify:track: URI or an open.spotify.com link
+function parseTrackId(value) {
+  if (/^[A-Za-z0-9]{22}$/.test(value)) return value;
+  const match = /track[:/]([A-Za-z0-9]{22})/.exec(value);
+  return match ? match[1] : null;
+}
+
+// Load any audio file as mono samples
+function loadAudio(file) {
+  const extension = path.extname(file).toLowerCase();
+  const decoded = extension === '.wav' ? readWav(fs.readFileSync(file)) : decodeWithFfmpeg(file);
+  return downsample(decoded.samples, decoded.sampleRate);
+}
+
+function decodeWithFfmpeg(file) {
+  const result = spawnSync('ffmpeg', [
+    '-v', 'error',
+    '-i', file,
+    '-f', 'wav',
+    '-acodec', 'pcm_s16le',
+    '-ac', '1',
+    '-ar', String(TARGET_RATE),
+    '-'
+  ], { maxBuffer: 1024 * 1024 * 1024 });
+
+  if (result.error) {
+    if (result.error.code === 'ENOENT') {
+      throw new Error(`ffmpeg is needed to decode ${path.extname(file)} files, install it or convert the file to WAV`);
+    }
+    throw result.error;
+  }
+  if (result.status !== 0) {
+    throw new Error(`ffmpeg could not decode ${file}: ${result.stderr.toString().trim()}`);
+  }
+
+  return readWav(result.stdout);
+}
+
+// Minimal RIFF/WAVE reader for PCM and float files
+function readWav(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let offset = 12;
+  let format = null;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    let size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+
+    if (id === 'fmt ') {
+      let audioFormat = buffer.readUInt16LE(start);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format at the start of the sub format GUID
+      if (audioFormat === 0xFFFE && size >= 26) {
+        audioFormat = buffer.readUInt16LE(start + 24);
+      }
+      format = {
+        audioFormat,
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        bitsPerSample: buffer.readUInt16LE(start + 14)
+      };
+    } else if (id === 'data') {
+      if (!format) {
+        throw new Error('WAV file has no fmt chunk before its data');
+      }
+      // Streamed WAVs (e.g. from ffmpeg) don't know their size in advance
+      size = Math.min(size, buffer.length - start);
+      return {
+        sampleRate: format.sampleRate,
+        samples: decodePcm(buffer.subarray(start, start + size), format)
+      };
+    }
+
+    offset = start + size + (size % 2);
+  }
+
+  throw new Error('No audio data found in WAV file');
+}
+
+// Mix all channels down to one Float32Array in -1..1
+function decodePcm(data, { audioFormat, channels, bitsPerSample }) {
+  const bytesPerSample = bitsPerSample / 8;
+  const read = sampleReader(data, audioFormat, bitsPerSample);
+  const frameCount = Math.floor(data.length / (bytesPerSample * channels));
+  const mono = new Float32Array(frameCount);
+
+  for (let i = 0; i < frameCount; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += read((i * channels + channel) * bytesPerSample);
+    }
+    mono[i] = sum / channels;
+  }
+
+  return mono;
+}
+
+function sampleReader(data, audioFormat, bits) {
+  if (audioFormat === 3 && bits === 32) return (offset) => data.readFloatLE(offset);
+  if (audioFormat === 3 && bits === 64) return (offset) => data.readDoubleLE(offset);
+  if (audioFormat === 1) {
+    if (bits === 8) return (offset) => (data.readUInt8(offset) - 128) / 128;
+    if (bits === 16) return (offset) => data.readInt16LE(offset) / 32768;
+    if (bits === 24) return (offset) => data.readIntLE(offset, 3) / 8388608;
+    if (bits === 32) return (offset) => data.readInt32LE(offset) / 2147483648;
+  }
+  throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bits} bits)`);
+}
+
+// Average blocks of samples down to about TARGET_RATE
+function downsample(samples, sampleRate) {
+  const factor = Math.max(1, Math.floor(sampleRate / TARGET_RATE));
+  if (factor === 1) {
+    return { samples, sampleRate };
+  }
+
+  const output = new Float32Array(Math.floor(samples.length / factor));
+  for (let i = 0; i < output.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < factor; j++) {
+      sum += samples[i * factor + j];
+    }
+    output[i] = sum / factor;
+  }
+
+  return { samples: output, sampleRate: sampleRate / factor };
+}
+
+// Radix-2 FFT returning magnitudes of the first half of the spectrum
+function createFft(size) {
+  const levels = Math.log2(size);
+  const reverse = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let reversed = 0;
+    for (let bit = 0; bit < levels; bit++) {
+      reversed = (reversed << 1) | ((i >> bit) & 1);
+    }
+    reverse[i] = reversed;
+  }
+
+  const cosTable = new Float64Array(size / 2);
+  const sinTable = new Float64Array(size / 2);
+  for (let i = 0; i < size / 2; i++) {
+    cosTable[i] = Math.cos(2 * Math.PI * i / size);
+    sinTable[i] = Math.sin(2 * Math.PI * i / size);
+  }
+
+  const real = new Float64Array(size);
+  const imag = new Float64Array(size);
+
+  return function magnitudes(input, output) {
+    for (let i = 0; i < size; i++) {
+      real[reverse[i]] = input[i];
+      imag[reverse[i]] = 0;
+    }
+
+    for (let length = 2; length <= size; length <<= 1) {
+      const half = length >> 1;
+      const step = size / length;
+      for (let i = 0; i < size; i += length) {
+        for (let j = 0; j < half; j++) {
+          const k = j * step;
+          const a = i + j;
+          const b = a + half;
+          const tReal = real[b] * cosTable[k] + imag[b] * sinTable[k];
+          const tImag = imag[b] * cosTable[k] - real[b] * sinTable[k];
+          real[b] = real[a] - tReal;
+          imag[b] = imag[a] - tImag;
+          real[a] += tReal;
+          imag[a] += tImag;
+        }
+      }
+    }
+
+    for (let i = 0; i < size / 2; i++) {
+      output[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
+    }
+  };
+}
+
+// Frame by frame features: onset strength, loudness and a coarse timbre vector
+function computeFeatures(samples, sampleRate) {
+  const frameCount = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1);
+  const fft = createFft(FRAME_SIZE);
+  const window = new Float64Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1));
+  }
+
+  const binCount = FRAME_SIZE / 2;
+  const hzPerBin = sampleRate / FRAME_SIZE;
+  const lowBins = Math.ceil(200 / hzPerBin);
+  // Band edges for the timbre vector: bass, low mids, high mids, treble
+  const bandEdges = [0, 250, 2000, 6000, sampleRate / 2].map(hz => Math.min(binCount, Math.round(hz / hzPerBin)));
+
+  const flux = new Float64Array(frameCount);
+  const lowFlux = new Float64Array(frameCount);
+  const loudness = new Float64Array(frameCount);
+  const bands = [];
+
+  const frame = new Float64Array(FRAME_SIZE);
+  let spectrum = new Float64Array(binCount);
+  let previous = new Float64Array(binCount);
+
+  for (let t = 0; t < frameCount; t++) {
+    const offset = t * HOP_SIZE;
+    let sumSquares = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      const sample = samples[offset + i];
+      sumSquares += sample * sample;
+      frame[i] = sample * window[i];
+    }
+    // Floor at -60 dB so digital silence doesn't dominate the averages
+    loudness[t] = Math.max(-60, 20 * Math.log10(Math.sqrt(sumSquares / FRAME_SIZE) + 1e-10));
+
+    fft(frame, spectrum);
+
+    // Log compressed spectral flux, only counting increases in energy
+    let total = 0;
+    let low = 0;
+    for (let k = 1; k < binCount; k++) {
+      const compressed = Math.log1p(100 * spectrum[k]);
+      spectrum[k] = compressed;
+      const increase = compressed - previous[k];
+      if (increase > 0) {
+        total += increase;
+        if (k < lowBins) low += increase;
+      }
+    }
+    flux[t] = t === 0 ? 0 : total;
+    lowFlux[t] = t === 0 ? 0 : low;
+
+    const bandValues = [];
+    for (let band = 0; band < bandEdges.length - 1; band++) {
+      let energy = 0;
+      for (let k = Math.max(1, bandEdges[band]); k < bandEdges[band + 1]; k++) {
+        energy += spectrum[k];
+      }
+      bandValues.push(energy / Math.max(1, bandEdges[band + 1] - bandEdges[band]));
+    }
+    bands.push(bandValues);
+
+    // Swap buffers instead of copying
+    const swap = previous;
+    previous = spectrum;
+    spectrum = swap;
+  }
+
+  return {
+    frameRate: sampleRate / HOP_SIZE,
+    // Flux of frame t describes the change around the start of its window's second half
+    frameOffset: FRAME_SIZE / 2 / sampleRate,
+    onsetEnvelope: normalizeEnvelope(flux, sampleRate / HOP_SIZE),
+    lowEnvelope: normalizeEnvelope(lowFlux, sampleRate / HOP_SIZE),
+    loudness,
+    bands
+  };
+}
+
+// Remove the local average and scale to unit standard deviation
+function normalizeEnvelope(values, frameRate) {
+  const radius = Math.max(1, Math.round(frameRate * 0.25));
+  const result = new Float64Array(values.length);
+
+  // Running sum for the local mean
+  const prefix = new Float64Array(values.length + 1);
+  for (let i = 0; i < values.length; i++) {
+    prefix[i + 1] = prefix[i] + values[i];
+  }
+
+  for (let i = 0; i < values.length; i++) {
+    const start = Math.max(0, i - radius);
+    const end = Math.min(values.length, i + radius + 1);
+    const mean = (prefix[end] - prefix[start]) / (end - start);
+    result[i] = Math.max(0, values[i] - mean);
+  }
+
+  const deviation = standardDeviation(result);
+  if (deviation > 0) {
+    for (let i = 0; i < result.length; i++) {
+      result[i] /= deviation;
+    }
+  }
+
+  return result;
+}
+
+function mean(values) {
+  if (values.length === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += values[i];
+  return sum / values.length;
+}
+
+// Average in the power domain, so quiet gaps don't pull a loud passage down
+function averageLoudness(decibels) {
+  if (decibels.length === 0) return -60;
+  let power = 0;
+  for (let i = 0; i < decibels.length; i++) power += Math.pow(10, decibels[i] / 10);
+  return 10 * Math.log10(power / decibels.length);
+}
+
+function standardDeviation(values) {
+  const average = mean(values);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += (values[i] - average) * (values[i] - average);
+  }
+  return values.length > 0 ? Math.sqrt(sum / values.length) : 0;
+}
+
+// Tempo from the autocorrelation of the onset envelope, weighted towards 120 BPM
+function estimateTempo(envelope, frameRate) {
+  const minLag = Math.max(1, Math.floor(60 * frameRate / MAX_BPM));
+  const maxLag = Math.min(envelope.length - 1, Math.ceil(60 * frameRate / MIN_BPM));
+  if (maxLag <= minLag) {
+    return { bpm: 120, period: 60 * frameRate / 120, confidence: 0 };
+  }
+
+  const correlation = new Float64Array(maxLag + 2);
+  for (let lag = 0; lag <= maxLag + 1 && lag < envelope.length; lag++) {
+    let sum = 0;
+    for (let t = lag; t < envelope.length; t++) {
+      sum += envelope[t] * envelope[t - lag];
+    }
+    correlation[lag] = sum / (envelope.length - lag);
+  }
+
+  let bestLag = minLag;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = 60 * frameRate / lag;
+    // Log-normal prior, one octave wide, so half and double tempos lose ties
+    const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120), 2));
+    const score = correlation[lag] * prior;
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+
+  // Parabolic interpolation for a fractional period
+  let period = bestLag;
+  const left = correlation[bestLag - 1];
+  const center = correlation[bestLag];
+  const right = correlation[bestLag + 1];
+  const curvature = left - 2 * center + right;
+  if (curvature < 0) {
+    period += 0.5 * (left - right) / curvature;
+  }
+
+  return {
+    bpm: 60 * frameRate / period,
+    period,
+    confidence: correlation[0] > 0 ? Math.min(1, Math.max(0, center / correlation[0])) : 0
+  };
+}
+
+// Dynamic programming beat tracker (Ellis 2007): strong onsets spaced close to the period
+function trackBeats(envelope, period) {
+  const frameCount = envelope.length;
+  if (frameCount === 0) return [];
+
+  const score = new Float64Array(frameCount);
+  const backlink = new Int32Array(frameCount).fill(-1);
+
+  for (let t = 0; t < frameCount; t++) {
+    const start = Math.max(0, t - Math.round(2 * period));
+    const end = t - Math.round(period / 2);
+
+    let best = -Infinity;
+    let bestPrevious = -1;
+    for (let previous = start; previous <= end; previous++) {
+      const penalty = Math.pow(Math.log((t - previous) / period), 2);
+      const candidate = score[previous] - TIGHTNESS * penalty;
+      if (candidate > best) {
+        best = candidate;
+        bestPrevious = previous;
+      }
+    }
+
+    score[t] = envelope[t] + (bestPrevious >= 0 ? Math.max(0, best) : 0);
+    backlink[t] = best > 0 ? bestPrevious : -1;
+  }
+
+  // Last beat: the best scoring frame within the final period
+  let last = Math.max(0, frameCount - Math.round(period));
+  for (let t = last; t < frameCount; t++) {
+    if (score[t] > score[last]) last = t;
+  }
+
+  const beats = [];
+  for (let t = last; t >= 0; t = backlink[t]) {
+    beats.push(t);
+  }
+  return beats.reverse();
+}
+
+// Percentile used to scale confidences without being thrown by a few huge onsets
+function percentile(values, fraction) {
+  if (values.length === 0) return 0;
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+// Peak picking on the onset envelope for segment boundaries
+function pickOnsets(envelope, frameRate) {
+  const radius = Math.max(1, Math.round(frameRate * 0.03));
+  const minGap = Math.round(frameRate * 0.1);
+  const onsets = [];
+
+  for (let t = 1; t < envelope.length - 1; t++) {
+    if (envelope[t] < 0.5) continue;
+
+    let isPeak = true;
+    for (let i = Math.max(0, t - radius); i <= Math.min(envelope.length - 1, t + radius); i++) {
+      if (envelope[i] > envelope[t]) {
+        isPeak = false;
+        break;
+      }
+    }
+
+    if (isPeak && (onsets.length === 0 || t - onsets[onsets.length - 1] >= minGap)) {
+      onsets.push(t);
+    }
+  }
+
+  return onsets;
+}
+
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function buildBeats(beatFrames, features, period, duration) {
+  const { onsetEnvelope, frameRate, frameOffset } = features;
+  const scale = percentile(beatFrames.map(t => onsetEnvelope[t]), 0.9) || 1;
+  const times = beatFrames.map(t => t / frameRate + frameOffset);
+
+  return times.map((start, i) => ({
+    start: round(start),
+    duration: round((i + 1 < times.length ? times[i + 1] : Math.min(duration, start + period / frameRate)) - start),
+    confidence: round(Math.min(1, onsetEnvelope[beatFrames[i]] / scale))
+  }));
+}
+
+// Group beats into bars, starting on the beat phase with the strongest bass onsets
+function buildBars(beats, beatFrames, features, duration) {
+  if (beats.length < BEATS_PER_BAR) return [];
+
+  let bestPhase = 0;
+  let bestStrength = -Infinity;
+  for (let phase = 0; phase < BEATS_PER_BAR; phase++) {
+    let strength = 0;
+    let count = 0;
+    for (let i = phase; i < beatFrames.length; i += BEATS_PER_BAR) {
+      strength += features.lowEnvelope[beatFrames[i]];
+      count++;
+    }
+    strength /= Math.max(1, count);
+    if (strength > bestStrength) {
+      bestStrength = strength;
+      bestPhase = phase;
+    }
+  }
+
+  const bars = [];
+  for (let i = bestPhase; i < beats.length; i += BEATS_PER_BAR) {
+    const barBeats = beats.slice(i, i + BEATS_PER_BAR);
+    const next = beats[i + BEATS_PER_BAR];
+    const last = barBeats[barBeats.length - 1];
+    bars.push({
+      start: beats[i].start,
+      duration: round((next ? next.start : Math.min(duration, last.start + last.duration)) - beats[i].start),
+      confidence: round(mean(barBeats.map(beat => beat.confidence)))
+    });
+  }
+  return bars;
+}
+
+// Loudness curve between consecutive onsets, like Spotify's segments
+function buildSegments(features, duration) {
+  const { loudness, frameRate, frameOffset, onsetEnvelope } = features;
+  const boundaries = [0].concat(pickOnsets(onsetEnvelope, frameRate).filter(t => t > 0), [loudness.length]);
+  const segments = [];
+
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const startFrame = boundaries[i];
+    const endFrame = Math.max(startFrame + 1, boundaries[i + 1]);
+
+    let maxFrame = startFrame;
+    for (let t = startFrame; t < endFrame && t < loudness.length; t++) {
+      if (loudness[t] > loudness[maxFrame]) maxFrame = t;
+    }
+
+    const start = i === 0 ? 0 : startFrame / frameRate + frameOffset;
+    const end = i === boundaries.length - 2 ? duration : endFrame / frameRate + frameOffset;
+    segments.push({
+      start: round(start),
+      duration: round(Math.max(0, end - start)),
+      loudnessStart: round(loudness[startFrame] !== undefined ? loudness[startFrame] : -60, 2),
+      loudnessMax: round(loudness[maxFrame] !== undefined ? loudness[maxFrame] : -60, 2),
+      loudnessMaxTime: round((maxFrame - startFrame) / frameRate)
+    });
+  }
+
+  return segments;
+}
+
+// Sections start at bars where loudness and timbre change the most
+function buildSections(bars, features, tempo, duration) {
+  const { loudness, bands, frameRate, frameOffset } = features;
+  const toFrame = (time) => Math.min(loudness.length, Math.max(0, Math.round((time - frameOffset) * frameRate)));
+  const frameRange = (start, end) => {
+    const from = toFrame(start);
+    return [from, Math.max(from + 1, toFrame(end))];
+  };
+
+  const sectionFromRange = (start, end, confidence) => {
+    const [from, to] = frameRange(start, end);
+    return {
+      start: round(start),
+      duration: round(end - start),
+      confidence: round(confidence),
+      loudness: round(averageLoudness(loudness.subarray(from, to)), 2),
+      tempo: round(tempo, 2)
+    };
+  };
+
+  if (bars.length < MIN_SECTION_BARS * 2) {
+    return [sectionFromRange(0, duration, 1)];
+  }
+
+  // One standardized feature vector per bar: loudness plus the band energies
+  const vectors = bars.map(bar => {
+    const [from, to] = frameRange(bar.start, bar.start + bar.duration);
+    const vector = [averageLoudness(loudness.subarray(from, to))];
+    for (let band = 0; band < bands[0].length; band++) {
+      let sum = 0;
+      for (let t = from; t < to && t < bands.length; t++) sum += bands[t][band];
+      vector.push(sum / Math.max(1, to - from));
+    }
+    return vector;
+  });
+
+  for (let dimension = 0; dimension < vectors[0].length; dimension++) {
+    const column = vectors.map(vector => vector[dimension]);
+    const average = mean(column);
+    const deviation = standardDeviation(column) || 1;
+    vectors.forEach(vector => {
+      vector[dimension] = (vector[dimension] - average) / deviation;
+    });
+  }
+
+  // Novelty: distance between the average of the bars before and after each bar
+  const novelty = new Float64Array(bars.length);
+  for (let b = SECTION_WINDOW_BARS; b <= bars.length - SECTION_WINDOW_BARS; b++) {
+    let distance = 0;
+    for (let dimension = 0; dimension < vectors[0].length; dimension++) {
+      let before = 0;
+      let after = 0;
+      for (let i = 0; i < SECTION_WINDOW_BARS; i++) {
+        before += vectors[b - 1 - i][dimension];
+        after += vectors[b + i] ? vectors[b + i][dimension] : 0;
+      }
+      distance += Math.pow((after - before) / SECTION_WINDOW_BARS, 2);
+    }
+    novelty[b] = Math.sqrt(distance);
+  }
+
+  const threshold = mean(novelty) + 0.5 * standardDeviation(novelty);
+  const maxNovelty = Math.max(...novelty) || 1;
+
+  // Strongest boundaries first, keeping sections at least MIN_SECTION_BARS long
+  const candidates = [];
+  for (let b = 1; b < bars.length - 1; b++) {
+    if (novelty[b] > threshold && novelty[b] >= novelty[b - 1] && novelty[b] >= novelty[b + 1]) {
+      candidates.push(b);
+    }
+  }
+  candidates.sort((a, b) => novelty[b] - novelty[a]);
+
+  const boundaries = [];
+  candidates.forEach(candidate => {
+    const tooClose = [0, bars.length].concat(boundaries)
+      .some(boundary => Math.abs(boundary - candidate) < MIN_SECTION_BARS);
+    if (!tooClose) boundaries.push(candidate);
+  });
+  boundaries.sort((a, b) => a - b);
+
+  const starts = [0].concat(boundaries.map(b => bars[b].start));
+  const confidences = [1].concat(boundaries.map(b => novelty[b] / maxNovelty));
+
+  return starts.map((start, i) => sectionFromRange(start, i + 1 < starts.length ? starts[i + 1] : duration, confidences[i]));
+}
+
+function analyze(file, trackId) {
+  console.log(`Decoding ${file}...`);
+  const { samples, sampleRate } = loadAudio(file);
+  const duration = samples.length / sampleRate;
+  if (duration < 5) {
+    throw new Error('The audio is too short to analyse (less than 5 seconds)');
+  }
+
+  console.log(`Analysing ${duration.toFixed(1)} s of audio at ${Math.round(sampleRate)} Hz...`);
+  const features = computeFeatures(samples, sampleRate);
+  // Beats usually fall on the kick and snare, so the bass onsets count double
+  const beatEnvelope = features.onsetEnvelope.map((value, t) => (value + 2 * features.lowEnvelope[t]) / 3);
+  const tempo = estimateTempo(beatEnvelope, features.frameRate);
+  console.log(`Tempo: ${tempo.bpm.toFixed(1)} BPM (confidence ${tempo.confidence.toFixed(2)})`);
+
+  const beatFrames = trackBeats(beatEnvelope, tempo.period);
+  const beats = buildBeats(beatFrames, features, tempo.period, duration);
+  const bars = buildBars(beats, beatFrames, features, duration);
+  const segments = buildSegments(features, duration);
+  const sections = buildSections(bars, features, tempo.bpm, duration);
+
+  let sumSquares = 0;
+  for (let i = 0; i < samples.length; i++) sumSquares += samples[i] * samples[i];
+
+  console.log(`Found ${beats.length} beats, ${bars.length} bars, ${sections.length} sections, ${segments.length} segments`);
+
+  return {
+    trackId,
+    generator: 'analyze-track.js',
+    source: path.basename(file),
+    duration: round(duration),
+    tempo: round(tempo.bpm, 2),
+    tempoConfidence: round(tempo.confidence),
+    timeSignature: BEATS_PER_BAR,
+    loudness: round(20 * Math.log10(Math.sqrt(sumSquares / samples.length) + 1e-10), 2),
+    beats,
+    bars,
+    sections,
+    segments
+  };
+}
+
+function main() {
+  const [file, trackArgument, outputArgument] = process.argv.slice(2);
+
+  if (!file || !trackArgument) {
+    console.log('Usage: node analyze-track.js <audio file> <spotify track id or URI> [output.json]');
+    process.exit(1);
+  }
+
+  const trackId = parseTrackId(trackArgument);
+  if (!trackId) {
+    console.error(`"${trackArgument}" is not a Spotify track id, URI or link`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(file)) {
+    console.error(`File not found: ${file}`);
+    process.exit(1);
+  }
+
+  const outputPath = outputArgument || path.join(__dirname, 'analysis', `${trackId}.json`);
+
+  try {
+    const analysis = analyze(file, trackId);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(analysis));
+    console.log(`Wrote ${outputPath}`);
+  } catch (err) {
+    console.error(`Error analysing ${file}:`, err.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,279 @@
+/**
+ * audioReactive.js
+ * Real audio analysis for local files
+ *
+ * Spotify audio is DRM protected, so the visualizers can only guess the beat.
+ * Local MP3/OGG/WAV files dropped on the Media Player are played through a
+ * Web Audio AnalyserNode instead and every shader receives:
+ *   iSpectrum - 512x2 luminance texture, row 0 is the FFT, row 1 the waveform
+ *               (same layout as ShaderToy's audio input)
+ *   iBass, iMid, iTreble - smoothed band energies in 0..1
+ *   iLevel - smoothed overall loudness in 0..1
+ */
+
+class LocalAudioSource {
+    constructor() {
+        this.audio = new Audio();
+        this.audio.preload = 'auto';
+        this.audio.crossOrigin = 'anonymous';
+
+        this.audioContext = null;
+        this.analyser = null;
+        this.sourceNode = null;
+        // MediaStream output, only while something records the sound
+        this.captureDestination = null;
+        this.objectUrl = null;
+        this.fileName = null;
+
+        this.binCount = 512;
+        this.frequencyData = new Uint8Array(this.binCount);
+        this.waveformData = new Uint8Array(this.binCount * 2);
+
+        // Row 0 = spectrum, row 1 = waveform
+        this.spectrumData = new Uint8Array(this.binCount * 2);
+        this.spectrumTexture = new THREE.DataTexture(this.spectrumData, this.binCount, 2, THREE.LuminanceFormat);
+        this.spectrumTexture.minFilter = THREE.LinearFilter;
+        this.spectrumTexture.magFilter = THREE.LinearFilter;
+        this.spectrumTexture.needsUpdate = true;
+
+        // Shared by reference with every material that uses them
+        this.uniforms = {
+            iSpectrum: { value: this.spectrumTexture },
+            iBass: { value: 0 },
+            iMid: { value: 0 },
+            iTreble: { value: 0 },
+            iLevel: { value: 0 }
+        };
+
+        // How much of the previous value is kept each frame
+        this.smoothing = 0.8;
+
+        this.eventListeners = {};
+
+        ['play', 'pause', 'ended'].forEach(eventName => {
+            this.audio.addEventListener(eventName, () => {
+                this.dispatchEvent('state-change', { isPlaying: this.isPlaying(), reason: eventName });
+            });
+        });
+    }
+
+    /**
+     * Check if a file can be played as local audio
+     * @param {File} file - Dropped or picked file
+     * @returns {boolean}
+     */
+    static isAudioFile(file) {
+        if (!file) return false;
+        return /^audio\//.test(file.type) || /\.(mp3|ogg|oga|wav|flac|m4a)$/i.test(file.name);
+    }
+
+    /**
+     * Load and start playing a local audio file
+     * @param {File} file - Audio file
+     * @returns {Promise<boolean>} - Whether playback started (browsers may block autoplay)
+     */
+    async loadFile(file) {
+        if (!LocalAudioSource.isAudioFile(file)) {
+            throw new Error(`${file ? file.name : 'File'} is not an audio file (MP3, OGG, WAV, FLAC or M4A)`);
+        }
+
+        this.ensureAudioGraph();
+
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+        }
+        this.objectUrl = URL.createObjectURL(file);
+        this.fileName = file.name;
+        this.file = file;
+        this.audio.src = this.objectUrl;
+
+        this.dispatchEvent('track-change', { fileName: file.name, file });
+        return this.play();
+    }
+
+    // The AudioContext can only be created once per page for a media element
+    ensureAudioGraph() {
+        if (this.audioContext) return;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            throw new Error('Web Audio is not supported in this browser');
+        }
+
+        this.audioContext = new AudioContextClass();
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = this.binCount * 2;
+        this.analyser.smoothingTimeConstant = 0.6;
+
+        this.sourceNode = this.audioContext.createMediaElementSource(this.audio);
+        this.sourceNode.connect(this.analyser);
+        this.analyser.connect(this.audioContext.destination);
+    }
+
+    /**
+     * Stream of what is playing, e.g. for recording
+     * @returns {MediaStream|null} - null before the first file was played
+     */
+    startCapture() {
+        if (!this.audioContext || !this.audioContext.createMediaStreamDestination) return null;
+
+        if (!this.captureDestination) {
+            this.captureDestination = this.audioContext.createMediaStreamDestination();
+            this.analyser.connect(this.captureDestination);
+        }
+        return this.captureDestination.stream;
+    }
+
+    stopCapture() {
+        if (!this.captureDestination) return;
+
+        this.analyser.disconnect(this.captureDestination);
+        this.captureDestination = null;
+    }
+
+    async play() {
+        if (!this.hasTrack()) return false;
+
+        try {
+            if (this.audioContext && this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+            await this.audio.play();
+            return true;
+        } catch (error) {
+            console.warn('Local audio playback was blocked, waiting for a click:', error);
+            return false;
+        }
+    }
+
+    pause() {
+        this.audio.pause();
+    }
+
+    toggle() {
+        if (this.isPlaying()) {
+            this.pause();
+            return Promise.resolve(false);
+        }
+        return this.play();
+    }
+
+    hasTrack() {
+        return !!this.audio.src && !!this.fileName;
+    }
+
+    isPlaying() {
+        return this.hasTrack() && !this.audio.paused && !this.audio.ended;
+    }
+
+    // The analysis only drives the visuals while the file is actually playing
+    isActive() {
+        return this.isPlaying() && !!this.analyser;
+    }
+
+    /**
+     * Read the analyser and refresh the uniforms, call once per frame
+     */
+    update() {
+        if (!this.isActive()) {
+            this.decay();
+            return;
+        }
+
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        this.analyser.getByteTimeDomainData(this.waveformData);
+
+        // Row 0: spectrum
+        this.spectrumData.set(this.frequencyData, 0);
+
+        // Row 1: waveform, downsampled to the texture width
+        let sumSquares = 0;
+        for (let i = 0; i < this.binCount; i++) {
+            const sample = this.waveformData[i * 2];
+            this.spectrumData[this.binCount + i] = sample;
+
+            const centered = (sample - 128) / 128;
+            sumSquares += centered * centered;
+        }
+        this.spectrumTexture.needsUpdate = true;
+
+        const rms = Math.sqrt(sumSquares / this.binCount);
+        this.smoothUniform('iBass', this.bandEnergy(20, 250));
+        this.smoothUniform('iMid', this.bandEnergy(250, 4000));
+        this.smoothUniform('iTreble', this.bandEnergy(4000, 16000));
+        this.smoothUniform('iLevel', Math.min(1, rms * 2.5));
+    }
+
+    /**
+     * Average energy of a frequency band
+     * @param {number} lowHz - Lower bound in Hz
+     * @param {number} highHz - Upper bound in Hz
+     * @returns {number} - Energy in 0..1
+     */
+    bandEnergy(lowHz, highHz) {
+        const hzPerBin = this.audioContext.sampleRate / this.analyser.fftSize;
+        const start = Math.max(0, Math.floor(lowHz / hzPerBin));
+        const end = Math.min(this.binCount - 1, Math.ceil(highHz / hzPerBin));
+
+        let sum = 0;
+        for (let i = start; i <= end; i++) {
+            sum += this.frequencyData[i];
+        }
+        return sum / ((end - start + 1) * 255);
+    }
+
+    smoothUniform(name, value) {
+        const uniform = this.uniforms[name];
+        uniform.value = uniform.value * this.smoothing + value * (1 - this.smoothing);
+    }
+
+    // Let the values fall back to zero when the music stops instead of freezing
+    decay() {
+        if (this.uniforms.iLevel.value < 0.001 && this.uniforms.iBass.value < 0.001) return;
+
+        ['iBass', 'iMid', 'iTreble', 'iLevel'].forEach(name => this.smoothUniform(name, 0));
+        for (let i = 0; i < this.binCount; i++) {
+            this.spectrumData[i] = Math.floor(this.spectrumData[i] * this.smoothing);
+            this.spectrumData[this.binCount + i] = 128;
+        }
+        this.spectrumTexture.needsUpdate = true;
+    }
+
+    // Event handling methods
+    addEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = [];
+        }
+        this.eventListeners[eventName].push(callback);
+        return this; // For chaining
+    }
+
+    removeEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) return this;
+        this.eventListeners[eventName] = this.eventListeners[eventName].filter(
+            listener => listener !== callback
+        );
+        return this; // For chaining
+    }
+
+    dispatchEvent(eventName, data = {}) {
+        if (!this.eventListeners[eventName]) return false;
+
+        const event = {
+            type: eventName,
+            target: this,
+            data: data,
+            timestamp: Date.now()
+        };
+
+        this.eventListeners[eventName].forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in ${eventName} event listener:`, error);
+            }
+        });
+
+        return true;
+    }
+}
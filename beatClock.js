@@ -0,0 +1,228 @@
+/**
+ * beatClock.js
+ * Hand-set BPM clock for the procedural pulse
+ *
+ * When there is no local audio and no track analysis, the tempo can be tapped
+ * in (T key or the taskbar tempo button) and the phase nudged with [ and ].
+ * Tapped tempos are remembered per track in localStorage.
+ *
+ * Every shader receives:
+ *   iBeatPhase  - 0..1 position inside the current beat, 0 on the beat
+ *   iBarPhase   - 0..1 position inside the current bar, 0 on the downbeat
+ *   iBeatLocked - 1 once a tempo was tapped or restored, else 0. The phases
+ *                 keep running at the default 120 BPM, pulses on them are
+ *                 multiplied by it so they don't beat against the music.
+ */
+
+class BeatClock {
+    constructor() {
+        this.bpm = 120;
+        this.beatsPerBar = 4;
+
+        // Time (performance.now) of a downbeat, all phases are measured from it
+        this.anchorTime = performance.now();
+
+        // True once the tempo was tapped or restored for the current track
+        this.isLocked = false;
+        this.trackKey = null;
+
+        this.taps = [];
+        // A pause longer than this starts a new tap sequence
+        this.tapTimeout = 2000;
+        this.maxTaps = 8;
+
+        this.minBpm = 40;
+        this.maxBpm = 240;
+
+        // Shared by reference with every material that uses them
+        this.uniforms = {
+            iBeatPhase: { value: 0 },
+            iBarPhase: { value: 0 },
+            iBeatLocked: { value: 0 }
+        };
+
+        this.eventListeners = {};
+    }
+
+    getBeatLength() {
+        return 60000 / this.bpm;
+    }
+
+    /**
+     * Register a tap, two or more taps in a row set the tempo
+     * The first tap of a sequence is taken as the downbeat
+     * @param {number} now - performance.now() timestamp of the tap
+     */
+    tap(now = performance.now()) {
+        const lastTap = this.taps[this.taps.length - 1];
+        if (lastTap !== undefined && now - lastTap > this.tapTimeout) {
+            this.taps = [];
+        }
+
+        this.taps.push(now);
+        if (this.taps.length > this.maxTaps) {
+            this.taps.shift();
+        }
+
+        if (this.taps.length < 2) return;
+
+        const interval = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+        this.setBpm(60000 / interval, { save: true });
+
+        // Line the beat up with the taps that were just made
+        this.anchorTime = now - (this.taps.length - 1) * this.getBeatLength();
+    }
+
+    /**
+     * Set the tempo
+     * @param {number} bpm - Beats per minute
+     * @param {Object} options
+     * @param {boolean} options.save - Remember the tempo for the current track
+     */
+    setBpm(bpm, { save = false } = {}) {
+        if (!isFinite(bpm)) return;
+
+        // Keep the current phase when the tempo changes
+        const now = performance.now();
+        const beats = (now - this.anchorTime) / this.getBeatLength();
+
+        this.bpm = Math.min(this.maxBpm, Math.max(this.minBpm, bpm));
+        this.anchorTime = now - beats * this.getBeatLength();
+        this.isLocked = true;
+
+        if (save) {
+            this.saveTrackBpm();
+        }
+
+        this.dispatchEvent('tempo-change', { bpm: this.bpm, trackKey: this.trackKey });
+    }
+
+    /**
+     * Shift the beat grid
+     * @param {number} ms - Positive moves the beats later, negative earlier
+     */
+    nudge(ms) {
+        this.anchorTime += ms;
+    }
+
+    /**
+     * Switch to another track, restoring its tapped tempo if there is one
+     * @param {string} trackKey - Spotify track id or local:<file name>
+     */
+    setTrack(trackKey) {
+        if (!trackKey || trackKey === this.trackKey) return;
+
+        this.trackKey = trackKey;
+        this.taps = [];
+
+        const savedBpm = this.getSavedBpms()[trackKey];
+        if (savedBpm) {
+            this.setBpm(savedBpm);
+        } else {
+            this.isLocked = false;
+            this.dispatchEvent('tempo-change', { bpm: this.bpm, trackKey });
+        }
+    }
+
+    getSavedBpms() {
+        try {
+            return JSON.parse(localStorage.getItem('wmp_track_bpm') || '{}');
+        } catch (e) {
+            console.warn('Could not read saved track tempos');
+            return {};
+        }
+    }
+
+    saveTrackBpm() {
+        if (!this.trackKey) return;
+
+        try {
+            const bpms = this.getSavedBpms();
+            bpms[this.trackKey] = Math.round(this.bpm * 10) / 10;
+            localStorage.setItem('wmp_track_bpm', JSON.stringify(bpms));
+        } catch (e) {
+            console.warn('Could not save track tempo');
+        }
+    }
+
+    getBeatPhase(now = performance.now()) {
+        const beats = (now - this.anchorTime) / this.getBeatLength();
+        return beats - Math.floor(beats);
+    }
+
+    getBarPhase(now = performance.now()) {
+        const bars = (now - this.anchorTime) / (this.getBeatLength() * this.beatsPerBar);
+        return bars - Math.floor(bars);
+    }
+
+    /**
+     * Pulse that peaks on each beat and fades before the next one
+     * @returns {number} - 0..1
+     */
+    getPulse(now = performance.now()) {
+        return Math.pow(1 - this.getBeatPhase(now), 3);
+    }
+
+    /**
+     * Uniform values, for offline frames, see Visualizer.renderOffline
+     * @returns {Object}
+     */
+    getFrameState() {
+        return { beatPhase: this.uniforms.iBeatPhase.value, barPhase: this.uniforms.iBarPhase.value };
+    }
+
+    /**
+     * @param {Object|null} state - From getFrameState, null for zero phases
+     */
+    setFrameState(state) {
+        this.uniforms.iBeatPhase.value = state ? state.beatPhase : 0;
+        this.uniforms.iBarPhase.value = state ? state.barPhase : 0;
+    }
+
+    /**
+     * Refresh the uniforms, call once per frame
+     */
+    update(now = performance.now()) {
+        this.uniforms.iBeatPhase.value = this.getBeatPhase(now);
+        this.uniforms.iBarPhase.value = this.getBarPhase(now);
+        this.uniforms.iBeatLocked.value = this.isLocked ? 1 : 0;
+    }
+
+    // Event handling methods
+    addEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = [];
+        }
+        this.eventListeners[eventName].push(callback);
+        return this; // For chaining
+    }
+
+    removeEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) return this;
+        this.eventListeners[eventName] = this.eventListeners[eventName].filter(
+            listener => listener !== callback
+        );
+        return this; // For chaining
+    }
+
+    dispatchEvent(eventName, data = {}) {
+        if (!this.eventListeners[eventName]) return false;
+
+        const event = {
+            type: eventName,
+            target: this,
+            data: data,
+            timestamp: Date.now()
+        };
+
+        this.eventListeners[eventName].forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in ${eventName} event listener:`, error);
+            }
+        });
+
+        return true;
+    }
+}
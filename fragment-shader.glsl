@@ -4,8 +4,35 @@ uniform float iIntensity;
 uniform sampler2D iTexture;
 uniform int iKaleidoscopePattern;
 
+// Local audio analysis - all zero unless a local file is playing
+uniform sampler2D iSpectrum;
+uniform float iBass;
+uniform float iMid;
+uniform float iTreble;
+uniform float iLevel;
+
+// Beat pulse from the track analysis timeline
+uniform float iBeat;
+
+// Tap tempo clock, see beatClock.js
+uniform float iBeatPhase;
+uniform float iBarPhase;
+uniform float iBeatLocked;
+
+// Seed for randomness, see renderClock.js
+uniform float iSeed;
+
+// Current lyrics line, see lyrics.js
+uniform sampler2D iLyrics;
+uniform float iLyricsOpacity;
+
 varying vec2 vUv;
 
+// Detail level from qualityGovernor.js, 0 = low to 2 = high
+#ifndef QUALITY
+#define QUALITY 2
+#endif
+
 // HSV to RGB conversion function
 vec3 hsv2rgb(vec3 c) {
     vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
@@ -182,6 +209,9 @@ void main() {
     
     // Pulsating zoom effect - reduced and limited to center
     float zoom = sin(time * 0.5) * 0.01 * iIntensity * edgeFactor;
+    
+    // Kick the zoom on bass hits when real audio is available
+    zoom += iBass * 0.03 * edgeFactor;
     vec2 zoomedUV = mix(uv, vec2(0.5), zoom);
     
     // Combine distortions with limits
@@ -190,7 +220,7 @@ void main() {
     // Swirling effect around center - reduced and limited
     float dist = length(uv - vec2(0.5));
     float angle = atan(uv.y - 0.5, uv.x - 0.5);
-    float swirl = sin(dist * 10.0 - time * 1.5) * 0.02 * iIntensity * edgeFactor;
+    float swirl = sin(dist * 10.0 - time * 1.5) * (0.02 * iIntensity + 0.02 * iMid) * edgeFactor;
     distortedUV += swirl * vec2(cos(angle), sin(angle));
     
     // Ensure we stay within texture bounds (redundant with ClampToEdgeWrapping, but safer)
@@ -235,10 +265,11 @@ void main() {
     vec3 shiftedColor = hsv2rgb(hsvColor);
     
     // Add pulsating glow - reduced effect
-    float glow = sin(time * 0.8) * 0.1 * iIntensity + 1.0;
+    float glow = sin(time * 0.8) * 0.1 * iIntensity + 1.0 + iLevel * 0.15 + iBeat * 0.1 + iBeatLocked * pow(1.0 - iBeatPhase, 4.0) * 0.05;
     shiftedColor *= glow;
     
-    // Edge detection with limited sampling distance
+    // Edge detection with limited sampling distance, four more texture reads
+#if QUALITY > 0
     float sampleDist = 0.008;
     float edgeX = length(texture2D(iTexture, vec2(distortedUV.x + sampleDist, distortedUV.y)).rgb - 
                          texture2D(iTexture, vec2(distortedUV.x - sampleDist, distortedUV.y)).rgb);
@@ -249,9 +280,19 @@ void main() {
     // Create rainbow-colored edges - reduced effect
     vec3 rainbowColor = hsv2rgb(vec3(fract(time * 0.1 + dist * 2.0), 1.0, 1.0));
     shiftedColor = mix(shiftedColor, rainbowColor, min(edge, 0.3));
+#endif
     
     // The final color is just the background effect (no kaleidoscope)
     vec3 finalColor = shiftedColor;
+
+    // Lyrics line in a band near the bottom, the texture is 8:1
+    if (iLyricsOpacity > 0.01) {
+        vec2 lyricsUV = vec2((vUv.x - 0.15) / 0.7, (vUv.y - 0.08) * iResolution.y / (0.7 * iResolution.x / 8.0));
+        if (lyricsUV.x >= 0.0 && lyricsUV.x <= 1.0 && lyricsUV.y >= 0.0 && lyricsUV.y <= 1.0) {
+            vec4 lyricsText = texture2D(iLyrics, lyricsUV);
+            finalColor = mix(finalColor, lyricsText.rgb, lyricsText.a * iLyricsOpacity);
+        }
+    }
     
     // Final color
     gl_FragColor = vec4(finalColor, 1.0);
@@ -0,0 +1,269 @@
+/**
+ * frameExport.js
+ * PNG sequences of the background at any size, for music videos
+ *
+ * Realtime capture drops frames, the export doesn't: each frame is rendered
+ * on a fixed clock (see renderClock.js) with the track analysis timeline as
+ * its position, so beats land on the frame they belong to. Sizes above what
+ * the GPU renders at once (3840x2160 and up) are rendered in tiles: the quad
+ * is stretched so only the tile's part of the image covers the target,
+ * which works because every preset shades from vUv and iResolution.
+ * Presets with post-processing (see postProcessing.js) are rendered whole,
+ * blurs and feedback can't be cut into tiles, so up to the GPU's limit.
+ *
+ * The live view pauses while a sequence renders. Frames are zipped as
+ * frame-00000.png, frame-00001.png... numbered from the start of the export.
+ * A zip holds 4 GB (see zipWriter.js): estimate() tells beforehand, and the
+ * export stops after the first frame when frames that size wouldn't fit.
+ */
+
+class FrameSequenceExporter {
+    static get MAX_SIZE() {
+        return 8192;
+    }
+
+    // PNG bytes per pixel estimate() assumes, about what the scenes' gradients compress to
+    static get BYTES_PER_PIXEL() {
+        return 1.5;
+    }
+
+    /**
+     * Frame count and rough zip size of a sequence
+     * @param {Object} options - width, height, fps and duration as for export
+     * @param {number} bytesPerPixel - PNG size per pixel, measured from a frame when there is one
+     * @returns {{frameCount: number, size: number, error: string|null}} - error says why a zip can't hold it
+     */
+    static estimate({ width, height, fps, duration }, bytesPerPixel = FrameSequenceExporter.BYTES_PER_PIXEL) {
+        const frameCount = Math.max(1, Math.round(duration * fps));
+        // Plus the file's zip headers
+        const size = frameCount * (width * height * bytesPerPixel + 100);
+
+        let error = null;
+        if (frameCount > ZipWriter.MAX_FILES) {
+            error = `That is ${frameCount} frames, a zip holds at most ${ZipWriter.MAX_FILES}. Export fewer seconds or a lower frame rate.`;
+        } else if (size > ZipWriter.MAX_SIZE) {
+            error = `The frames would take about ${FrameSequenceExporter.formatSize(size)}, more than the 4 GB a zip holds. Export fewer seconds or a smaller size.`;
+        }
+        return { frameCount, size, error };
+    }
+
+    static formatSize(bytes) {
+        return bytes >= 1073741824 ? `${(bytes / 1073741824).toFixed(1)} GB` : `${Math.max(1, Math.round(bytes / 1048576))} MB`;
+    }
+
+    /**
+     * @param {Visualizer} visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.isExporting = false;
+        this.isCancelled = false;
+        this.tileSize = 1024;
+    }
+
+    /**
+     * Render and zip a sequence
+     * @param {Object} options
+     * @param {number} options.width - Frame width in pixels
+     * @param {number} options.height - Frame height in pixels
+     * @param {number} options.fps - Frame rate
+     * @param {number} options.start - Track position of the first frame in seconds
+     * @param {number} options.duration - Length in seconds
+     * @param {Function} options.onProgress - Called with { frame, frameCount } after each frame
+     * @returns {Promise<Blob>} - The zip
+     */
+    async export({ width, height, fps = 30, start = 0, duration = 10, onProgress = null }) {
+        if (this.isExporting) {
+            throw new Error('An export is already running');
+        }
+
+        const maxSize = FrameSequenceExporter.MAX_SIZE;
+        if (!(width > 0 && height > 0) || width > maxSize || height > maxSize) {
+            throw new Error(`Frames must be between 1 and ${maxSize} pixels wide and high`);
+        }
+
+        const visualizer = this.visualizer;
+        if (!visualizer.mesh || !visualizer.material || !visualizer.material.uniforms) {
+            throw new Error('The current scene can not be exported');
+        }
+
+        const { frameCount, error } = FrameSequenceExporter.estimate({ width, height, fps, duration });
+        if (error) {
+            throw new Error(error);
+        }
+        const firstFrame = Math.round(start * fps);
+        const digits = Math.max(5, String(frameCount - 1).length);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(width, height);
+
+        // Feedback runs through the sequence from its first frame, on a pipeline of its own
+        const pipeline = new PostProcessingPipeline(visualizer.renderer);
+        pipeline.configure(visualizer.getPostConfig());
+        const textureSize = visualizer.renderer.capabilities.maxTextureSize;
+        if (pipeline.isEnabled() && (width > textureSize || height > textureSize)) {
+            pipeline.dispose();
+            throw new Error(`Scenes with post-processing can be exported up to ${textureSize} pixels wide and high`);
+        }
+
+        const target = pipeline.isEnabled() ? new THREE.WebGLRenderTarget(width, height) : null;
+        const clock = new RenderClock({ source: 'fixed', fps });
+        const zip = new ZipWriter();
+
+        this.isExporting = true;
+        this.isCancelled = false;
+        try {
+            for (let i = 0; i < frameCount; i++) {
+                if (this.isCancelled) {
+                    throw new Error('Export cancelled');
+                }
+
+                clock.seek(firstFrame + i);
+                visualizer.updateSources(clock);
+                visualizer.updateFrame(clock, true);
+                if (pipeline.isEnabled()) {
+                    this.renderWhole(image, pipeline, target, clock.delta);
+                } else {
+                    this.renderTiles(image);
+                }
+                context.putImageData(image, 0, 0);
+
+                const file = await ShareCard.toFile(canvas, `frame-${String(i).padStart(digits, '0')}.png`);
+                // The guess above can be off, the first frame tells before hours of rendering
+                if (i === 0) {
+                    const measured = FrameSequenceExporter.estimate({ width, height, fps, duration }, file.size / (width * height));
+                    if (measured.error) {
+                        throw new Error(measured.error);
+                    }
+                }
+                await zip.add(file.name, file);
+
+                if (onProgress) {
+                    onProgress({ frame: i + 1, frameCount });
+                }
+            }
+        } finally {
+            this.isExporting = false;
+            pipeline.dispose();
+            if (target) {
+                target.dispose();
+            }
+        }
+
+        return zip.toBlob();
+    }
+
+    cancel() {
+        this.isCancelled = this.isExporting;
+    }
+
+    /**
+     * Render the background and its post passes into an ImageData in one go
+     * @param {ImageData} image - Full frame, rows from the top
+     * @param {PostProcessingPipeline} pipeline - Configured for the preset
+     * @param {THREE.WebGLRenderTarget} target - Frame sized target the result is read from
+     * @param {number} delta - Frame time in seconds
+     */
+    renderWhole(image, pipeline, target, delta) {
+        const { renderer, scene, camera, material } = this.visualizer;
+        const { width, height } = image;
+
+        const resolution = material.uniforms.iResolution.value;
+        const previousResolution = resolution.clone();
+        resolution.x = width;
+        resolution.y = height;
+
+        const pixels = new Uint8Array(width * height * 4);
+        const previousTarget = renderer.getRenderTarget();
+
+        try {
+            pipeline.render(scene, camera, { delta, target });
+            renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+        } finally {
+            renderer.setRenderTarget(previousTarget);
+            resolution.copy(previousResolution);
+        }
+
+        // WebGL rows start at the bottom
+        for (let row = 0; row < height; row++) {
+            image.data.set(pixels.subarray(row * width * 4, (row + 1) * width * 4), (height - 1 - row) * width * 4);
+        }
+    }
+
+    /**
+     * Render the background into an ImageData, one tile at a time
+     * @param {ImageData} image - Full frame, rows from the top
+     */
+    renderTiles(image) {
+        const { renderer, scene, camera, mesh, material } = this.visualizer;
+        const { width, height } = image;
+        const tileSize = Math.min(this.tileSize, renderer.capabilities.maxTextureSize);
+
+        const resolution = material.uniforms.iResolution.value;
+        const previousResolution = resolution.clone();
+        resolution.x = width;
+        resolution.y = height;
+
+        const geometry = mesh.geometry;
+        const tileGeometry = geometry.clone();
+        const target = new THREE.WebGLRenderTarget(tileSize, tileSize);
+        const pixels = new Uint8Array(tileSize * tileSize * 4);
+        const previousTarget = renderer.getRenderTarget();
+        const frustumCulled = mesh.frustumCulled;
+
+        try {
+            // The stretched quad reaches far outside the camera
+            mesh.frustumCulled = false;
+            mesh.geometry = tileGeometry;
+            renderer.setRenderTarget(target);
+
+            // y counts from the bottom, like WebGL
+            for (let y = 0; y < height; y += tileSize) {
+                for (let x = 0; x < width; x += tileSize) {
+                    const tileWidth = Math.min(tileSize, width - x);
+                    const tileHeight = Math.min(tileSize, height - y);
+
+                    FrameSequenceExporter.fitTile(geometry, tileGeometry, x / width, y / height, tileSize / width, tileSize / height);
+                    renderer.render(scene, camera);
+                    renderer.readRenderTargetPixels(target, 0, 0, tileWidth, tileHeight, pixels);
+
+                    for (let row = 0; row < tileHeight; row++) {
+                        const source = pixels.subarray(row * tileWidth * 4, (row + 1) * tileWidth * 4);
+                        image.data.set(source, ((height - 1 - y - row) * width + x) * 4);
+                    }
+                }
+            }
+        } finally {
+            mesh.geometry = geometry;
+            mesh.frustumCulled = frustumCulled;
+            renderer.setRenderTarget(previousTarget);
+            tileGeometry.dispose();
+            target.dispose();
+            resolution.copy(previousResolution);
+        }
+    }
+
+    /**
+     * Stretch the fullscreen quad so the tile's part of the image fills the target
+     * @param {THREE.BufferGeometry} geometry - The fullscreen quad
+     * @param {THREE.BufferGeometry} tileGeometry - Its clone, positions are rewritten
+     * @param {number} left - Tile position in uv units
+     * @param {number} bottom - Tile position in uv units
+     * @param {number} tileWidth - Target size in uv units
+     * @param {number} tileHeight - Target size in uv units
+     */
+    static fitTile(geometry, tileGeometry, left, bottom, tileWidth, tileHeight) {
+        const uv = geometry.attributes.uv;
+        const position = tileGeometry.attributes.position;
+
+        for (let i = 0; i < position.count; i++) {
+            position.setXY(i,
+                (uv.getX(i) - left) / tileWidth * 2 - 1,
+                (uv.getY(i) - bottom) / tileHeight * 2 - 1);
+        }
+        position.needsUpdate = true;
+    }
+}
@@ -0,0 +1,322 @@
+/**
+ * frameScheduler.js
+ * One WebGL context and one frame loop for every visualizer
+ *
+ * The background, the Media Player's visualization and the CRT overlay all
+ * draw with the Visualizer's renderer, browsers only allow a few contexts
+ * and each one costs GPU memory. Its canvas is the background (#visualizer).
+ * The others are drawn into a corner of it and copied to their own 2D
+ * canvases right away (drawToCanvas), then the background is drawn over
+ * the whole canvas and stays on screen. Tasks run by order, lower first:
+ *   update     - clock, audio and uniforms, before anything draws with them
+ *   viewport   - the Media Player's visualization
+ *   overlay    - the CRT overlay
+ *   background - the background, last since it is what the canvas shows
+ *
+ * The loop only runs while something draws: it stops with the tab hidden,
+ * and a task is skipped while anything pauses it (setPaused, e.g. the Media
+ * Player minimized or scrolled away, the CRT overlay off). Frames are capped
+ * at REDUCED_MOTION_FPS with prefers-reduced-motion and at BATTERY_SAVER_FPS
+ * with the battery saver on (saved in wmp_battery_saver). requestFrame draws
+ * the next frame regardless of the cap, so changes show at once.
+ *
+ * When the context is lost (the GPU reset, or a phone dropped it in the
+ * background) the loop stops. Once it is back each task's restore runs, in
+ * task order, to rebuild what lived on the GPU; a task whose restore fails
+ * stays paused and 'context-restored' lists it. renderer.forceContextLoss()
+ * tries it out.
+ */
+
+class FrameScheduler {
+    static get ORDER() {
+        return {
+            update: 0,
+            viewport: 10,
+            overlay: 20,
+            background: 30
+        };
+    }
+
+    static get REDUCED_MOTION_FPS() {
+        return 10;
+    }
+
+    static get BATTERY_SAVER_FPS() {
+        return 30;
+    }
+
+    /**
+     * @param {THREE.WebGLRenderer} renderer - The shared renderer, with alpha for the copied canvases
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.tasks = [];
+        this.frameId = null;
+        this.isStarted = false;
+        this.lastFrameTime = -Infinity;
+        this.isFrameRequested = false;
+        this.isContextLost = false;
+        this.size = new THREE.Vector2();
+        this.frame = this.frame.bind(this);
+        this.eventListeners = {};
+
+        this.isBatterySaver = FrameScheduler.loadBatterySaver();
+        this.isHidden = document.visibilityState === 'hidden';
+        document.addEventListener('visibilitychange', () => {
+            this.isHidden = document.visibilityState === 'hidden';
+            this.requestFrame();
+            this.update();
+        });
+
+        this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.prefersReducedMotion = !!(this.motionQuery && this.motionQuery.matches);
+        if (this.motionQuery && this.motionQuery.addEventListener) {
+            this.motionQuery.addEventListener('change', (e) => {
+                this.prefersReducedMotion = e.matches;
+                this.dispatchEvent('max-fps-change', { maxFps: this.getMaxFps() });
+            });
+        }
+
+        // After the renderer's own listeners, which set up the new context
+        const canvas = renderer.domElement;
+        canvas.addEventListener('webglcontextlost', (e) => this.handleContextLost(e));
+        canvas.addEventListener('webglcontextrestored', () => this.handleContextRestored());
+    }
+
+    /**
+     * Run a callback every frame, replacing the task with the same id
+     * @param {string} id - Task name, for unregister and error messages
+     * @param {Function} callback - Called with the frame time in milliseconds
+     * @param {number} order - See ORDER
+     * @param {Object} options
+     * @param {Function} options.restore - Rebuilds the task's GPU resources after a context loss, may return a Promise
+     */
+    register(id, callback, order = FrameScheduler.ORDER.update, { restore = null } = {}) {
+        this.tasks = this.tasks.filter(task => task.id !== id);
+        this.tasks.push({ id, callback, order, restore, pauses: new Set() });
+        // Stable, tasks of the same order keep the order they came in
+        this.tasks.sort((a, b) => a.order - b.order);
+        this.update();
+    }
+
+    unregister(id) {
+        this.tasks = this.tasks.filter(task => task.id !== id);
+        this.update();
+    }
+
+    /**
+     * Skip a task while any reason holds
+     * @param {string} id - Task name
+     * @param {string} reason - e.g. 'hidden', 'disabled'
+     * @param {boolean} isPaused - Whether the reason holds now
+     */
+    setPaused(id, reason, isPaused) {
+        const task = this.tasks.find(registered => registered.id === id);
+        if (!task || task.pauses.has(reason) === isPaused) return;
+
+        if (isPaused) {
+            task.pauses.add(reason);
+        } else {
+            task.pauses.delete(reason);
+            this.requestFrame();
+        }
+        this.update();
+    }
+
+    isPaused(id) {
+        const task = this.tasks.find(registered => registered.id === id);
+        return !task || task.pauses.size > 0;
+    }
+
+    isRunning() {
+        return this.frameId !== null;
+    }
+
+    start() {
+        this.isStarted = true;
+        this.update();
+    }
+
+    stop() {
+        this.isStarted = false;
+        this.update();
+    }
+
+    // Draw the next frame even if the frame rate is capped
+    requestFrame() {
+        this.isFrameRequested = true;
+    }
+
+    /**
+     * Lowest frame rate cap in effect
+     * @returns {number|null} - Frames per second, null without a cap
+     */
+    getMaxFps() {
+        const caps = [];
+        if (this.prefersReducedMotion) caps.push(FrameScheduler.REDUCED_MOTION_FPS);
+        if (this.isBatterySaver) caps.push(FrameScheduler.BATTERY_SAVER_FPS);
+        return caps.length > 0 ? Math.min(...caps) : null;
+    }
+
+    setBatterySaver(isOn) {
+        this.isBatterySaver = !!isOn;
+        try {
+            localStorage.setItem('wmp_battery_saver', this.isBatterySaver ? '1' : '0');
+        } catch (e) {
+            console.warn('Could not save battery saver setting');
+        }
+        this.dispatchEvent('max-fps-change', { maxFps: this.getMaxFps() });
+    }
+
+    static loadBatterySaver() {
+        try {
+            return localStorage.getItem('wmp_battery_saver') === '1';
+        } catch (e) {
+            console.warn('Could not load battery saver setting');
+            return false;
+        }
+    }
+
+    // Run the loop while the tab shows and a task draws, the update task alone doesn't
+    update() {
+        const shouldRun = this.isStarted && !this.isHidden && !this.isContextLost && this.tasks.some(task =>
+            task.order > FrameScheduler.ORDER.update && task.pauses.size === 0);
+
+        if (shouldRun && this.frameId === null) {
+            this.frameId = requestAnimationFrame(this.frame);
+        } else if (!shouldRun && this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    handleContextLost(e) {
+        // Without this the browser never gives the context back
+        e.preventDefault();
+        this.isContextLost = true;
+        this.update();
+        console.warn('WebGL context lost, waiting for it to come back');
+        this.dispatchEvent('context-lost');
+    }
+
+    async handleContextRestored() {
+        const failed = [];
+        // One at a time, later tasks may use what earlier ones rebuilt
+        for (const task of this.tasks.filter(registered => registered.restore)) {
+            try {
+                await task.restore();
+                task.pauses.delete('restore-failed');
+            } catch (error) {
+                console.error(`Could not restore ${task.id} after the context loss:`, error);
+                failed.push(task.id);
+            }
+        }
+
+        failed.forEach(id => this.setPaused(id, 'restore-failed', true));
+        this.isContextLost = false;
+        this.requestFrame();
+        this.update();
+
+        console.log(failed.length > 0 ? `WebGL context restored without ${failed.join(', ')}` : 'WebGL context restored');
+        this.dispatchEvent('context-restored', { failed });
+    }
+
+    frame(now) {
+        this.frameId = requestAnimationFrame(this.frame);
+
+        // A little early is fine, frame times jitter around the display's refresh
+        const maxFps = this.getMaxFps();
+        if (maxFps && !this.isFrameRequested && now - this.lastFrameTime < 1000 / maxFps - 2) return;
+        this.lastFrameTime = now;
+        this.isFrameRequested = false;
+
+        // One broken visualizer shouldn't stop the others
+        this.tasks.forEach(task => {
+            if (task.pauses.size > 0) return;
+            try {
+                task.callback(now);
+            } catch (error) {
+                console.error(`Error in ${task.id} frame task:`, error);
+            }
+        });
+    }
+
+    /**
+     * Draw into the top left corner of the shared canvas and copy that to a 2D canvas
+     * The canvas is sized to width x height at the renderer's pixel ratio
+     * @param {HTMLCanvasElement} canvas - Shows the result, must not have a WebGL context
+     * @param {number} width - CSS pixels, at most the shared canvas size
+     * @param {number} height - CSS pixels, at most the shared canvas size
+     * @param {Function} draw - Renders to the canvas (render target null), viewport and scissor are set
+     */
+    drawToCanvas(canvas, width, height, draw) {
+        const renderer = this.renderer;
+        const size = renderer.getSize(this.size);
+        width = Math.min(width, size.x);
+        height = Math.min(height, size.y);
+        if (width <= 0 || height <= 0) return;
+
+        const pixelRatio = renderer.getPixelRatio();
+        const pixelWidth = Math.floor(width * pixelRatio);
+        const pixelHeight = Math.floor(height * pixelRatio);
+        if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+            canvas.width = pixelWidth;
+            canvas.height = pixelHeight;
+        }
+
+        // WebGL counts from the bottom, drawImage from the top
+        renderer.setViewport(0, size.y - height, width, height);
+        renderer.setScissor(0, size.y - height, width, height);
+        renderer.setScissorTest(true);
+        try {
+            draw(renderer);
+        } finally {
+            renderer.setViewport(0, 0, size.x, size.y);
+            renderer.setScissor(0, 0, size.x, size.y);
+            renderer.setScissorTest(false);
+        }
+
+        // Only readable until the task ends, without preserveDrawingBuffer
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, pixelWidth, pixelHeight);
+        context.drawImage(renderer.domElement, 0, 0, pixelWidth, pixelHeight, 0, 0, pixelWidth, pixelHeight);
+    }
+
+    // Event handling methods
+    addEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = [];
+        }
+        this.eventListeners[eventName].push(callback);
+        return this; // For chaining
+    }
+
+    removeEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) return this;
+        this.eventListeners[eventName] = this.eventListeners[eventName].filter(
+            listener => listener !== callback
+        );
+        return this; // For chaining
+    }
+
+    dispatchEvent(eventName, data = {}) {
+        if (!this.eventListeners[eventName]) return false;
+
+        const event = {
+            type: eventName,
+            target: this,
+            data: data,
+            timestamp: Date.now()
+        };
+
+        this.eventListeners[eventName].forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in ${eventName} event listener:`, error);
+            }
+        });
+
+        return true;
+    }
+}
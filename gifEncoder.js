@@ -0,0 +1,237 @@
+/**
+ * gifEncoder.js
+ * Looping animated GIFs from canvas frames, encoded in the browser
+ *
+ * All frames share one 256 color palette made by median cut over a sample
+ * of their pixels, the image data is LZW compressed as GIF89a requires.
+ *
+ *   const blob = GifEncoder.encode(frames, { delay: 100 });
+ * frames are ImageData of one size, delay is in milliseconds per frame.
+ */
+
+class GifEncoder {
+    /**
+     * @param {ImageData[]} frames - Frames of the same size
+     * @param {Object} options
+     * @param {number} options.delay - Milliseconds per frame, GIF stores hundredths
+     * @returns {Blob} - image/gif that loops forever
+     */
+    static encode(frames, { delay = 100 } = {}) {
+        if (frames.length === 0) {
+            throw new Error('A GIF needs at least one frame');
+        }
+
+        const { width, height } = frames[0];
+        const palette = GifEncoder.buildPalette(frames);
+        const lookup = GifEncoder.createLookup(palette);
+        const bytes = [];
+        const word = (value) => bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+        const text = (value) => Array.from(value).forEach(char => bytes.push(char.charCodeAt(0)));
+
+        text('GIF89a');
+        word(width);
+        word(height);
+        // Global color table of 256 entries, 8 bits per channel
+        bytes.push(0xF7, 0, 0);
+        palette.forEach(value => bytes.push(value));
+
+        // NETSCAPE2.0 extension: loop forever
+        bytes.push(0x21, 0xFF, 0x0B);
+        text('NETSCAPE2.0');
+        bytes.push(0x03, 0x01, 0, 0, 0);
+
+        const hundredths = Math.max(2, Math.round(delay / 10));
+        frames.forEach(frame => {
+            // Graphic control: keep the previous frame, no transparency
+            bytes.push(0x21, 0xF9, 0x04, 0x04);
+            word(hundredths);
+            bytes.push(0, 0);
+
+            bytes.push(0x2C);
+            word(0);
+            word(0);
+            word(width);
+            word(height);
+            bytes.push(0);
+
+            const indices = GifEncoder.mapPixels(frame, lookup);
+            bytes.push(8);
+            GifEncoder.toSubBlocks(GifEncoder.compress(indices, 8)).forEach(value => bytes.push(value));
+        });
+
+        bytes.push(0x3B);
+        return new Blob([new Uint8Array(bytes)], { type: 'image/gif' });
+    }
+
+    /**
+     * Median cut palette
+     * @param {ImageData[]} frames
+     * @returns {number[]} - 256 RGB triplets, flattened
+     */
+    static buildPalette(frames, colors = 256) {
+        const totalPixels = frames.reduce((total, frame) => total + frame.width * frame.height, 0);
+        const step = Math.max(1, Math.floor(totalPixels / 60000));
+        const samples = [];
+
+        frames.forEach(frame => {
+            const data = frame.data;
+            for (let i = 0; i < data.length; i += 4 * step) {
+                samples.push([data[i], data[i + 1], data[i + 2]]);
+            }
+        });
+
+        let boxes = [samples];
+        while (boxes.length < colors) {
+            // Split the box with the widest channel range
+            let best = null;
+            boxes.forEach((box, index) => {
+                if (box.length < 2) return;
+                const range = GifEncoder.getWidestChannel(box);
+                if (!best || range.size > best.size) {
+                    best = Object.assign({ index }, range);
+                }
+            });
+            if (!best || best.size === 0) break;
+
+            const box = boxes[best.index];
+            box.sort((a, b) => a[best.channel] - b[best.channel]);
+            const middle = box.length >> 1;
+            boxes.splice(best.index, 1, box.slice(0, middle), box.slice(middle));
+        }
+
+        const palette = [];
+        boxes.forEach(box => {
+            const sum = [0, 0, 0];
+            box.forEach(pixel => {
+                sum[0] += pixel[0];
+                sum[1] += pixel[1];
+                sum[2] += pixel[2];
+            });
+            sum.forEach(value => palette.push(Math.round(value / Math.max(1, box.length))));
+        });
+        while (palette.length < colors * 3) palette.push(0);
+
+        return palette;
+    }
+
+    static getWidestChannel(box) {
+        const min = [255, 255, 255];
+        const max = [0, 0, 0];
+        box.forEach(pixel => {
+            for (let c = 0; c < 3; c++) {
+                if (pixel[c] < min[c]) min[c] = pixel[c];
+                if (pixel[c] > max[c]) max[c] = pixel[c];
+            }
+        });
+
+        let channel = 0;
+        for (let c = 1; c < 3; c++) {
+            if (max[c] - min[c] > max[channel] - min[channel]) channel = c;
+        }
+        return { channel, size: max[channel] - min[channel] };
+    }
+
+    // Nearest palette entry per 15 bit color, filled on first use
+    static createLookup(palette) {
+        const cache = new Int16Array(32768).fill(-1);
+
+        return (r, g, b) => {
+            const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            if (cache[key] >= 0) return cache[key];
+
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let i = 0; i < palette.length; i += 3) {
+                const dr = palette[i] - r;
+                const dg = palette[i + 1] - g;
+                const db = palette[i + 2] - b;
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = i / 3;
+                }
+            }
+            cache[key] = best;
+            return best;
+        };
+    }
+
+    static mapPixels(frame, lookup) {
+        const data = frame.data;
+        const indices = new Uint8Array(frame.width * frame.height);
+        for (let i = 0; i < indices.length; i++) {
+            indices[i] = lookup(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+        }
+        return indices;
+    }
+
+    /**
+     * Variable code length LZW, codes packed least significant bit first
+     * @param {Uint8Array} indices - Palette index per pixel
+     * @param {number} minCodeSize - 8 for a 256 color palette
+     * @returns {number[]}
+     */
+    static compress(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+        let buffer = 0;
+        let bufferLength = 0;
+
+        const emit = (code) => {
+            buffer |= code << bufferLength;
+            bufferLength += codeSize;
+            while (bufferLength >= 8) {
+                output.push(buffer & 0xFF);
+                buffer >>>= 8;
+                bufferLength -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (prefix << 8) | index;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === 4096) {
+                // Table full, start over
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= 1 << codeSize) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = index;
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bufferLength > 0) {
+            output.push(buffer & 0xFF);
+        }
+        return output;
+    }
+
+    // Image data is stored in blocks of at most 255 bytes
+    static toSubBlocks(data) {
+        const result = [];
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.slice(i, i + 255);
+            result.push(block.length, ...block);
+        }
+        result.push(0);
+        return result;
+    }
+}
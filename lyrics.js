@@ -0,0 +1,482 @@
+/**
+ * lyrics.js
+ * Time-synced lyrics from LRC files
+ *
+ * LyricsTrack follows the playback position of whichever player is active
+ * and knows the current line. Lyrics are opened from an .lrc file and
+ * remembered per track; Spotify tracks also pick up lyrics/<track id>.lrc.
+ * Offsets set in the window are remembered per track on their own
+ * (wmp_lyrics_offsets), so they also stick for lyrics from lyrics/.
+ * LyricsWindow renders them into #lyrics-window, highlighting and scrolling
+ * to the current line.
+ *
+ * Accepted LRC:
+ *   [ti:Title] [ar:Artist] [offset:+250]
+ *   [01:02.50]A line
+ *   [01:10.00][02:40.00]A chorus line with two timestamps
+ *   [01:12.00]<01:12.00>Enhanced <01:12.40>word <01:12.80>times are ignored
+ * A positive offset (ms) shows the lines earlier, like in the file format.
+ *
+ * With "Show in scene" on, every shader receives:
+ *   iLyrics        - The current line drawn white on transparent, 8:1
+ *   iLyricsOpacity - 0..1, fades in and out between lines
+ */
+
+class LyricsTrack {
+    constructor(baseUrl = 'lyrics/') {
+        this.baseUrl = baseUrl;
+        this.trackKey = null;
+        this.loadToken = 0;
+
+        // { start (seconds), text }
+        this.lines = [];
+        this.title = '';
+        this.artist = '';
+        // Offset from the file and the one adjusted by hand, in ms
+        this.fileOffset = 0;
+        this.offset = 0;
+        this.lineIndex = -1;
+
+        // Last position reported by the player
+        this.syncPosition = 0;
+        this.syncTime = 0;
+        this.isPaused = true;
+
+        this.showInScene = this.loadShowInScene();
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 1024;
+        this.canvas.height = 128;
+        this.texture = new THREE.CanvasTexture(this.canvas);
+
+        // Shared by reference with every material that uses them
+        this.uniforms = {
+            iLyrics: { value: this.texture },
+            iLyricsOpacity: { value: 0 }
+        };
+
+        this.eventListeners = {};
+    }
+
+    /**
+     * Parse LRC text
+     * @param {string} text - Contents of an .lrc file
+     * @returns {{lines: Array<{start: number, text: string}>, offset: number, title: string, artist: string}}
+     */
+    static parse(text) {
+        const result = { lines: [], offset: 0, title: '', artist: '' };
+        const timestamp = /\[(\d+):(\d{1,2}(?:[.:]\d+)?)\]/g;
+
+        String(text || '').split(/\r?\n/).forEach(row => {
+            const tag = /^\s*\[(ti|ar|offset):([^\]]*)\]\s*$/i.exec(row);
+            if (tag) {
+                const name = tag[1].toLowerCase();
+                if (name === 'offset') {
+                    result.offset = Number(tag[2].trim()) || 0;
+                } else {
+                    result[name === 'ti' ? 'title' : 'artist'] = tag[2].trim();
+                }
+                return;
+            }
+
+            const starts = [];
+            let match;
+            timestamp.lastIndex = 0;
+            while ((match = timestamp.exec(row))) {
+                starts.push(Number(match[1]) * 60 + Number(match[2].replace(':', '.')));
+            }
+            if (starts.length === 0) return;
+
+            const lineText = row.replace(timestamp, '').replace(/<\d+:\d{1,2}(?:[.:]\d+)?>/g, '').trim();
+            starts.forEach(start => result.lines.push({ start, text: lineText }));
+        });
+
+        result.lines.sort((a, b) => a.start - b.start);
+        return result;
+    }
+
+    /**
+     * Switch to another track, restoring its lyrics if there are any
+     * @param {string} trackKey - Player uri, spotify:track:<id> or local:<file name>
+     */
+    async setTrack(trackKey) {
+        if (!trackKey || trackKey === this.trackKey) return;
+
+        const token = ++this.loadToken;
+        this.trackKey = trackKey;
+
+        const saved = this.getSavedLyrics()[trackKey];
+        if (saved) {
+            // Lyrics saved before offsets had a map of their own kept theirs inside
+            this.apply(saved.lrc, this.getSavedOffset(trackKey, saved.offset || 0));
+            return;
+        }
+
+        this.apply('', 0);
+
+        const trackId = TrackAnalysisTimeline.trackIdFromUri(trackKey);
+        if (!trackId) return;
+
+        try {
+            const response = await fetch(`${this.baseUrl}${trackId}.lrc`);
+            // A newer track was requested while this one was loading, or while its text was read
+            if (!response.ok || token !== this.loadToken) return;
+            const text = await response.text();
+            if (token === this.loadToken) {
+                this.apply(text, this.getSavedOffset(trackKey));
+            }
+        } catch (error) {
+            // No lyrics server, the window offers to open a file
+        }
+    }
+
+    /**
+     * Use LRC text for the current track and remember it
+     * @param {string} text - Contents of an .lrc file
+     * @throws {Error} When the text has no timed lines
+     */
+    load(text) {
+        const parsed = LyricsTrack.parse(text);
+        if (parsed.lines.length === 0) {
+            throw new Error('The file has no timed lines, e.g. [01:02.50]Some words');
+        }
+
+        this.loadToken++;
+        this.apply(text, 0);
+        this.save(text);
+        this.saveOffset();
+    }
+
+    apply(text, offset) {
+        const parsed = LyricsTrack.parse(text);
+        this.lines = parsed.lines;
+        this.title = parsed.title;
+        this.artist = parsed.artist;
+        this.fileOffset = parsed.offset;
+        this.offset = offset;
+        this.lineIndex = -1;
+        this.drawLine('');
+
+        this.dispatchEvent('lyrics-change', { trackKey: this.trackKey, lines: this.lines });
+    }
+
+    /**
+     * Move the lyrics against the music
+     * @param {number} offset - Milliseconds, positive shows the lines earlier
+     */
+    setOffset(offset) {
+        this.offset = Math.round(offset);
+        if (this.lines.length > 0) {
+            this.saveOffset();
+        }
+        this.dispatchEvent('offset-change', { offset: this.offset });
+    }
+
+    /**
+     * Send the current line to the background shader
+     * @param {boolean} show
+     */
+    setShowInScene(show) {
+        this.showInScene = !!show;
+        try {
+            localStorage.setItem('wmp_lyrics_scene', this.showInScene ? '1' : '0');
+        } catch (e) {
+            console.warn('Could not save the lyrics scene setting');
+        }
+    }
+
+    loadShowInScene() {
+        try {
+            return localStorage.getItem('wmp_lyrics_scene') === '1';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    getSavedLyrics() {
+        try {
+            return JSON.parse(localStorage.getItem('wmp_lyrics') || '{}');
+        } catch (e) {
+            console.warn('Could not read saved lyrics');
+            return {};
+        }
+    }
+
+    save(text) {
+        if (!this.trackKey) return;
+
+        try {
+            const saved = this.getSavedLyrics();
+            saved[this.trackKey] = { lrc: text };
+            localStorage.setItem('wmp_lyrics', JSON.stringify(saved));
+        } catch (e) {
+            console.warn('Could not save lyrics, localStorage may be full');
+        }
+    }
+
+    getSavedOffsets() {
+        try {
+            return JSON.parse(localStorage.getItem('wmp_lyrics_offsets') || '{}');
+        } catch (e) {
+            console.warn('Could not read saved lyrics offsets');
+            return {};
+        }
+    }
+
+    /**
+     * @param {string} trackKey - See setTrack
+     * @param {number} fallback - Offset when none was saved for the track
+     * @returns {number} - Milliseconds
+     */
+    getSavedOffset(trackKey, fallback = 0) {
+        const offset = this.getSavedOffsets()[trackKey];
+        return typeof offset === 'number' ? offset : fallback;
+    }
+
+    saveOffset() {
+        if (!this.trackKey) return;
+
+        try {
+            const offsets = this.getSavedOffsets();
+            offsets[this.trackKey] = this.offset;
+            localStorage.setItem('wmp_lyrics_offsets', JSON.stringify(offsets));
+        } catch (e) {
+            console.warn('Could not save lyrics offset');
+        }
+    }
+
+    /**
+     * Sync to a position reported by the player
+     * @param {number} positionMs - Playback position in milliseconds
+     * @param {boolean} isPaused - Whether playback is paused
+     */
+    sync(positionMs, isPaused) {
+        if (typeof positionMs !== 'number' || isNaN(positionMs)) return;
+
+        this.syncPosition = positionMs / 1000;
+        this.syncTime = performance.now();
+        this.isPaused = !!isPaused;
+    }
+
+    /**
+     * Position in the lyrics, interpolated since the last update and offset
+     * @returns {number} - Seconds
+     */
+    getPosition(now = performance.now()) {
+        const position = this.isPaused ? this.syncPosition : this.syncPosition + (now - this.syncTime) / 1000;
+        return position + (this.fileOffset + this.offset) / 1000;
+    }
+
+    /**
+     * The line and its fade, for offline frames, see Visualizer.renderOffline
+     * @returns {Object}
+     */
+    getFrameState() {
+        return { lineIndex: this.lineIndex, opacity: this.uniforms.iLyricsOpacity.value };
+    }
+
+    /**
+     * Put back a state from getFrameState, or no line shown
+     * @param {Object|null} state
+     */
+    setFrameState(state) {
+        state = state || { lineIndex: -1, opacity: 0 };
+        this.uniforms.iLyricsOpacity.value = state.opacity;
+
+        // The window highlighted the line of the other state
+        if (state.lineIndex !== this.lineIndex) {
+            this.lineIndex = state.lineIndex;
+            const line = this.lines[state.lineIndex] || null;
+            this.drawLine(line ? line.text : '');
+            this.dispatchEvent('line-change', { index: state.lineIndex, line });
+        }
+    }
+
+    /**
+     * Follow the position, call once per frame
+     * @param {number} trackPosition - Seconds into the track, interpolated from the player when left out
+     */
+    update(trackPosition = null) {
+        if (this.lines.length > 0) {
+            const position = trackPosition === null
+                ? this.getPosition()
+                : trackPosition + (this.fileOffset + this.offset) / 1000;
+            const index = TrackAnalysisTimeline.indexAt(this.lines, position);
+            if (index !== this.lineIndex) {
+                this.lineIndex = index;
+                const line = this.lines[index] || null;
+                this.drawLine(line ? line.text : '');
+                this.dispatchEvent('line-change', { index, line });
+            }
+        }
+
+        const hasText = this.showInScene && this.lineIndex >= 0 && !!this.lines[this.lineIndex].text;
+        const opacity = this.uniforms.iLyricsOpacity;
+        opacity.value += ((hasText ? 1 : 0) - opacity.value) * 0.15;
+    }
+
+    // Draw a line into the iLyrics texture, shrinking long lines to fit
+    drawLine(text) {
+        const context = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        context.clearRect(0, 0, width, height);
+
+        if (text) {
+            let size = 64;
+            context.font = `bold ${size}px Tahoma, sans-serif`;
+            const measured = context.measureText(text).width;
+            if (measured > width * 0.94) {
+                size = Math.max(24, Math.floor(size * width * 0.94 / measured));
+                context.font = `bold ${size}px Tahoma, sans-serif`;
+            }
+
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.shadowColor = 'rgba(0, 0, 0, 0.8)';
+            context.shadowBlur = 8;
+            context.fillStyle = 'white';
+            context.fillText(text, width / 2, height / 2, width * 0.98);
+        }
+
+        this.texture.needsUpdate = true;
+    }
+
+    // Event handling methods
+    addEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = [];
+        }
+        this.eventListeners[eventName].push(callback);
+        return this; // For chaining
+    }
+
+    removeEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) return this;
+        this.eventListeners[eventName] = this.eventListeners[eventName].filter(
+            listener => listener !== callback
+        );
+        return this; // For chaining
+    }
+
+    dispatchEvent(eventName, data = {}) {
+        if (!this.eventListeners[eventName]) return false;
+
+        const event = {
+            type: eventName,
+            target: this,
+            data: data,
+            timestamp: Date.now()
+        };
+
+        this.eventListeners[eventName].forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in ${eventName} event listener:`, error);
+            }
+        });
+
+        return true;
+    }
+}
+
+/**
+ * The Lyrics window: open an .lrc file, adjust the offset and follow along
+ */
+class LyricsWindow {
+    /**
+     * @param {Element} windowElement - #lyrics-window
+     * @param {LyricsTrack} lyrics - Lyrics to show
+     */
+    constructor(windowElement, lyrics) {
+        this.element = windowElement;
+        this.lyrics = lyrics;
+        // Offset buttons move the lyrics by this much, in ms
+        this.offsetStep = 250;
+
+        this.list = windowElement.querySelector('#lyrics-lines');
+        this.fileInput = windowElement.querySelector('#lyrics-file-input');
+        this.offsetText = windowElement.querySelector('#lyrics-offset');
+        this.sceneCheckbox = windowElement.querySelector('#lyrics-show-in-scene');
+        this.error = windowElement.querySelector('.lyrics-error');
+
+        this.setupControls();
+        this.lyrics.addEventListener('lyrics-change', () => this.render());
+        this.lyrics.addEventListener('offset-change', () => this.renderOffset());
+        this.lyrics.addEventListener('line-change', (e) => this.highlight(e.data.index));
+        this.render();
+    }
+
+    setupControls() {
+        this.element.querySelector('#lyrics-open').addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', async () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (!file) return;
+
+            try {
+                this.lyrics.load(await file.text());
+                this.showError('');
+            } catch (error) {
+                this.showError(error.message);
+            }
+        });
+
+        this.element.querySelector('#lyrics-earlier').addEventListener('click', () => {
+            this.lyrics.setOffset(this.lyrics.offset + this.offsetStep);
+        });
+        this.element.querySelector('#lyrics-later').addEventListener('click', () => {
+            this.lyrics.setOffset(this.lyrics.offset - this.offsetStep);
+        });
+        this.element.querySelector('#lyrics-reset').addEventListener('click', () => this.lyrics.setOffset(0));
+
+        this.sceneCheckbox.checked = this.lyrics.showInScene;
+        this.sceneCheckbox.addEventListener('change', () => this.lyrics.setShowInScene(this.sceneCheckbox.checked));
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        this.renderOffset();
+
+        if (this.lyrics.lines.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'lyrics-empty';
+            empty.textContent = this.lyrics.trackKey
+                ? 'No lyrics for this track. Click Open LRC... to load an .lrc file.'
+                : 'Play a track, then open its .lrc file.';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.lyrics.lines.forEach(line => {
+            const row = document.createElement('li');
+            row.className = 'lyrics-line';
+            // Instrumental breaks are empty lines in LRC
+            row.textContent = line.text || '♪';
+            this.list.appendChild(row);
+        });
+        this.highlight(this.lyrics.lineIndex);
+    }
+
+    renderOffset() {
+        const seconds = this.lyrics.offset / 1000;
+        this.offsetText.textContent = `${seconds > 0 ? '+' : ''}${seconds.toFixed(2)} s`;
+    }
+
+    // Mark the current line and keep it in the middle of the list
+    highlight(index) {
+        const rows = this.list.querySelectorAll('.lyrics-line');
+        rows.forEach((row, rowIndex) => row.classList.toggle('current', rowIndex === index));
+
+        const row = rows[index];
+        if (row && this.element.style.display !== 'none') {
+            this.list.scrollTop = row.offsetTop - this.list.offsetTop - (this.list.clientHeight - row.offsetHeight) / 2;
+        }
+    }
+
+    showError(message) {
+        if (this.error) {
+            this.error.textContent = message;
+        }
+    }
+}
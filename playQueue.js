@@ -0,0 +1,474 @@
+/**
+ * playQueue.js
+ * What plays next - the Now Playing List
+ *
+ * PlayQueue holds the queued Spotify items, each with an optional background
+ * preset that is switched to when the item starts. The queue survives reloads
+ * and can be saved as named playlists. NowPlayingList renders it into
+ * #playlist-window.
+ *
+ * The Visualizer advances the queue when the Spotify player reports the end
+ * of a track.
+ */
+
+class PlayQueue {
+    constructor() {
+        // { id, uri, type, presetId }
+        this.items = [];
+        this.currentIndex = -1;
+        // Where next() goes on after the playing item was removed
+        this.nextIndex = null;
+        this.nextId = 1;
+
+        this.eventListeners = {};
+
+        this.restore();
+    }
+
+    /**
+     * Queue a Spotify link
+     * @param {string} input - open.spotify.com link or spotify: URI
+     * @param {string|null} presetId - Background preset to show while it plays
+     * @returns {Object} - The queued item
+     */
+    add(input, presetId = null) {
+        const link = SpotifyLink.parse(input);
+        const item = { id: this.nextId++, uri: link.uri, type: link.type, presetId };
+        this.items.push(item);
+        this.changed();
+        return item;
+    }
+
+    remove(id) {
+        const index = this.indexOf(id);
+        if (index < 0) return;
+
+        this.items.splice(index, 1);
+        if (index < this.currentIndex) {
+            this.currentIndex--;
+        } else if (index === this.currentIndex) {
+            // The item after it moved up into its place
+            this.currentIndex = -1;
+            this.nextIndex = index;
+        } else if (this.nextIndex !== null && index < this.nextIndex) {
+            this.nextIndex--;
+        }
+        this.changed();
+    }
+
+    /**
+     * Move an item to another position, the playing item stays current
+     * @param {number} fromIndex
+     * @param {number} toIndex
+     */
+    move(fromIndex, toIndex) {
+        if (fromIndex === toIndex || !this.items[fromIndex]) return;
+
+        const current = this.items[this.currentIndex];
+        const next = this.nextIndex !== null ? this.items[this.nextIndex] : null;
+        const [item] = this.items.splice(fromIndex, 1);
+        this.items.splice(Math.max(0, Math.min(toIndex, this.items.length)), 0, item);
+        this.currentIndex = current ? this.items.indexOf(current) : -1;
+        if (next) {
+            this.nextIndex = this.items.indexOf(next);
+        }
+        this.changed();
+    }
+
+    setPreset(id, presetId) {
+        const item = this.items[this.indexOf(id)];
+        if (!item) return;
+
+        item.presetId = presetId || null;
+        this.changed();
+    }
+
+    clear() {
+        this.items = [];
+        this.currentIndex = -1;
+        this.nextIndex = null;
+        this.changed();
+    }
+
+    indexOf(id) {
+        return this.items.findIndex(item => item.id === id);
+    }
+
+    getCurrent() {
+        return this.items[this.currentIndex] || null;
+    }
+
+    /**
+     * Start an item, listeners do the actual playing
+     * @param {number} index - Position in the queue
+     * @returns {Object|null} - The item, or null past the end
+     */
+    playAt(index) {
+        const item = this.items[index];
+        if (!item) return null;
+
+        this.currentIndex = index;
+        this.nextIndex = null;
+        this.changed();
+        this.dispatchEvent('play-item', { item, index });
+        return item;
+    }
+
+    /**
+     * Move on to the next item
+     * @returns {Object|null} - The item, or null at the end of the queue
+     */
+    next() {
+        if (this.currentIndex < 0 && this.nextIndex !== null) {
+            return this.playAt(this.nextIndex);
+        }
+        return this.playAt(this.currentIndex + 1);
+    }
+
+    previous() {
+        return this.playAt(Math.max(0, this.currentIndex - 1));
+    }
+
+    changed() {
+        this.save();
+        this.dispatchEvent('change', { items: this.items.slice(), currentIndex: this.currentIndex });
+    }
+
+    // Stored without ids, they are handed out again on load
+    serialize() {
+        return this.items.map(item => ({ uri: item.uri, presetId: item.presetId }));
+    }
+
+    deserialize(records) {
+        return (Array.isArray(records) ? records : [])
+            .map(record => {
+                const link = SpotifyLink.tryParse(record.uri);
+                return link ? { id: this.nextId++, uri: link.uri, type: link.type, presetId: record.presetId || null } : null;
+            })
+            .filter(Boolean);
+    }
+
+    save() {
+        try {
+            localStorage.setItem('wmp_queue', JSON.stringify({
+                items: this.serialize(),
+                currentIndex: this.currentIndex
+            }));
+        } catch (e) {
+            console.warn('Could not save the play queue');
+        }
+    }
+
+    restore() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('wmp_queue') || 'null');
+            if (saved) {
+                this.items = this.deserialize(saved.items);
+                const index = Number(saved.currentIndex);
+                this.currentIndex = Number.isInteger(index) ? Math.min(index, this.items.length - 1) : -1;
+            }
+        } catch (e) {
+            console.warn('Could not restore the play queue');
+        }
+    }
+
+    /**
+     * Named playlists saved in localStorage
+     * @returns {Object} - Map of name to stored items
+     */
+    getSavedPlaylists() {
+        try {
+            return JSON.parse(localStorage.getItem('wmp_playlists') || '{}');
+        } catch (e) {
+            console.warn('Could not read saved playlists');
+            return {};
+        }
+    }
+
+    savePlaylist(name) {
+        try {
+            const playlists = this.getSavedPlaylists();
+            playlists[name] = this.serialize();
+            localStorage.setItem('wmp_playlists', JSON.stringify(playlists));
+        } catch (e) {
+            console.warn('Could not save playlist');
+            throw new Error('The playlist could not be saved, the browser storage is full or disabled');
+        }
+    }
+
+    /**
+     * Replace the queue with a saved playlist
+     * @param {string} name - Playlist name
+     * @returns {boolean} - Whether the playlist exists
+     */
+    loadPlaylist(name) {
+        const records = this.getSavedPlaylists()[name];
+        if (!records) return false;
+
+        this.items = this.deserialize(records);
+        this.currentIndex = -1;
+        this.nextIndex = null;
+        this.changed();
+        return true;
+    }
+
+    deletePlaylist(name) {
+        try {
+            const playlists = this.getSavedPlaylists();
+            delete playlists[name];
+            localStorage.setItem('wmp_playlists', JSON.stringify(playlists));
+        } catch (e) {
+            console.warn('Could not delete playlist');
+        }
+    }
+
+    // Event handling methods
+    addEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = [];
+        }
+        this.eventListeners[eventName].push(callback);
+        return this; // For chaining
+    }
+
+    removeEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) return this;
+        this.eventListeners[eventName] = this.eventListeners[eventName].filter(
+            listener => listener !== callback
+        );
+        return this; // For chaining
+    }
+
+    dispatchEvent(eventName, data = {}) {
+        if (!this.eventListeners[eventName]) return false;
+
+        const event = {
+            type: eventName,
+            target: this,
+            data: data,
+            timestamp: Date.now()
+        };
+
+        this.eventListeners[eventName].forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in ${eventName} event listener:`, error);
+            }
+        });
+
+        return true;
+    }
+}
+
+/**
+ * The Now Playing List window: add, reorder by dragging, pick a preset per
+ * item, double-click to play, and save or load named playlists.
+ */
+class NowPlayingList {
+    /**
+     * @param {Element} windowElement - #playlist-window
+     * @param {PlayQueue} queue - Queue to show
+     * @param {ShaderPresetRegistry} presetRegistry - Presets offered per item
+     */
+    constructor(windowElement, queue, presetRegistry) {
+        this.element = windowElement;
+        this.queue = queue;
+        this.presetRegistry = presetRegistry;
+
+        this.list = windowElement.querySelector('#playlist-queue');
+        this.input = windowElement.querySelector('#playlist-add-input');
+        this.error = windowElement.querySelector('.playlist-error');
+        this.savedSelect = windowElement.querySelector('#playlist-saved');
+        this.draggedIndex = -1;
+
+        this.setupControls();
+        this.queue.addEventListener('change', () => this.render());
+        this.render();
+        this.renderSavedPlaylists();
+    }
+
+    setupControls() {
+        const add = () => {
+            try {
+                this.queue.add(this.input.value);
+                this.input.value = '';
+                this.showError('');
+            } catch (error) {
+                this.showError(error.message);
+            }
+        };
+
+        this.element.querySelector('#playlist-add-button').addEventListener('click', add);
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') add();
+        });
+
+        this.element.querySelector('#playlist-clear').addEventListener('click', () => this.queue.clear());
+
+        this.element.querySelector('#playlist-load').addEventListener('click', () => {
+            if (this.savedSelect.value) {
+                this.queue.loadPlaylist(this.savedSelect.value);
+            }
+        });
+
+        this.element.querySelector('#playlist-delete').addEventListener('click', () => {
+            if (!this.savedSelect.value) return;
+            this.queue.deletePlaylist(this.savedSelect.value);
+            this.renderSavedPlaylists();
+        });
+
+        this.element.querySelector('#playlist-save').addEventListener('click', () => this.openSaveDialog());
+    }
+
+    openSaveDialog() {
+        const dialog = new XPDialog({
+            title: 'Save Playlist',
+            content: `
+                <div class="field-row-stacked">
+                    <label for="playlist-save-name">Playlist name</label>
+                    <input type="text" id="playlist-save-name" value="${this.escape(this.savedSelect.value || 'My Playlist')}">
+                </div>
+                <p class="xp-dialog-error"></p>
+            `,
+            buttons: [
+                {
+                    label: 'Save',
+                    isDefault: true,
+                    action: (dialog) => {
+                        const name = dialog.find('#playlist-save-name').value.trim();
+                        if (!name) {
+                            dialog.find('.xp-dialog-error').textContent = 'Enter a name for the playlist';
+                            return false;
+                        }
+                        try {
+                            this.queue.savePlaylist(name);
+                        } catch (error) {
+                            dialog.find('.xp-dialog-error').textContent = error.message;
+                            return false;
+                        }
+                        this.renderSavedPlaylists(name);
+                        return true;
+                    }
+                },
+                { label: 'Cancel' }
+            ]
+        });
+
+        dialog.open();
+        return dialog;
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        if (this.queue.items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'playlist-empty';
+            empty.textContent = 'The list is empty. Paste a Spotify link above and press Add.';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.queue.items.forEach((item, index) => {
+            this.list.appendChild(this.renderItem(item, index));
+        });
+    }
+
+    renderItem(item, index) {
+        const row = document.createElement('li');
+        row.className = 'playlist-item';
+        row.classList.toggle('playing', index === this.queue.currentIndex);
+        row.draggable = true;
+        row.title = 'Double-click to play, drag to reorder';
+
+        const label = document.createElement('span');
+        label.className = 'playlist-label';
+        label.textContent = `${index + 1}. ${item.type.charAt(0).toUpperCase()}${item.type.slice(1)} ${item.uri.split(':').pop()}`;
+        row.appendChild(label);
+
+        const preset = document.createElement('select');
+        preset.className = 'playlist-preset';
+        preset.title = 'Scene while this item plays';
+        preset.innerHTML = '<option value="">Keep scene</option>';
+        this.presetRegistry.list().forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = entry.name;
+            preset.appendChild(option);
+        });
+        preset.value = item.presetId || '';
+        preset.addEventListener('change', () => this.queue.setPreset(item.id, preset.value));
+        row.appendChild(preset);
+
+        const remove = document.createElement('button');
+        remove.className = 'playlist-remove';
+        remove.textContent = 'x';
+        remove.title = 'Remove from the list';
+        remove.addEventListener('click', () => this.queue.remove(item.id));
+        row.appendChild(remove);
+
+        row.addEventListener('dblclick', (e) => {
+            if (e.target.closest('select, button')) return;
+            this.queue.playAt(index);
+        });
+
+        // Reordering by drag and drop
+        row.addEventListener('dragstart', (e) => {
+            this.draggedIndex = index;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.uri);
+            row.classList.add('dragging');
+        });
+        row.addEventListener('dragend', () => {
+            this.draggedIndex = -1;
+            row.classList.remove('dragging');
+        });
+        row.addEventListener('dragover', (e) => {
+            if (this.draggedIndex < 0) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+        row.addEventListener('drop', (e) => {
+            if (this.draggedIndex < 0) return;
+            e.preventDefault();
+            // Dropping on the lower half of a row puts the item after it
+            const rect = row.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            let target = index + (after ? 1 : 0);
+            if (this.draggedIndex < target) target--;
+            this.queue.move(this.draggedIndex, target);
+        });
+
+        return row;
+    }
+
+    renderSavedPlaylists(selected = this.savedSelect.value) {
+        const names = Object.keys(this.queue.getSavedPlaylists()).sort();
+        this.savedSelect.innerHTML = '';
+
+        if (names.length === 0) {
+            this.savedSelect.innerHTML = '<option value="">No saved playlists</option>';
+        }
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.savedSelect.appendChild(option);
+        });
+
+        if (names.includes(selected)) {
+            this.savedSelect.value = selected;
+        }
+    }
+
+    showError(message) {
+        if (this.error) {
+            this.error.textContent = message;
+        }
+    }
+
+    escape(text) {
+        return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * playbackState.js
+ * The one authoritative answer to "is the music playing?"
+ *
+ * States: idle, loading, playing, paused, buffering, ended, error
+ *
+ * Players report what they actually do (report), the controls ask for what
+ * should happen next (request). A request changes the state right away so
+ * the UI responds to the click, but it stays pending until a report
+ * confirms it. A pending request that is not confirmed within
+ * confirmTimeout is rolled back to the last reported state.
+ *
+ * Every state change is dispatched exactly once as a 'change' event:
+ *   { state, previousState, source, isPending, isRollback }
+ */
+
+class PlaybackStateMachine {
+    constructor({ confirmTimeout = 3000 } = {}) {
+        this.state = 'idle';
+        this.confirmTimeout = confirmTimeout;
+
+        // State the players last reported, what a rollback returns to
+        this.reportedState = 'idle';
+
+        // Optimistic request waiting for a report, { state, source, timer }
+        this.pending = null;
+
+        this.eventListeners = {};
+    }
+
+    /**
+     * Allowed next states for requests, reports may move anywhere
+     */
+    static get TRANSITIONS() {
+        return {
+            idle: ['loading', 'playing', 'error'],
+            loading: ['playing', 'paused', 'idle', 'error'],
+            playing: ['paused', 'buffering', 'ended', 'loading', 'error'],
+            paused: ['playing', 'loading', 'ended', 'idle', 'error'],
+            buffering: ['playing', 'paused', 'loading', 'error'],
+            ended: ['playing', 'loading', 'idle', 'error'],
+            error: ['loading', 'playing', 'paused', 'idle']
+        };
+    }
+
+    /**
+     * Map a PlayerAdapter state onto a machine state
+     * @param {Object} playerState - State from playerAdapters.js
+     * @returns {string}
+     */
+    static fromPlayerState(playerState) {
+        if (playerState.error) return 'error';
+        if (playerState.isLoading) return 'loading';
+        if (playerState.isEnded) return 'ended';
+        if (playerState.isPlaying) return playerState.isBuffering ? 'buffering' : 'playing';
+        if (!playerState.uri && !playerState.duration) return 'idle';
+        return 'paused';
+    }
+
+    // Playing as far as the controls are concerned, buffering is a stalled play
+    isPlaying() {
+        return this.state === 'playing' || this.state === 'buffering';
+    }
+
+    isPending() {
+        return !!this.pending;
+    }
+
+    /**
+     * Optimistically move to a state until a player confirms it
+     * @param {string} state - Requested state
+     * @param {string} source - What asked for it, e.g. 'user'
+     * @returns {boolean} - False if the transition is not allowed from the current state
+     */
+    request(state, source) {
+        if (!PlaybackStateMachine.TRANSITIONS[this.state].includes(state)) {
+            console.warn(`Ignoring playback request ${this.state} -> ${state}`);
+            return false;
+        }
+
+        this.clearPending();
+        this.pending = {
+            state,
+            source,
+            timer: setTimeout(() => this.rollback(`${source} timeout`), this.confirmTimeout)
+        };
+        this.transition(state, source);
+        return true;
+    }
+
+    /**
+     * Apply the state a player reports
+     * @param {Object} playerState - State from playerAdapters.js
+     * @param {string} source - Name of the reporting player
+     */
+    report(playerState, source) {
+        const state = PlaybackStateMachine.fromPlayerState(playerState);
+        this.reportedState = state;
+
+        if (this.pending) {
+            if (!this.confirms(state, this.pending.state)) {
+                // Players keep reporting the old state until the command lands, errors don't wait
+                if (state !== 'error') return;
+            }
+            this.clearPending();
+        }
+
+        this.transition(state, source);
+    }
+
+    // Whether a reported state settles a pending request
+    confirms(reported, requested) {
+        switch (requested) {
+            case 'playing': return reported === 'playing' || reported === 'buffering';
+            case 'paused': return reported === 'paused' || reported === 'ended' || reported === 'idle';
+            case 'loading': return reported !== 'idle';
+            default: return reported === requested;
+        }
+    }
+
+    /**
+     * Give up on the pending request and return to the last reported state
+     * @param {string} source - Why, e.g. 'local rejected'
+     */
+    rollback(source) {
+        if (!this.pending) return;
+
+        const requested = this.pending.state;
+        this.clearPending();
+        console.warn(`Playback request for ${requested} was not confirmed, back to ${this.reportedState}`);
+        this.transition(this.reportedState, source, true);
+    }
+
+    clearPending() {
+        if (!this.pending) return;
+        clearTimeout(this.pending.timer);
+        this.pending = null;
+    }
+
+    transition(state, source, isRollback = false) {
+        if (state === this.state) return;
+
+        const previousState = this.state;
+        this.state = state;
+        this.dispatchEvent('change', {
+            state,
+            previousState,
+            source,
+            isPending: this.isPending(),
+            isRollback
+        });
+    }
+
+    // Event handling methods
+    addEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = [];
+        }
+        this.eventListeners[eventName].push(callback);
+        return this; // For chaining
+    }
+
+    removeEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) return this;
+        this.eventListeners[eventName] = this.eventListeners[eventName].filter(
+            listener => listener !== callback
+        );
+        return this; // For chaining
+    }
+
+    dispatchEvent(eventName, data = {}) {
+        if (!this.eventListeners[eventName]) return false;
+
+        const event = {
+            type: eventName,
+            target: this,
+            data: data,
+            timestamp: Date.now()
+        };
+
+        this.eventListeners[eventName].forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in ${eventName} event listener:`, error);
+            }
+        });
+
+        return true;
+    }
+}
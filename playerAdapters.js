@@ -0,0 +1,456 @@
+/**
+ * playerAdapters.js
+ * One interface for everything that can play music
+ *
+ * The Visualizer only talks to a PlayerAdapter:
+ *   play(), pause(), toggle(), seek(ms), load(uri or file)
+ *   onState(callback) - called with the full state on every change,
+ *                       returns a function that removes the callback
+ *
+ * State shape, shared by every adapter:
+ *   { source, isPlaying, isBuffering, isLoading, isEnded, position, duration, uri, error }
+ * Positions and durations are in milliseconds, error is a message or null.
+ * Adapters only report what the player confirmed, playbackState.js turns
+ * that into the playback state machine.
+ *
+ * Implementations:
+ *   SpotifyEmbedAdapter - the Spotify IFrame API controller
+ *   LocalAudioAdapter   - a LocalAudioSource (audioReactive.js)
+ *   MockPlayerAdapter   - a scripted timeline, enabled with ?player=mock
+ */
+
+class PlayerAdapter {
+    /**
+     * @param {string} name - Source name reported in the state
+     */
+    constructor(name) {
+        this.name = name;
+        this.state = {
+            source: name,
+            isPlaying: false,
+            isBuffering: false,
+            isLoading: false,
+            isEnded: false,
+            position: 0,
+            duration: 0,
+            uri: null,
+            error: null
+        };
+        this.stateListeners = [];
+    }
+
+    play() {
+        throw new Error(`${this.name} player does not implement play()`);
+    }
+
+    pause() {
+        throw new Error(`${this.name} player does not implement pause()`);
+    }
+
+    /**
+     * @param {number} positionMs - Position to jump to in milliseconds
+     */
+    seek(positionMs) {
+        throw new Error(`${this.name} player does not implement seek()`);
+    }
+
+    /**
+     * @param {string|File} item - Track URI or, for local audio, a File
+     */
+    load(item) {
+        throw new Error(`${this.name} player does not implement load()`);
+    }
+
+    toggle() {
+        return this.state.isPlaying ? this.pause() : this.play();
+    }
+
+    getState() {
+        return Object.assign({}, this.state);
+    }
+
+    /**
+     * Subscribe to state changes
+     * @param {Function} callback - Receives a copy of the state
+     * @returns {Function} - Removes the callback again
+     */
+    onState(callback) {
+        this.stateListeners.push(callback);
+        return () => {
+            this.stateListeners = this.stateListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Merge a partial state and notify the subscribers
+     * @param {Object} changes - Changed state fields
+     */
+    emitState(changes = {}) {
+        Object.assign(this.state, changes, { source: this.name });
+        const state = this.getState();
+
+        this.stateListeners.forEach(callback => {
+            try {
+                callback(state);
+            } catch (error) {
+                console.error(`Error in ${this.name} player state listener:`, error);
+            }
+        });
+    }
+}
+
+/**
+ * The Spotify embed, driven through the IFrame API controller.
+ * Until the controller exists commands are posted to the iframe, which
+ * never confirms them, so the state machine rolls them back.
+ */
+class SpotifyEmbedAdapter extends PlayerAdapter {
+    constructor() {
+        super('spotify');
+        this.controller = null;
+        this.endMargin = 1000;
+        // Item last loaded, albums and playlists report their tracks as playingURI
+        this.loadedUri = null;
+        // { uri, previousUri } while a load waits to autoplay
+        this.pendingAutoplay = null;
+    }
+
+    /**
+     * Start following a controller created by IFrameAPI.createController
+     * @param {Object} controller - Spotify EmbedController
+     */
+    attach(controller) {
+        if (!controller || controller === this.controller) return;
+        this.controller = controller;
+
+        controller.addListener('ready', () => {
+            console.log('Spotify player is ready');
+            this.emitState({ isPlaying: false, uri: this.state.uri || this.getIframeUri() });
+        });
+
+        controller.addListener('playback_update', (e) => {
+            const data = e.data || {};
+            this.emitState({
+                isPlaying: !data.isPaused,
+                isBuffering: !!data.isBuffering,
+                isLoading: false,
+                // The embed stops a little short of the duration at the end of a track
+                isEnded: !data.isPaused ? false : data.duration > 0 && data.position >= data.duration - this.endMargin,
+                position: data.position || 0,
+                duration: data.duration || this.state.duration,
+                uri: data.playingURI || this.state.uri || this.getIframeUri(),
+                error: null
+            });
+
+            // Updates of the previous track can still arrive after loadUri
+            const pending = this.pendingAutoplay;
+            if (pending && (!data.playingURI || data.playingURI === pending.uri || data.playingURI !== pending.previousUri)) {
+                this.pendingAutoplay = null;
+                this.command('play', loaded => loaded.play());
+            }
+        });
+
+        controller.addListener('error', (e) => {
+            console.error('Spotify controller error:', e);
+            const message = e && e.data && e.data.message;
+            this.emitState({ isPlaying: false, isLoading: false, error: message || 'Spotify player error' });
+        });
+    }
+
+    play() {
+        // resume() continues where the track was paused, play() restarts it
+        this.command('play', controller => {
+            if (this.state.position > 0 && controller.resume) {
+                controller.resume();
+            } else {
+                controller.play();
+            }
+        });
+    }
+
+    pause() {
+        this.pendingAutoplay = null;
+        this.command('pause', controller => controller.pause());
+    }
+
+    toggle() {
+        if (this.controller && this.controller.togglePlay) {
+            this.command('toggle', controller => controller.togglePlay());
+            return;
+        }
+        super.toggle();
+    }
+
+    seek(positionMs) {
+        // The IFrame API seeks in seconds
+        this.command('seek', controller => controller.seek(positionMs / 1000));
+    }
+
+    /**
+     * @param {string} uri - spotify: URI
+     * @param {Object} options
+     * @param {boolean} options.autoplay - Start playing once loaded
+     */
+    load(uri, { autoplay = false } = {}) {
+        if (!this.controller) return;
+        // Loading lasts until the first playback update of the new track, play() before it is lost
+        this.loadedUri = uri;
+        this.pendingAutoplay = autoplay ? { uri, previousUri: this.state.uri } : null;
+        this.emitState({ uri, position: 0, duration: 0, isLoading: true, isEnded: false, error: null });
+        this.command('load', controller => controller.loadUri(uri));
+    }
+
+    command(name, run) {
+        if (this.controller) {
+            try {
+                run(this.controller);
+            } catch (error) {
+                console.error(`Spotify ${name} command failed:`, error);
+            }
+            return;
+        }
+
+        if (name !== 'play' && name !== 'pause') return;
+
+        const iframe = this.getIframe();
+        if (iframe && iframe.contentWindow) {
+            console.log(`Sending ${name} message to Spotify iframe`);
+            iframe.contentWindow.postMessage({ command: name }, '*');
+        }
+    }
+
+    getIframe() {
+        return document.querySelector('#spotify-player, #spotify-embed-iframe iframe');
+    }
+
+    getIframeUri() {
+        const iframe = this.getIframe();
+        const trackId = iframe ? TrackAnalysisTimeline.trackIdFromUri(iframe.src) : null;
+        return trackId ? `spotify:track:${trackId}` : null;
+    }
+}
+
+/**
+ * A local file played by LocalAudioSource, the state comes straight
+ * from the media element events.
+ */
+class LocalAudioAdapter extends PlayerAdapter {
+    /**
+     * @param {LocalAudioSource} audioSource - Source that owns the audio element
+     */
+    constructor(audioSource) {
+        super('local');
+        this.audioSource = audioSource;
+
+        const audio = audioSource.audio;
+        const report = (changes = {}) => this.emitState(Object.assign({
+            isPlaying: audioSource.isPlaying(),
+            isEnded: audio.ended,
+            position: audio.currentTime * 1000,
+            duration: isFinite(audio.duration) ? audio.duration * 1000 : 0
+        }, changes));
+
+        ['play', 'pause', 'ended', 'seeked', 'durationchange', 'timeupdate'].forEach(eventName => {
+            audio.addEventListener(eventName, () => report());
+        });
+        audio.addEventListener('waiting', () => report({ isBuffering: true }));
+        audio.addEventListener('playing', () => report({ isBuffering: false }));
+        audio.addEventListener('canplay', () => report({ isLoading: false }));
+        audio.addEventListener('error', () => {
+            const error = audio.error;
+            report({ isLoading: false, error: error && error.message ? error.message : 'The file could not be played' });
+        });
+
+        audioSource.addEventListener('track-change', (e) => {
+            report({ uri: `local:${e.data.fileName}`, isBuffering: false, isLoading: true, error: null });
+        });
+    }
+
+    play() {
+        return this.audioSource.play();
+    }
+
+    pause() {
+        this.audioSource.pause();
+    }
+
+    seek(positionMs) {
+        if (!this.audioSource.hasTrack()) return;
+        this.audioSource.audio.currentTime = positionMs / 1000;
+    }
+
+    /**
+     * @param {File} file - Audio file to play
+     * @returns {Promise<boolean>} - Whether playback started
+     */
+    load(file) {
+        return this.audioSource.loadFile(file);
+    }
+
+    hasTrack() {
+        return this.audioSource.hasTrack();
+    }
+}
+
+/**
+ * Plays nothing, but behaves like a player: commands take effect after a
+ * short latency and the position advances in real time. A script of timed
+ * steps can drive it without user input:
+ *   [{ at: 1000, action: 'play' }, { at: 5000, action: 'seek', position: 60000 },
+ *    { at: 8000, action: 'buffer', duration: 1500 }, { at: 12000, action: 'pause' }]
+ * Actions are play, pause, seek, load, buffer, end, error (with a message)
+ * and drop, which makes the next command go unanswered like a player that
+ * ignores it; at is in ms after start().
+ */
+class MockPlayerAdapter extends PlayerAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.uri - Track URI reported in the state
+     * @param {number} options.duration - Track length in milliseconds
+     * @param {number} options.latency - Delay before a command takes effect
+     * @param {Array<Object>} options.script - Timed steps, see above
+     */
+    constructor({ uri = SpotifyLink.DEFAULT_URI, duration = 180000, latency = 150, script = [] } = {}) {
+        super('mock');
+        this.latency = latency;
+        this.script = script;
+        this.scriptTimers = [];
+        this.tickTimer = null;
+        this.tickInterval = 500;
+        this.lastTick = 0;
+        this.dropNextCommand = false;
+        this.state.uri = uri;
+        this.state.duration = duration;
+    }
+
+    /**
+     * Whether the page was opened with ?player=mock
+     * @returns {boolean}
+     */
+    static isRequested() {
+        return new URLSearchParams(window.location.search).get('player') === 'mock';
+    }
+
+    /**
+     * Build a mock from the query string, ?mockScript= takes a JSON step list
+     * @returns {MockPlayerAdapter}
+     */
+    static fromQuery() {
+        const params = new URLSearchParams(window.location.search);
+        let script = [];
+        try {
+            script = JSON.parse(params.get('mockScript') || '[]');
+        } catch (e) {
+            console.warn('Ignoring invalid mockScript parameter');
+        }
+        return new MockPlayerAdapter({ script });
+    }
+
+    // Run the scripted steps
+    start() {
+        this.stop();
+        this.scriptTimers = this.script.map(step => setTimeout(() => this.runStep(step), step.at || 0));
+        this.emitState();
+    }
+
+    stop() {
+        this.scriptTimers.forEach(timer => clearTimeout(timer));
+        this.scriptTimers = [];
+        this.stopTicking();
+    }
+
+    runStep(step) {
+        switch (step.action) {
+            case 'play': this.play(); break;
+            case 'pause': this.pause(); break;
+            case 'seek': this.seek(step.position || 0); break;
+            case 'load': this.load(step.uri); break;
+            case 'buffer': this.buffer(step.duration || 1000); break;
+            case 'end': this.seek(this.state.duration); break;
+            case 'error':
+                this.stopTicking();
+                this.emitState({ isPlaying: false, error: step.message || 'Mock player error' });
+                break;
+            case 'drop': this.dropNextCommand = true; break;
+            default: console.warn(`Unknown mock player action: ${step.action}`);
+        }
+    }
+
+    play() {
+        this.later(() => {
+            if (this.state.isEnded) {
+                this.state.position = 0;
+            }
+            this.emitState({ isPlaying: true, isEnded: false, error: null });
+            this.startTicking();
+        });
+    }
+
+    pause() {
+        this.later(() => {
+            this.advance();
+            this.stopTicking();
+            this.emitState({ isPlaying: false });
+        });
+    }
+
+    seek(positionMs) {
+        this.later(() => {
+            this.lastTick = performance.now();
+            this.state.position = Math.max(0, Math.min(positionMs, this.state.duration));
+            this.advance();
+        });
+    }
+
+    load(uri) {
+        this.stopTicking();
+        this.emitState({ uri, position: 0, isPlaying: false, isLoading: true, isEnded: false, error: null });
+        this.later(() => this.emitState({ isLoading: false }));
+    }
+
+    // Stall the position for a while, like a slow network would
+    buffer(durationMs) {
+        this.advance();
+        this.emitState({ isBuffering: true });
+        setTimeout(() => {
+            this.lastTick = performance.now();
+            this.emitState({ isBuffering: false });
+        }, durationMs);
+    }
+
+    later(run) {
+        if (this.dropNextCommand) {
+            this.dropNextCommand = false;
+            console.log('Mock player dropped a command');
+            return;
+        }
+        setTimeout(run, this.latency);
+    }
+
+    startTicking() {
+        this.stopTicking();
+        this.lastTick = performance.now();
+        this.tickTimer = setInterval(() => this.advance(), this.tickInterval);
+    }
+
+    stopTicking() {
+        clearInterval(this.tickTimer);
+        this.tickTimer = null;
+    }
+
+    // Move the position on by the time since the last tick and report it
+    advance() {
+        const now = performance.now();
+        if (this.state.isPlaying && !this.state.isBuffering) {
+            this.state.position += now - this.lastTick;
+        }
+        this.lastTick = now;
+
+        if (this.state.position >= this.state.duration) {
+            this.stopTicking();
+            this.emitState({ position: this.state.duration, isPlaying: false, isEnded: true });
+            return;
+        }
+        this.emitState();
+    }
+}
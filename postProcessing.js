@@ -0,0 +1,471 @@
+/**
+ * postProcessing.js
+ * Render-target pipeline behind the visualizers
+ *
+ * The scene is drawn into a texture, blended with the previous output when
+ * the preset asks for feedback, run through a chain of post passes and then
+ * copied to the canvas. The previous output lives in a ping-pong pair of
+ * render targets, so trails, echoes and zoom tunnels cost one texture read
+ * instead of re-evaluating the past in the scene shader.
+ *
+ * Configured per preset with "post" in shaders/presets.json:
+ *   "post": {
+ *     "feedback": { "decay": 0.96, "blend": "max", "zoom": 1.0, "rotate": 0.0 },
+ *     "passes": [
+ *       { "type": "bloom", "threshold": 0.6, "strength": 0.8, "radius": 1.0 },
+ *       { "type": "blur", "radius": 1.0 },
+ *       { "type": "chromatic", "amount": 0.004 }
+ *     ]
+ *   }
+ * Feedback values are per 1/60 s and scaled by the frame time, so trails last
+ * as long at any frame rate. blend is max (trails), add (glow) or mix (echo).
+ * Without "post" the scene renders straight to the canvas as before.
+ *
+ * setQuality (see qualityGovernor.js) drops passes from the end of the chain
+ * and adds FXAA after the last one, the canvases have no MSAA.
+ */
+
+class PostProcessingPipeline {
+    static get PASS_DEFAULTS() {
+        return {
+            bloom: { threshold: 0.6, strength: 0.8, radius: 1.0 },
+            blur: { radius: 1.0 },
+            chromatic: { amount: 0.004 },
+            fxaa: {}
+        };
+    }
+
+    static get BLEND_MODES() {
+        return ['max', 'add', 'mix'];
+    }
+
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Renderer of the canvas the pipeline draws to
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.feedback = null;
+        // Passes of the preset, and the ones that run at the current quality
+        this.configuredPasses = [];
+        this.passes = [];
+        this.maxPasses = Infinity;
+        this.antialias = false;
+
+        this.targets = null;
+        this.width = 0;
+        this.height = 0;
+        this.size = new THREE.Vector2();
+        this.viewport = new THREE.Vector4();
+        this.feedbackIndex = 0;
+        this.needsClear = true;
+        // Final texture of the last frame, for present()
+        this.output = null;
+
+        this.materials = PostProcessingPipeline.createMaterials();
+
+        // One fullscreen quad draws every pass
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.materials.copy);
+        this.quad.frustumCulled = false;
+        this.scene.add(this.quad);
+    }
+
+    /**
+     * Set up feedback and passes, see the "post" format above
+     * @param {Object|null} config - null renders the scene directly
+     */
+    configure(config = null) {
+        const feedback = config && config.feedback;
+        this.feedback = feedback ? Object.assign({ decay: 0.95, blend: 'max', zoom: 1.0, rotate: 0.0 }, feedback) : null;
+        if (this.feedback && !PostProcessingPipeline.BLEND_MODES.includes(this.feedback.blend)) {
+            console.warn(`Unknown feedback blend: ${this.feedback.blend}`);
+            this.feedback.blend = 'max';
+        }
+
+        this.configuredPasses = ((config && config.passes) || []).filter(pass => {
+            if (PostProcessingPipeline.PASS_DEFAULTS[pass.type]) return true;
+            console.warn(`Unknown post pass: ${pass.type}`);
+            return false;
+        }).map(pass => Object.assign({}, PostProcessingPipeline.PASS_DEFAULTS[pass.type], pass));
+
+        this.updatePasses();
+        this.reset();
+    }
+
+    /**
+     * Limit the passes for a quality level
+     * @param {Object} quality
+     * @param {number} quality.maxPasses - Passes of the preset that still run, from the start
+     * @param {boolean} quality.antialias - FXAA after the last pass
+     */
+    setQuality({ maxPasses = Infinity, antialias = false } = {}) {
+        this.maxPasses = maxPasses;
+        this.antialias = antialias;
+        this.updatePasses();
+    }
+
+    updatePasses() {
+        this.passes = this.configuredPasses.slice(0, this.maxPasses);
+        if (this.antialias) {
+            this.passes.push({ type: 'fxaa' });
+        }
+    }
+
+    isEnabled() {
+        return !!this.feedback || this.passes.length > 0;
+    }
+
+    // Forget the previous frames, e.g. when the scene changes
+    reset() {
+        this.needsClear = true;
+        this.output = null;
+    }
+
+    /**
+     * Render a frame through the pipeline
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     * @param {Object} options
+     * @param {number} options.delta - Seconds since the previous frame, scales the feedback
+     * @param {THREE.WebGLRenderTarget} options.target - Where the result goes, the canvas by default
+     * On the canvas the result fills the renderer's viewport, see frameScheduler.js
+     */
+    render(scene, camera, { delta = 1 / 60, target = null } = {}) {
+        const renderer = this.renderer;
+        if (!this.isEnabled()) {
+            renderer.setRenderTarget(target);
+            renderer.render(scene, camera);
+            return;
+        }
+
+        const viewport = renderer.getViewport(this.viewport);
+        const size = target
+            ? this.size.set(target.width, target.height)
+            : this.size.set(viewport.z, viewport.w).multiplyScalar(renderer.getPixelRatio()).floor();
+        this.ensureTargets(size.x, size.y);
+        const targets = this.targets;
+
+        renderer.setRenderTarget(targets.scene);
+        renderer.render(scene, camera);
+        let input = targets.scene;
+
+        if (this.feedback) {
+            const previous = targets.feedback[this.feedbackIndex];
+            const next = targets.feedback[1 - this.feedbackIndex];
+            // Without a past the frame is its own, fading in from black would dim the first second
+            if (this.needsClear) {
+                this.copy(input.texture, previous);
+            }
+            // Values are per 1/60 s
+            const steps = Math.max(0, delta) * 60;
+            const uniforms = this.materials.feedback.uniforms;
+            uniforms.iCurrent.value = input.texture;
+            uniforms.iPrevious.value = previous.texture;
+            uniforms.iDecay.value = Math.pow(this.feedback.decay, steps);
+            uniforms.iZoom.value = Math.pow(this.feedback.zoom, steps);
+            uniforms.iRotate.value = this.feedback.rotate * steps;
+            uniforms.iAspect.value = size.x / size.y;
+            uniforms.iBlend.value = PostProcessingPipeline.BLEND_MODES.indexOf(this.feedback.blend);
+
+            this.draw(this.materials.feedback, next);
+            this.feedbackIndex = 1 - this.feedbackIndex;
+            input = next;
+        }
+        this.needsClear = false;
+
+        this.passes.forEach((pass, index) => {
+            const output = targets.swap[index % 2];
+            this.applyPass(pass, input, output);
+            input = output;
+        });
+
+        this.output = input;
+        this.copy(input.texture, target);
+    }
+
+    /**
+     * Draw the last frame again without rendering the scene
+     * The canvas can only be read right after drawing, snapshots use this
+     * @returns {boolean} - false when there is no frame to show
+     */
+    present() {
+        if (!this.isEnabled() || !this.output) return false;
+
+        this.copy(this.output.texture, null);
+        return true;
+    }
+
+    applyPass(pass, input, output) {
+        const { materials, targets } = this;
+
+        if (pass.type === 'bloom') {
+            // Bright parts, blurred at half size, added back on top
+            materials.threshold.uniforms.iInput.value = input.texture;
+            materials.threshold.uniforms.iThreshold.value = pass.threshold;
+            this.draw(materials.threshold, targets.half[0]);
+            this.blur(targets.half[0], targets.half[1], targets.half[0], pass.radius);
+
+            materials.composite.uniforms.iInput.value = input.texture;
+            materials.composite.uniforms.iBloom.value = targets.half[0].texture;
+            materials.composite.uniforms.iStrength.value = pass.strength;
+            this.draw(materials.composite, output);
+        } else if (pass.type === 'blur') {
+            this.blur(input, targets.scratch[0], output, pass.radius);
+        } else if (pass.type === 'chromatic') {
+            materials.chromatic.uniforms.iInput.value = input.texture;
+            materials.chromatic.uniforms.iAmount.value = pass.amount;
+            this.draw(materials.chromatic, output);
+        } else if (pass.type === 'fxaa') {
+            materials.fxaa.uniforms.iInput.value = input.texture;
+            materials.fxaa.uniforms.iTexel.value.set(1 / input.width, 1 / input.height);
+            this.draw(materials.fxaa, output);
+        }
+    }
+
+    // Separable gaussian, horizontal into the scratch target then vertical
+    blur(input, scratch, output, radius) {
+        const uniforms = this.materials.blur.uniforms;
+        uniforms.iInput.value = input.texture;
+        uniforms.iDirection.value.set(radius / input.width, 0);
+        this.draw(this.materials.blur, scratch);
+
+        uniforms.iInput.value = scratch.texture;
+        uniforms.iDirection.value.set(0, radius / scratch.height);
+        this.draw(this.materials.blur, output);
+    }
+
+    copy(texture, target) {
+        this.materials.copy.uniforms.iInput.value = texture;
+        this.draw(this.materials.copy, target);
+    }
+
+    draw(material, target) {
+        this.quad.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    // Only the targets the feedback and passes use, FXAA alone needs the scene and one output
+    ensureTargets(width, height) {
+        if (this.targets && (this.width !== width || this.height !== height)) {
+            this.disposeTargets();
+        }
+        this.width = width;
+        this.height = height;
+
+        // Half floats keep slow fades smooth where the GPU can render to them
+        const isHalfFloat = this.renderer.capabilities.isWebGL2 && this.renderer.extensions.has('EXT_color_buffer_float');
+        const create = (targetWidth, targetHeight) => new THREE.WebGLRenderTarget(targetWidth, targetHeight, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat,
+            type: isHalfFloat ? THREE.HalfFloatType : THREE.UnsignedByteType,
+            depthBuffer: false,
+            stencilBuffer: false
+        });
+        const fit = (list, count, targetWidth, targetHeight) => {
+            while (list.length > count) list.pop().dispose();
+            while (list.length < count) list.push(create(targetWidth, targetHeight));
+        };
+
+        if (!this.targets) {
+            this.targets = { scene: create(width, height), feedback: [], swap: [], scratch: [], half: [] };
+            this.needsClear = true;
+            this.output = null;
+        }
+        const targets = this.targets;
+
+        const feedbackCount = this.feedback ? 2 : 0;
+        if (targets.feedback.length !== feedbackCount) {
+            fit(targets.feedback, feedbackCount, width, height);
+            this.needsClear = true;
+        }
+        // Passes ping-pong between two outputs, bloom blurs at half size and blur needs a scratch target
+        fit(targets.swap, Math.min(this.passes.length, 2), width, height);
+        fit(targets.scratch, this.passes.some(pass => pass.type === 'blur') ? 1 : 0, width, height);
+        fit(targets.half, this.passes.some(pass => pass.type === 'bloom') ? 2 : 0,
+            Math.max(1, Math.ceil(width / 2)), Math.max(1, Math.ceil(height / 2)));
+    }
+
+    disposeTargets() {
+        if (!this.targets) return;
+
+        const { scene, feedback, swap, scratch, half } = this.targets;
+        [scene, ...feedback, ...swap, ...scratch, ...half].forEach(target => target.dispose());
+        this.targets = null;
+        this.output = null;
+    }
+
+    dispose() {
+        this.disposeTargets();
+        Object.values(this.materials).forEach(material => material.dispose());
+        this.quad.geometry.dispose();
+    }
+
+    static createMaterials() {
+        const vertexShader = `
+            varying vec2 vUv;
+            void main() {
+                vUv = uv;
+                gl_Position = vec4(position, 1.0);
+            }
+        `;
+        const create = (uniforms, fragmentShader) => new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader,
+            fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        return {
+            copy: create({
+                iInput: { value: null }
+            }, `
+                uniform sampler2D iInput;
+                varying vec2 vUv;
+                void main() {
+                    gl_FragColor = texture2D(iInput, vUv);
+                }
+            `),
+
+            feedback: create({
+                iCurrent: { value: null },
+                iPrevious: { value: null },
+                iDecay: { value: 0.95 },
+                iZoom: { value: 1.0 },
+                iRotate: { value: 0.0 },
+                iAspect: { value: 1.0 },
+                iBlend: { value: 0 }
+            }, `
+                uniform sampler2D iCurrent;
+                uniform sampler2D iPrevious;
+                uniform float iDecay;
+                uniform float iZoom;
+                uniform float iRotate;
+                uniform float iAspect;
+                uniform int iBlend; // 0 = max, 1 = add, 2 = mix
+                varying vec2 vUv;
+
+                void main() {
+                    vec4 current = texture2D(iCurrent, vUv);
+
+                    // The previous frame, zoomed and rotated around the center
+                    vec2 p = (vUv - 0.5) * vec2(iAspect, 1.0);
+                    float c = cos(iRotate);
+                    float s = sin(iRotate);
+                    p = mat2(c, s, -s, c) * p / iZoom;
+                    vec2 uv = p / vec2(iAspect, 1.0) + 0.5;
+
+                    // Nothing comes back from outside the frame
+                    float inside = step(0.0, uv.x) * step(uv.x, 1.0) * step(0.0, uv.y) * step(uv.y, 1.0);
+                    vec4 previous = texture2D(iPrevious, uv) * inside;
+
+                    // Opaque, the canvas is drawn with alpha and faded alpha would show through
+                    if (iBlend == 2) {
+                        gl_FragColor = vec4(mix(current.rgb, previous.rgb, iDecay), 1.0);
+                    } else {
+                        // The small step lets 8 bit buffers fade out instead of getting stuck
+                        vec3 faded = max(previous.rgb * iDecay - 1.0 / 255.0, 0.0);
+                        gl_FragColor = vec4(iBlend == 1 ? current.rgb + faded : max(current.rgb, faded), 1.0);
+                    }
+                }
+            `),
+
+            threshold: create({
+                iInput: { value: null },
+                iThreshold: { value: 0.6 }
+            }, `
+                uniform sampler2D iInput;
+                uniform float iThreshold;
+                varying vec2 vUv;
+                void main() {
+                    vec4 color = texture2D(iInput, vUv);
+                    float brightness = max(color.r, max(color.g, color.b));
+                    gl_FragColor = vec4(color.rgb * max(brightness - iThreshold, 0.0) / max(brightness, 0.0001), 1.0);
+                }
+            `),
+
+            blur: create({
+                iInput: { value: null },
+                iDirection: { value: new THREE.Vector2() }
+            }, `
+                uniform sampler2D iInput;
+                uniform vec2 iDirection;
+                varying vec2 vUv;
+                void main() {
+                    vec4 color = texture2D(iInput, vUv) * 0.2270270270;
+                    color += (texture2D(iInput, vUv + iDirection * 1.3846153846) + texture2D(iInput, vUv - iDirection * 1.3846153846)) * 0.3162162162;
+                    color += (texture2D(iInput, vUv + iDirection * 3.2307692308) + texture2D(iInput, vUv - iDirection * 3.2307692308)) * 0.0702702703;
+                    gl_FragColor = color;
+                }
+            `),
+
+            composite: create({
+                iInput: { value: null },
+                iBloom: { value: null },
+                iStrength: { value: 0.8 }
+            }, `
+                uniform sampler2D iInput;
+                uniform sampler2D iBloom;
+                uniform float iStrength;
+                varying vec2 vUv;
+                void main() {
+                    vec4 color = texture2D(iInput, vUv);
+                    gl_FragColor = vec4(color.rgb + texture2D(iBloom, vUv).rgb * iStrength, 1.0);
+                }
+            `),
+
+            chromatic: create({
+                iInput: { value: null },
+                iAmount: { value: 0.004 }
+            }, `
+                uniform sampler2D iInput;
+                uniform float iAmount;
+                varying vec2 vUv;
+                void main() {
+                    // Red and blue drift apart towards the edges, like a cheap lens
+                    vec2 offset = (vUv - 0.5) * iAmount * 2.0;
+                    vec4 color = texture2D(iInput, vUv);
+                    color.r = texture2D(iInput, vUv + offset).r;
+                    color.b = texture2D(iInput, vUv - offset).b;
+                    gl_FragColor = color;
+                }
+            `),
+
+            fxaa: create({
+                iInput: { value: null },
+                iTexel: { value: new THREE.Vector2() }
+            }, `
+                uniform sampler2D iInput;
+                uniform vec2 iTexel;
+                varying vec2 vUv;
+
+                void main() {
+                    // FXAA without the end-of-edge search, blurs along the edge through each pixel
+                    vec4 center = texture2D(iInput, vUv);
+                    vec3 weights = vec3(0.299, 0.587, 0.114);
+                    float lumaNW = dot(texture2D(iInput, vUv + vec2(-1.0, 1.0) * iTexel).rgb, weights);
+                    float lumaNE = dot(texture2D(iInput, vUv + vec2(1.0, 1.0) * iTexel).rgb, weights);
+                    float lumaSW = dot(texture2D(iInput, vUv + vec2(-1.0, -1.0) * iTexel).rgb, weights);
+                    float lumaSE = dot(texture2D(iInput, vUv + vec2(1.0, -1.0) * iTexel).rgb, weights);
+                    float lumaM = dot(center.rgb, weights);
+                    float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+                    float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+                    // Along the edge, perpendicular to the luma gradient (y points up here)
+                    vec2 dir = vec2((lumaSW + lumaSE) - (lumaNW + lumaNE), (lumaNE + lumaSE) - (lumaNW + lumaSW));
+                    float dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.03125, 1.0 / 128.0);
+                    float rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);
+                    dir = clamp(dir * rcpDirMin, -8.0, 8.0) * iTexel;
+
+                    vec3 rgbA = 0.5 * (texture2D(iInput, vUv - dir / 6.0).rgb + texture2D(iInput, vUv + dir / 6.0).rgb);
+                    vec3 rgbB = rgbA * 0.5 + 0.25 * (texture2D(iInput, vUv - dir * 0.5).rgb + texture2D(iInput, vUv + dir * 0.5).rgb);
+                    float lumaB = dot(rgbB, weights);
+                    gl_FragColor = vec4(lumaB < lumaMin || lumaB > lumaMax ? rgbA : rgbB, center.a);
+                }
+            `)
+        };
+    }
+}
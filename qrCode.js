@@ -0,0 +1,409 @@
+/**
+ * qrCode.js
+ * QR codes made in the browser, no external QR service
+ *
+ * Text is encoded in byte mode (UTF-8) at the smallest version (1-40) that
+ * fits, with the mask chosen by the standard penalty rules. Based on the
+ * ISO/IEC 18004 procedure: data codewords, Reed-Solomon blocks interleaved,
+ * function patterns, zigzag placement, format and version information.
+ *
+ *   const qr = QRCode.encode('https://...');
+ *   document.body.appendChild(QRCode.toCanvas(qr, { scale: 4 }));
+ */
+
+class QRCode {
+    // Per error correction level (L, M, Q, H), indexed by version
+    static get ECC_CODEWORDS_PER_BLOCK() {
+        return {
+            L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+            Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+        };
+    }
+
+    static get ERROR_CORRECTION_BLOCKS() {
+        return {
+            L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+            M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+            Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+            H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+        };
+    }
+
+    // Format information bits of each level
+    static get FORMAT_BITS() {
+        return { L: 1, M: 0, Q: 3, H: 2 };
+    }
+
+    /**
+     * Encode text
+     * @param {string} text
+     * @param {Object} options
+     * @param {string} options.ecl - Error correction level, L, M, Q or H
+     * @returns {{version: number, size: number, modules: boolean[][]}} - modules[y][x], true is dark
+     * @throws {Error} When the text is too long for a QR code
+     */
+    static encode(text, { ecl = 'M' } = {}) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+
+        let version = 1;
+        for (; version <= 40; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= QRCode.getDataCodewords(version, ecl) * 8) break;
+        }
+        if (version > 40) {
+            throw new Error('The text is too long for a QR code');
+        }
+
+        const qr = new QRCode(version, ecl);
+        qr.drawFunctionPatterns();
+        qr.drawCodewords(qr.addErrorCorrection(QRCode.getDataBytes(bytes, version, ecl)));
+        qr.chooseMask();
+
+        return { version, size: qr.size, modules: qr.modules };
+    }
+
+    /**
+     * Draw a code onto a new canvas
+     * @param {Object} qr - From encode
+     * @param {Object} options
+     * @param {number} options.scale - Pixels per module
+     * @param {number} options.margin - Quiet zone in modules, 4 by the standard
+     * @returns {HTMLCanvasElement}
+     */
+    static toCanvas(qr, { scale = 4, margin = 4 } = {}) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = (qr.size + margin * 2) * scale;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'white';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = 'black';
+        qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) {
+                context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+            }
+        }));
+
+        return canvas;
+    }
+
+    constructor(version, ecl) {
+        this.version = version;
+        this.ecl = ecl;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    static getRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            result -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    static getDataCodewords(version, ecl) {
+        return Math.floor(QRCode.getRawDataModules(version) / 8)
+            - QRCode.ECC_CODEWORDS_PER_BLOCK[ecl][version] * QRCode.ERROR_CORRECTION_BLOCKS[ecl][version];
+    }
+
+    // Mode, count, data, terminator and padding as codewords
+    static getDataBytes(bytes, version, ecl) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0x4, 4);
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = QRCode.getDataCodewords(version, ecl) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const result = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            result.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return result;
+    }
+
+    // Split into blocks, add the Reed-Solomon codewords and interleave
+    addErrorCorrection(data) {
+        const blockCount = QRCode.ERROR_CORRECTION_BLOCKS[this.ecl][this.version];
+        const eccLength = QRCode.ECC_CODEWORDS_PER_BLOCK[this.ecl][this.version];
+        const rawCodewords = Math.floor(QRCode.getRawDataModules(this.version) / 8);
+        const shortBlocks = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = QRCode.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+            offset += block.length;
+            const ecc = QRCode.reedSolomonRemainder(block, divisor);
+            // Short blocks get a placeholder so every block has the same length
+            if (i < shortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QRCode.multiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = QRCode.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QRCode.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    static multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    setFunctionModule(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        const positions = this.getAlignmentPositions();
+        const last = positions.length - 1;
+        positions.forEach((x, i) => positions.forEach((y, j) => {
+            // The corners with finder patterns have none
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            this.drawAlignmentPattern(x, y);
+        }));
+
+        // Reserve the format area now, it is written once the mask is known
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+
+    drawFinderPattern(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const moduleX = x + dx;
+                const moduleY = y + dy;
+                if (moduleX >= 0 && moduleX < this.size && moduleY >= 0 && moduleY < this.size) {
+                    this.setFunctionModule(moduleX, moduleY, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    getAlignmentPositions() {
+        if (this.version === 1) return [];
+
+        const count = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = this.size - 7; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    drawFormatBits(mask) {
+        const data = (QRCode.FORMAT_BITS[this.ecl] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        // Around the top left finder
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        // Split between the other two finders
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        this.setFunctionModule(8, this.size - 8, true);
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const isDark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, isDark);
+            this.setFunctionModule(b, a, isDark);
+        }
+    }
+
+    // Zigzag through column pairs from the bottom right, skipping function modules
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        const condition = conditions[mask];
+
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && condition(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // Try the eight masks and keep the one with the lowest penalty
+    chooseMask() {
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.getPenalty();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            // Masking twice undoes it
+            this.applyMask(mask);
+        }
+
+        this.applyMask(bestMask);
+        this.drawFormatBits(bestMask);
+    }
+
+    getPenalty() {
+        const size = this.size;
+        const rows = this.modules.map(row => row.map(dark => (dark ? '1' : '0')).join(''));
+        const columns = [];
+        for (let x = 0; x < size; x++) {
+            columns.push(this.modules.map(row => (row[x] ? '1' : '0')).join(''));
+        }
+
+        let penalty = 0;
+        rows.concat(columns).forEach(line => {
+            // Runs of five or more modules of one color
+            (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+                penalty += run.length - 2;
+            });
+            // Patterns that look like a finder
+            (line.match(/(?=10111010000|00001011101)/g) || []).forEach(() => {
+                penalty += 40;
+            });
+        });
+
+        // 2x2 blocks of one color
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = this.modules[y][x];
+                if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light
+        const dark = rows.join('').split('1').length - 1;
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+        return penalty;
+    }
+}
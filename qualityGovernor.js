@@ -0,0 +1,258 @@
+/**
+ * qualityGovernor.js
+ * Render quality that follows the frame rate
+ *
+ * Every visualizer registers with the governor (Visualizer, ModalVisualizer,
+ * CRTOverlay). On Auto it counts frames over a few seconds and steps the
+ * level down when the rate stays under the target, and back up after a
+ * while at full speed. Upgrades that can't hold wait longer each time, so
+ * it doesn't keep flipping between two levels. A level sets:
+ *   renderScale - Drawing buffer size, times the screen's pixel ratio (at most 2)
+ *   antialias   - FXAA as the last post pass, MSAA can't change at runtime
+ *   quality     - QUALITY #define of the shaders, loop counts and extra samples
+ *   maxPasses   - How many of the preset's post passes run, feedback always does
+ * Low, Medium and High fix the level instead, saved in wmp_quality.
+ */
+
+class QualityGovernor {
+    static get LEVELS() {
+        return {
+            low: { name: 'Low', renderScale: 0.5, antialias: false, quality: 0, maxPasses: 0 },
+            medium: { name: 'Medium', renderScale: 0.75, antialias: false, quality: 1, maxPasses: 1 },
+            high: { name: 'High', renderScale: 1.0, antialias: true, quality: 2, maxPasses: Infinity }
+        };
+    }
+
+    static get LEVEL_ORDER() {
+        return ['low', 'medium', 'high'];
+    }
+
+    static get MODES() {
+        return ['auto', ...QualityGovernor.LEVEL_ORDER];
+    }
+
+    // Milliseconds of frames behind each decision
+    static get SAMPLE_TIME() {
+        return 2000;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {boolean} options.isMobile - Auto starts at Medium on phones and tablets
+     * @param {number} options.targetFps - Frame rate Auto tries to hold
+     */
+    constructor({ isMobile = false, targetFps = 60 } = {}) {
+        this.isMobile = isMobile;
+        this.targetFps = targetFps;
+        this.frameCap = Infinity;
+        this.mode = QualityGovernor.loadMode();
+        this.level = this.mode === 'auto' ? this.getStartLevel() : this.mode;
+        this.targets = [];
+
+        this.windowStart = 0;
+        this.lastFrameTime = 0;
+        this.frameCount = 0;
+        this.lastChange = 0;
+        this.lastUpgrade = -Infinity;
+        this.upgradeDelay = 10000;
+
+        this.eventListeners = {};
+    }
+
+    getStartLevel() {
+        return this.isMobile ? 'medium' : 'high';
+    }
+
+    /**
+     * Settings of the current level
+     * @returns {Object} - One of LEVELS with its level id
+     */
+    getSettings() {
+        return Object.assign({ level: this.level }, QualityGovernor.LEVELS[this.level]);
+    }
+
+    // Defines for new shader materials, so they start at the current level
+    getDefines() {
+        return { QUALITY: QualityGovernor.LEVELS[this.level].quality };
+    }
+
+    /**
+     * Keep a visualizer at the current level
+     * @param {Object} target - Has a renderer, and may have material and postProcessing
+     */
+    register(target) {
+        if (!this.targets.includes(target)) {
+            this.targets.push(target);
+        }
+        this.applyTo(target);
+    }
+
+    unregister(target) {
+        this.targets = this.targets.filter(registered => registered !== target);
+    }
+
+    /**
+     * Fix the level or let Auto choose it
+     * @param {string} mode - One of MODES
+     */
+    setMode(mode) {
+        if (!QualityGovernor.MODES.includes(mode)) {
+            throw new Error(`Unknown quality: ${mode}`);
+        }
+
+        this.mode = mode;
+        try {
+            localStorage.setItem('wmp_quality', mode);
+        } catch (e) {
+            console.warn('Could not save quality setting');
+        }
+
+        this.upgradeDelay = 10000;
+        this.setLevel(mode === 'auto' ? this.getStartLevel() : mode);
+    }
+
+    /**
+     * Frame rate the loop is held to, see FrameScheduler.getMaxFps
+     * Auto doesn't step down for frames that were never asked for
+     * @param {number|null} fps - null without a cap
+     */
+    setFrameCap(fps) {
+        this.frameCap = fps > 0 ? fps : Infinity;
+        this.startWindow(performance.now());
+    }
+
+    setLevel(level) {
+        this.level = level;
+        this.lastChange = performance.now();
+        this.startWindow(this.lastChange);
+        this.targets.forEach(target => this.applyTo(target));
+
+        console.log(`Render quality: ${QualityGovernor.LEVELS[level].name}${this.mode === 'auto' ? ' (auto)' : ''}`);
+        this.dispatchEvent('quality-change', { mode: this.mode, level, settings: this.getSettings() });
+    }
+
+    /**
+     * Count a frame, call once per rendered frame
+     * @param {number} now - Frame start in milliseconds
+     */
+    tick(now = performance.now()) {
+        if (this.mode !== 'auto') return;
+
+        const elapsed = now - this.lastFrameTime;
+        this.lastFrameTime = now;
+        // Hidden tabs, dialogs and shader compiles say nothing about the steady rate
+        if (elapsed > 250) {
+            this.startWindow(now);
+            return;
+        }
+
+        this.frameCount += 1;
+        const windowTime = now - this.windowStart;
+        if (windowTime < QualityGovernor.SAMPLE_TIME) return;
+
+        const fps = this.frameCount * 1000 / windowTime;
+        this.startWindow(now);
+        this.sample(fps, now);
+    }
+
+    // Step down or up from the rate of the last window
+    sample(fps, now) {
+        const order = QualityGovernor.LEVEL_ORDER;
+        const index = order.indexOf(this.level);
+        const targetFps = Math.min(this.targetFps, this.frameCap);
+
+        if (fps < targetFps * 0.85) {
+            if (index === 0) return;
+            // An upgrade that couldn't hold makes the next one wait twice as long
+            if (now - this.lastUpgrade <= QualityGovernor.SAMPLE_TIME * 2) {
+                this.upgradeDelay = Math.min(this.upgradeDelay * 2, 160000);
+            }
+            this.setLevel(order[index - 1]);
+        } else if (fps >= targetFps * 0.95 && index < order.length - 1 && now - this.lastChange >= this.upgradeDelay) {
+            this.lastUpgrade = now;
+            this.setLevel(order[index + 1]);
+        }
+    }
+
+    startWindow(now) {
+        this.windowStart = now;
+        this.lastFrameTime = now;
+        this.frameCount = 0;
+    }
+
+    applyTo(target) {
+        const settings = this.getSettings();
+
+        // setPixelRatio resizes the drawing buffer, which clears it
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, 2) * settings.renderScale;
+        if (target.renderer && target.renderer.getPixelRatio() !== pixelRatio) {
+            target.renderer.setPixelRatio(pixelRatio);
+        }
+        if (target.postProcessing) {
+            target.postProcessing.setQuality(settings);
+        }
+        QualityGovernor.applyDefines(target.material, settings);
+    }
+
+    /**
+     * Recompile a material for a level, if it is a shader
+     * @param {THREE.Material} material
+     * @param {Object} settings - See getSettings
+     */
+    static applyDefines(material, settings) {
+        if (!material || !material.isShaderMaterial) return;
+
+        material.defines = material.defines || {};
+        if (material.defines.QUALITY === settings.quality) return;
+        material.defines.QUALITY = settings.quality;
+        material.needsUpdate = true;
+    }
+
+    static loadMode() {
+        try {
+            const mode = localStorage.getItem('wmp_quality');
+            if (QualityGovernor.MODES.includes(mode)) return mode;
+        } catch (e) {
+            console.warn('Could not load quality setting');
+        }
+        return 'auto';
+    }
+
+    // Event handling methods
+    addEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = [];
+        }
+        this.eventListeners[eventName].push(callback);
+        return this; // For chaining
+    }
+
+    removeEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) return this;
+        this.eventListeners[eventName] = this.eventListeners[eventName].filter(
+            listener => listener !== callback
+        );
+        return this; // For chaining
+    }
+
+    dispatchEvent(eventName, data = {}) {
+        if (!this.eventListeners[eventName]) return false;
+
+        const event = {
+            type: eventName,
+            target: this,
+            data: data,
+            timestamp: Date.now()
+        };
+
+        this.eventListeners[eventName].forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in ${eventName} event listener:`, error);
+            }
+        });
+
+        return true;
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * recorder.js
+ * Video, snapshots and GIFs of the visualizer
+ *
+ * Frames are copied from the background canvas right after the Visualizer
+ * renders them ('frame' event), with the Media Player's visualization drawn
+ * on top at its place on screen when includePlayer is on. Recordings are
+ * WebM from MediaRecorder, with the sound mixed in when a local file plays;
+ * Spotify's audio can't be captured.
+ */
+
+class VisualizerRecorder {
+    /**
+     * @param {Visualizer} visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.includePlayer = true;
+
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.recordingStart = 0;
+        this.recordCanvas = null;
+
+        this.gifCapture = null;
+
+        this.isListening = false;
+        this.handleFrame = this.handleFrame.bind(this);
+        this.eventListeners = {};
+    }
+
+    isRecording() {
+        return !!this.mediaRecorder;
+    }
+
+    isCapturingGif() {
+        return !!this.gifCapture;
+    }
+
+    /**
+     * Start recording to WebM
+     * @throws {Error} When the browser can't record canvases
+     */
+    startRecording() {
+        if (this.mediaRecorder) return;
+
+        const source = this.visualizer.renderer.domElement;
+        if (!source.captureStream || !window.MediaRecorder) {
+            throw new Error('Recording is not supported in this browser');
+        }
+
+        this.recordCanvas = document.createElement('canvas');
+        this.recordCanvas.width = source.width;
+        this.recordCanvas.height = source.height;
+        this.drawFrame(this.recordCanvas.getContext('2d'), this.recordCanvas.width, this.recordCanvas.height);
+
+        const stream = this.recordCanvas.captureStream(30);
+        const audioSource = this.visualizer.audioSource;
+        const audio = this.visualizer.player === this.visualizer.players.local ? audioSource.startCapture() : null;
+        if (audio) {
+            audio.getAudioTracks().forEach(track => stream.addTrack(track));
+        }
+
+        const mimeType = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        this.chunks = [];
+        this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        this.mediaRecorder.addEventListener('dataavailable', (e) => {
+            if (e.data && e.data.size > 0) {
+                this.chunks.push(e.data);
+            }
+        });
+        this.mediaRecorder.start(1000);
+        this.recordingStart = performance.now();
+
+        this.listenToFrames();
+        console.log(`Recording started${audio ? ' with local audio' : ''}`);
+        this.dispatchEvent('recording-change', { isRecording: true, hasAudio: !!audio });
+    }
+
+    /**
+     * Stop recording and download the video
+     * @returns {Promise<Blob|null>}
+     */
+    stopRecording() {
+        const recorder = this.mediaRecorder;
+        if (!recorder) return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            recorder.addEventListener('stop', () => {
+                const blob = new Blob(this.chunks, { type: recorder.mimeType || 'video/webm' });
+                this.chunks = [];
+                recorder.stream.getTracks().forEach(track => track.stop());
+                this.visualizer.audioSource.stopCapture();
+
+                ShareCard.download(new File([blob], `${VisualizerRecorder.getFileName()}.webm`, { type: blob.type }));
+                console.log(`Recording saved, ${(blob.size / 1048576).toFixed(1)} MB`);
+                resolve(blob);
+            }, { once: true });
+
+            this.mediaRecorder = null;
+            this.releaseFrames();
+            recorder.stop();
+            this.dispatchEvent('recording-change', { isRecording: false });
+        });
+    }
+
+    /**
+     * Seconds since the recording started
+     * @returns {number}
+     */
+    getRecordingTime() {
+        return this.mediaRecorder ? (performance.now() - this.recordingStart) / 1000 : 0;
+    }
+
+    /**
+     * Download the current frame as PNG
+     * @returns {Promise<File>}
+     */
+    async takeSnapshot() {
+        const visualizer = this.visualizer;
+        const source = visualizer.renderer.domElement;
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+
+        // Without preserveDrawingBuffer the frame can only be read right after rendering it
+        visualizer.redraw();
+        this.drawFrame(canvas.getContext('2d'), canvas.width, canvas.height);
+
+        const file = await ShareCard.toFile(canvas, `${VisualizerRecorder.getFileName()}.png`);
+        ShareCard.download(file);
+        return file;
+    }
+
+    /**
+     * Capture a few seconds and download them as a looping GIF
+     * @param {Object} options
+     * @param {number} options.seconds - Length of the loop
+     * @param {number} options.fps - GIF frame rate
+     * @param {number} options.width - GIF width in pixels, the height follows the screen
+     * @returns {Promise<Blob>}
+     */
+    recordGif({ seconds = 3, fps = 10, width = 320 } = {}) {
+        if (this.gifCapture) {
+            return Promise.reject(new Error('A GIF is already being captured'));
+        }
+
+        const source = this.visualizer.renderer.domElement;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = Math.round(width * source.height / source.width / 2) * 2;
+
+        return new Promise((resolve, reject) => {
+            this.gifCapture = {
+                canvas,
+                context: canvas.getContext('2d', { willReadFrequently: true }),
+                frames: [],
+                frameCount: Math.round(seconds * fps),
+                interval: 1000 / fps,
+                nextFrameTime: 0,
+                resolve,
+                reject
+            };
+            this.listenToFrames();
+            this.dispatchEvent('gif-change', { isCapturing: true });
+        });
+    }
+
+    // Called by the Visualizer after each rendered frame while capturing
+    handleFrame() {
+        if (this.mediaRecorder) {
+            this.drawFrame(this.recordCanvas.getContext('2d'), this.recordCanvas.width, this.recordCanvas.height);
+        }
+
+        const gif = this.gifCapture;
+        if (!gif) return;
+
+        const now = performance.now();
+        if (now < gif.nextFrameTime) return;
+        // Keep the cadence, unless frames fell far behind
+        const next = gif.nextFrameTime + gif.interval;
+        gif.nextFrameTime = next > now ? next : now + gif.interval;
+
+        this.drawFrame(gif.context, gif.canvas.width, gif.canvas.height);
+        gif.frames.push(gif.context.getImageData(0, 0, gif.canvas.width, gif.canvas.height));
+        if (gif.frames.length < gif.frameCount) return;
+
+        this.gifCapture = null;
+        this.releaseFrames();
+        // Let the last frame reach the screen before the encoder blocks
+        setTimeout(() => {
+            try {
+                const blob = GifEncoder.encode(gif.frames, { delay: gif.interval });
+                ShareCard.download(new File([blob], `${VisualizerRecorder.getFileName()}.gif`, { type: 'image/gif' }));
+                gif.resolve(blob);
+            } catch (error) {
+                gif.reject(error);
+            }
+            this.dispatchEvent('gif-change', { isCapturing: false });
+        }, 0);
+    }
+
+    listenToFrames() {
+        if (this.isListening) return;
+        this.isListening = true;
+        this.visualizer.addEventListener('frame', this.handleFrame);
+    }
+
+    releaseFrames() {
+        if (this.isListening && !this.mediaRecorder && !this.gifCapture) {
+            this.isListening = false;
+            this.visualizer.removeEventListener('frame', this.handleFrame);
+        }
+    }
+
+    /**
+     * Draw the background, and the player's visualization where it is on screen
+     * The background must have been rendered in the same task
+     */
+    drawFrame(context, width, height) {
+        context.drawImage(this.visualizer.renderer.domElement, 0, 0, width, height);
+
+        const modal = this.visualizer.modalVisualizer;
+        if (!this.includePlayer || !modal || !modal.material) return;
+
+        const rect = modal.canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+
+        // A 2D copy of the shared canvas, it can be read at any time
+        const scaleX = width / window.innerWidth;
+        const scaleY = height / window.innerHeight;
+        context.drawImage(modal.canvas, rect.left * scaleX, rect.top * scaleY, rect.width * scaleX, rect.height * scaleY);
+    }
+
+    static getFileName() {
+        const now = new Date();
+        const pad = (value) => String(value).padStart(2, '0');
+        return `ti-penso-${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+    }
+
+    // Event handling methods
+    addEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = [];
+        }
+        this.eventListeners[eventName].push(callback);
+        return this; // For chaining
+    }
+
+    removeEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) return this;
+        this.eventListeners[eventName] = this.eventListeners[eventName].filter(
+            listener => listener !== callback
+        );
+        return this; // For chaining
+    }
+
+    dispatchEvent(eventName, data = {}) {
+        if (!this.eventListeners[eventName]) return false;
+
+        const event = {
+            type: eventName,
+            target: this,
+            data: data,
+            timestamp: Date.now()
+        };
+
+        this.eventListeners[eventName].forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in ${eventName} event listener:`, error);
+            }
+        });
+
+        return true;
+    }
+}
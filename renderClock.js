@@ -0,0 +1,128 @@
+/**
+ * renderClock.js
+ * Time source for the visualizers
+ *
+ * Realtime follows the wall clock like THREE.Clock did. The deterministic
+ * sources make every frame a function of its number, so a render can be
+ * repeated exactly, for offline export at an exact frame rate or to compare
+ * golden images when a shader changes:
+ *   fixed    - time is frame / fps, one step per rendered frame
+ *   playback - time is the player's position, frames are counted
+ * Pick one with ?clock=fixed&fps=30 or ?clock=playback.
+ *
+ * Every shader receives iSeed (?seed=42, 0 by default). The Media Player's
+ * noise and stars are offset by it, imported ShaderToys can use it the same
+ * way, instead of anything that changes between runs.
+ */
+
+class RenderClock {
+    static get SOURCES() {
+        return ['realtime', 'fixed', 'playback'];
+    }
+
+    /**
+     * @param {Object} options
+     * @param {string} options.source - One of RenderClock.SOURCES
+     * @param {number} options.fps - Frame rate of the fixed source
+     * @param {number} options.seed - Value of iSeed
+     * @param {Function} options.getPlaybackPosition - Returns the player's position in milliseconds, for the playback source
+     */
+    constructor({ source = 'realtime', fps = 60, seed = 0, getPlaybackPosition = null } = {}) {
+        if (!RenderClock.SOURCES.includes(source)) {
+            throw new Error(`Unknown clock source: ${source}`);
+        }
+        if (source === 'playback' && !getPlaybackPosition) {
+            throw new Error('The playback clock needs the player position');
+        }
+
+        this.source = source;
+        this.fps = fps > 0 ? fps : 60;
+        this.getPlaybackPosition = getPlaybackPosition;
+        this.startTime = performance.now();
+
+        // The frame being rendered, -1 before the first tick
+        this.frame = -1;
+        this.time = 0;
+        this.delta = 0;
+
+        // Shared by reference with every material that uses them
+        this.uniforms = {
+            iSeed: { value: seed }
+        };
+    }
+
+    /**
+     * Build the clock asked for in the query string, realtime otherwise
+     * @param {Function} getPlaybackPosition - Returns the player's position in milliseconds
+     * @returns {RenderClock}
+     */
+    static fromQuery(getPlaybackPosition) {
+        const params = new URLSearchParams(window.location.search);
+        const source = params.get('clock') || 'realtime';
+        const seed = Number(params.get('seed')) || 0;
+        const fps = Number(params.get('fps')) || 60;
+
+        try {
+            return new RenderClock({ source, fps, seed, getPlaybackPosition });
+        } catch (error) {
+            console.warn(`${error.message}, using the realtime clock`);
+            return new RenderClock({ seed });
+        }
+    }
+
+    isDeterministic() {
+        return this.source !== 'realtime';
+    }
+
+    /**
+     * Move on to the next frame, call once per rendered frame
+     * @returns {number} - Time of the new frame in seconds
+     */
+    tick() {
+        const previousTime = this.time;
+        this.frame += 1;
+
+        if (this.source === 'fixed') {
+            this.time = this.frame / this.fps;
+        } else if (this.source === 'playback') {
+            this.time = Math.max(0, this.getPlaybackPosition() / 1000);
+        } else {
+            this.time = (performance.now() - this.startTime) / 1000;
+        }
+
+        this.delta = this.frame === 0 ? 1 / this.fps : this.time - previousTime;
+        return this.time;
+    }
+
+    /**
+     * Jump to a frame of the fixed source
+     * @param {number} frame - Frame number, its time is frame / fps
+     */
+    seek(frame) {
+        if (this.source !== 'fixed') {
+            throw new Error('Only the fixed clock can seek to a frame');
+        }
+
+        this.frame = frame;
+        this.time = frame / this.fps;
+        this.delta = 1 / this.fps;
+    }
+
+    // Same name as THREE.Clock, the time of the current frame
+    getElapsedTime() {
+        return this.time;
+    }
+
+    /**
+     * Date for iDate, starting at midnight on 1 January 2000 for the deterministic sources
+     * @returns {Date}
+     */
+    getDate() {
+        if (!this.isDeterministic()) return new Date();
+        return new Date(new Date(2000, 0, 1).getTime() + this.time * 1000);
+    }
+
+    setSeed(seed) {
+        this.uniforms.iSeed.value = Number(seed) || 0;
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * shaderPresets.js
+ * Registry of background scenes for the main visualizer
+ *
+ * Presets are described in shaders/presets.json. Each entry names a fragment
+ * shader, a default texture and the default values for its uniforms, so new
+ * scenes can be added without touching visualizer.js. "post" adds feedback
+ * and post passes, see postProcessing.js.
+ */
+
+class ShaderPresetRegistry {
+    constructor(manifestUrl = 'shaders/presets.json') {
+        this.manifestUrl = manifestUrl;
+        this.presets = new Map();
+        this.defaultPresetId = null;
+
+        // Shader sources are cached so switching back to a preset is instant
+        this.sourceCache = new Map();
+        this.isLoaded = false;
+    }
+
+    /**
+     * Load the preset manifest
+     * @returns {Promise<ShaderPresetRegistry>} - The registry, for chaining
+     */
+    async load() {
+        const response = await fetch(this.manifestUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to load preset manifest ${this.manifestUrl}: ${response.status}`);
+        }
+
+        const manifest = await response.json();
+        (manifest.presets || []).forEach(preset => this.register(preset));
+
+        this.defaultPresetId = manifest.default || (manifest.presets && manifest.presets[0] && manifest.presets[0].id) || null;
+        this.isLoaded = true;
+
+        console.log(`Loaded ${this.presets.size} shader presets`);
+        return this;
+    }
+
+    /**
+     * Add a preset to the registry (also used for presets created at runtime)
+     * @param {Object} preset - Preset description, see shaders/presets.json
+     * @returns {Object} - The normalized preset
+     */
+    register(preset) {
+        if (!preset || !preset.id) {
+            throw new Error('Shader preset needs an id');
+        }
+
+        const normalized = Object.assign({
+            name: preset.id,
+            vertex: 'vertex-shader.glsl',
+            texture: null,
+            textureFallbacks: [],
+            uniforms: {},
+            post: null
+        }, preset);
+
+        this.presets.set(normalized.id, normalized);
+        return normalized;
+    }
+
+    /**
+     * Get a preset by id
+     * @param {string} id - The preset id
+     * @returns {Object|null} - The preset or null if unknown
+     */
+    get(id) {
+        return this.presets.get(id) || null;
+    }
+
+    /**
+     * Check if a preset exists
+     * @param {string} id - The preset id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.presets.has(id);
+    }
+
+    /**
+     * List all presets in manifest order
+     * @returns {Object[]}
+     */
+    list() {
+        return Array.from(this.presets.values());
+    }
+
+    /**
+     * Fetch the vertex and fragment shader sources for a preset
+     * @param {Object} preset - The preset
+     * @returns {Promise<{vertexShader: string, fragmentShader: string}>}
+     */
+    async loadSources(preset) {
+        const [vertexShader, fragmentShader] = await Promise.all([
+            preset.vertexSource || this.fetchSource(preset.vertex),
+            preset.fragmentSource || this.fetchSource(preset.fragment)
+        ]);
+
+        return { vertexShader, fragmentShader };
+    }
+
+    async fetchSource(url) {
+        if (this.sourceCache.has(url)) {
+            return this.sourceCache.get(url);
+        }
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load shader ${url}: ${response.status}`);
+        }
+
+        const source = await response.text();
+        this.sourceCache.set(url, source);
+        return source;
+    }
+
+    /**
+     * Convert the plain JSON uniform defaults of a preset to THREE uniforms
+     * Arrays of 2, 3 or 4 numbers become vectors, everything else is used as is
+     * @param {Object} values - Map of uniform name to default value
+     * @returns {Object} - Map of uniform name to { value }
+     */
+    static toUniforms(values = {}) {
+        const uniforms = {};
+
+        for (const [name, value] of Object.entries(values)) {
+            let uniformValue = value;
+
+            if (Array.isArray(value)) {
+                if (value.length === 2) {
+                    uniformValue = new THREE.Vector2(value[0], value[1]);
+                } else if (value.length === 3) {
+                    uniformValue = new THREE.Vector3(value[0], value[1], value[2]);
+                } else if (value.length === 4) {
+                    uniformValue = new THREE.Vector4(value[0], value[1], value[2], value[3]);
+                }
+            }
+
+            uniforms[name] = { value: uniformValue };
+        }
+
+        return uniforms;
+    }
+}
@@ -0,0 +1,237 @@
+/**
+ * shaderToy.js
+ * Runs shaders pasted from ShaderToy without hand-porting
+ *
+ * ShaderToy sources only define mainImage(out vec4, in vec2). The importer
+ * adds the ShaderToy uniform declarations and a main() that calls it, so the
+ * result can be used as a THREE.ShaderMaterial fragment shader by both the
+ * background Visualizer and the ModalVisualizer.
+ */
+
+class ShaderToyImporter {
+    /**
+     * Check if a source looks like a ShaderToy image shader
+     * @param {string} source - GLSL source
+     * @returns {boolean}
+     */
+    static isShaderToySource(source) {
+        return /void\s+mainImage\s*\(\s*out\s+vec4\s+\w+\s*,\s*in\s+vec2\s+\w+\s*\)/.test(source || '');
+    }
+
+    /**
+     * Wrap a ShaderToy image shader into a fragment shader for THREE.ShaderMaterial
+     * @param {string} source - Pasted ShaderToy source with a mainImage function
+     * @returns {string} - Fragment shader source
+     */
+    static wrap(source) {
+        if (!ShaderToyImporter.isShaderToySource(source)) {
+            throw new Error('No mainImage(out vec4, in vec2) function found in the ShaderToy source');
+        }
+
+        return `// Imported from ShaderToy
+uniform vec3 iResolution;
+uniform float iTime;
+uniform float iTimeDelta;
+uniform int iFrame;
+uniform vec4 iMouse;
+uniform vec4 iDate;
+uniform float iSampleRate;
+uniform vec3 iChannelResolution[4];
+uniform float iChannelTime[4];
+uniform sampler2D iChannel0;
+uniform sampler2D iChannel1;
+uniform sampler2D iChannel2;
+uniform sampler2D iChannel3;
+uniform float iIntensity;
+
+// Local audio analysis, see audioReactive.js
+uniform sampler2D iSpectrum;
+uniform float iBass;
+uniform float iMid;
+uniform float iTreble;
+uniform float iLevel;
+
+// Beat pulse from the track analysis timeline, see trackAnalysis.js
+uniform float iBeat;
+
+// Tap tempo clock, see beatClock.js
+uniform float iBeatPhase;
+uniform float iBarPhase;
+uniform float iBeatLocked;
+
+// Seed for randomness, see renderClock.js
+uniform float iSeed;
+
+// Current lyrics line, see lyrics.js
+uniform sampler2D iLyrics;
+uniform float iLyricsOpacity;
+
+varying vec2 vUv;
+
+// ShaderToy uses GLSL ES 3.0 texture() - map it when running on WebGL1
+#if __VERSION__ < 300
+#define texture texture2D
+#endif
+
+${source}
+
+void main() {
+    vec4 fragColor = vec4(0.0, 0.0, 0.0, 1.0);
+    // vUv based coordinates keep fragCoord correct inside viewports and render targets
+    mainImage(fragColor, vUv * iResolution.xy);
+    gl_FragColor = vec4(fragColor.rgb, 1.0);
+}
+`;
+    }
+
+    /**
+     * Create the ShaderToy uniforms
+     * @param {THREE.Texture} texture - Texture bound to iChannel0..3 (the wallpaper)
+     * @param {number} width - Render width in pixels
+     * @param {number} height - Render height in pixels
+     * @returns {Object} - Map of uniform name to { value }
+     */
+    static createUniforms(texture, width, height) {
+        const channelResolution = ShaderToyImporter.textureResolution(texture);
+
+        return {
+            iResolution: { value: new THREE.Vector3(width, height, 1) },
+            iTime: { value: 0 },
+            iTimeDelta: { value: 0 },
+            iFrame: { value: 0 },
+            iMouse: { value: new THREE.Vector4(0, 0, 0, 0) },
+            iDate: { value: new THREE.Vector4() },
+            iSampleRate: { value: 44100 },
+            iChannelResolution: { value: [0, 1, 2, 3].map(() => channelResolution.clone()) },
+            iChannelTime: { value: [0, 0, 0, 0] },
+            iChannel0: { value: texture },
+            iChannel1: { value: texture },
+            iChannel2: { value: texture },
+            iChannel3: { value: texture }
+        };
+    }
+
+    /**
+     * Advance the per-frame ShaderToy uniforms
+     * @param {Object} uniforms - Material uniforms created by createUniforms
+     * @param {number} time - Elapsed time in seconds
+     * @param {number} delta - Time since the previous frame in seconds
+     * @param {ShaderToyMouse} mouse - Optional mouse tracker
+     * @param {RenderClock} clock - Optional, a deterministic clock sets iFrame and iDate
+     */
+    static update(uniforms, time, delta, mouse = null, clock = null) {
+        if (!uniforms || !uniforms.iFrame) return;
+
+        const isDeterministic = !!clock && clock.isDeterministic();
+        uniforms.iTime.value = time;
+        uniforms.iTimeDelta.value = delta;
+        uniforms.iFrame.value = isDeterministic ? clock.frame : uniforms.iFrame.value + 1;
+        uniforms.iChannelTime.value.fill(time);
+
+        const now = clock ? clock.getDate() : new Date();
+        uniforms.iDate.value.set(
+            now.getFullYear(),
+            now.getMonth(),
+            now.getDate(),
+            now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds() + now.getMilliseconds() / 1000
+        );
+
+        if (mouse) {
+            mouse.apply(uniforms.iMouse.value, uniforms.iResolution.value);
+        }
+    }
+
+    /**
+     * Point every iChannel at a new texture, e.g. after the wallpaper changed
+     * @param {Object} uniforms - Material uniforms
+     * @param {THREE.Texture} texture - The new texture
+     */
+    static setChannels(uniforms, texture) {
+        if (!uniforms || !uniforms.iChannel0) return;
+
+        const resolution = ShaderToyImporter.textureResolution(texture);
+        for (let i = 0; i < 4; i++) {
+            uniforms[`iChannel${i}`].value = texture;
+            uniforms.iChannelResolution.value[i].copy(resolution);
+        }
+    }
+
+    static textureResolution(texture) {
+        const image = texture && texture.image;
+        return new THREE.Vector3(image ? image.width || 1 : 1, image ? image.height || 1 : 1, 1);
+    }
+}
+
+/**
+ * Tracks the mouse the way ShaderToy reports it in iMouse:
+ * xy is the position while a button is held, zw is where it was pressed.
+ * z is negative once the button is released and w is only positive on the
+ * frame of the click. Coordinates are in pixels with the origin bottom-left.
+ */
+class ShaderToyMouse {
+    /**
+     * @param {EventTarget} target - Element (or window) that receives the pointer events
+     * @param {Element} surface - Element whose rectangle defines the coordinates
+     */
+    constructor(target, surface) {
+        this.surface = surface;
+        this.position = { x: 0, y: 0 };
+        this.click = { x: 0, y: 0 };
+        this.isDown = false;
+        this.clickPending = false;
+
+        target.addEventListener('pointerdown', (e) => {
+            if (!this.isInside(e)) return;
+            this.isDown = true;
+            this.clickPending = true;
+            this.position = this.toSurface(e);
+            this.click = Object.assign({}, this.position);
+        });
+
+        target.addEventListener('pointermove', (e) => {
+            if (this.isDown) {
+                this.position = this.toSurface(e);
+            }
+        });
+
+        const release = () => {
+            this.isDown = false;
+        };
+        target.addEventListener('pointerup', release);
+        target.addEventListener('pointercancel', release);
+    }
+
+    isInside(e) {
+        const rect = this.surface.getBoundingClientRect();
+        return e.clientX >= rect.left && e.clientX <= rect.right &&
+            e.clientY >= rect.top && e.clientY <= rect.bottom;
+    }
+
+    // Normalized 0..1 position with the origin at the bottom-left corner
+    toSurface(e) {
+        const rect = this.surface.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) / Math.max(1, rect.width),
+            y: 1 - (e.clientY - rect.top) / Math.max(1, rect.height)
+        };
+    }
+
+    /**
+     * Write the current state into an iMouse vector
+     * @param {THREE.Vector4} iMouse - Uniform value to update
+     * @param {THREE.Vector3|THREE.Vector2} resolution - Current render resolution in pixels
+     */
+    apply(iMouse, resolution) {
+        const clickX = this.click.x * resolution.x;
+        const clickY = this.click.y * resolution.y;
+
+        iMouse.set(
+            this.position.x * resolution.x,
+            this.position.y * resolution.y,
+            this.isDown ? clickX : -clickX,
+            this.clickPending ? clickY : -clickY
+        );
+
+        this.clickPending = false;
+    }
+}
@@ -8,8 +8,28 @@ uniform sampler2D iTexture;
 uniform int iMode; // 0 = CRT, 1 = LCD, 2 = XP, 3 = Win98
 uniform float iStartTime; // Time when the shader was initialized for fade-in effect
 
+// Local audio analysis - all zero unless a local file is playing
+uniform sampler2D iSpectrum;
+uniform float iBass;
+uniform float iMid;
+uniform float iTreble;
+uniform float iLevel;
+
+// Beat pulse from the track analysis timeline
+uniform float iBeat;
+
+// Tap tempo clock, see beatClock.js
+uniform float iBeatPhase;
+uniform float iBarPhase;
+uniform float iBeatLocked;
+
 varying vec2 vUv;
 
+// Detail level from qualityGovernor.js, 0 = low to 2 = high
+#ifndef QUALITY
+#define QUALITY 2
+#endif
+
 // Function to create scanlines
 float scanline(vec2 uv, float time, int mode) {
     float scanlines;
@@ -354,9 +374,11 @@ void main() {
     vec3 color = texture2D(iTexture, finalUv).rgb;
     
     // Apply RGB shift based on mode - more pronounced and wavy
+#if QUALITY > 0
     float waveShift = sin(finalUv.y * 8.0 + time * 0.6) * 0.001; // Small wavy adjustment
-    float shiftAmount = 0.004 + 0.002 * sin(time * 0.5) + waveShift;
+    float shiftAmount = 0.004 + 0.002 * sin(time * 0.5) + waveShift + 0.004 * iBass;
     color = mix(color, rgbShift(iTexture, finalUv, shiftAmount, iMode), 0.4);
+#endif
     
     // Apply wavy scanlines appropriate for the mode
     color *= scanline(finalUv, time, iMode);
@@ -371,7 +393,7 @@ void main() {
     float noiseWave = sin(finalUv.x * 6.0 + finalUv.y * 6.0 + time * 0.2) * 0.2;
     // Add a bit more noise for better visibility
     float noiseAmount = 1.4; // Increase noise amount multiplier (new parameter)
-    color += noise(finalUv, time + noiseWave, iMode) * noiseAmount;
+    color += noise(finalUv, time + noiseWave, iMode) * (noiseAmount + iTreble);
     
     // Apply color grading based on mode with slight wave effect
     color = colorGrading(color, iMode);
@@ -382,7 +404,7 @@ void main() {
     color *= 1.0 + colorWave * (1.0 - dist * 2.0);
     
     // Apply very strong brightness boost (1.3x brighter)
-    color *= 1.3;
+    color *= 1.3 + 0.1 * iBeat + 0.05 * iBeatLocked * pow(1.0 - iBeatPhase, 4.0);
     
     // Random vertical sync issues (more frequent)
     if ((iMode == 0 || iMode == 3) && sin(time * 0.37) > 0.96) {
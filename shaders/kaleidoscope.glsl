@@ -0,0 +1,118 @@
+uniform float iTime;
+uniform vec2 iResolution;
+uniform float iIntensity;
+uniform sampler2D iTexture;
+uniform int iKaleidoscopePattern;
+uniform float iMix; // How much of the kaleidoscope is blended over the wallpaper
+
+// Local audio analysis - all zero unless a local file is playing
+uniform sampler2D iSpectrum;
+uniform float iBass;
+uniform float iMid;
+uniform float iTreble;
+uniform float iLevel;
+
+// Beat pulse from the track analysis timeline
+uniform float iBeat;
+
+// Tap tempo clock, see beatClock.js
+uniform float iBeatPhase;
+uniform float iBarPhase;
+uniform float iBeatLocked;
+
+// Seed for randomness, see renderClock.js
+uniform float iSeed;
+
+// Current lyrics line, see lyrics.js
+uniform sampler2D iLyrics;
+uniform float iLyricsOpacity;
+
+varying vec2 vUv;
+
+// HSV to RGB conversion function
+vec3 hsv2rgb(vec3 c) {
+    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+}
+
+// Mirror the wallpaper into kaleidoscope segments around the center
+vec2 mirrorSegments(vec2 uv, float segments, float time) {
+    vec2 pos = uv - 0.5;
+    pos.x *= iResolution.x / iResolution.y;
+
+    float radius = length(pos);
+    float angle = atan(pos.y, pos.x) + time * 0.1;
+    float segmentAngle = 6.28318 / segments;
+    angle = mod(angle, segmentAngle);
+    angle = abs(angle - segmentAngle * 0.5);
+
+    vec2 mirrored = radius * vec2(cos(angle), sin(angle));
+    mirrored.x /= iResolution.x / iResolution.y;
+    return clamp(mirrored + 0.5, 0.001, 0.999);
+}
+
+// Colored overlay pattern, one per kaleidoscope pattern index
+vec3 overlay(vec2 uv, float time, float intensity, int pattern) {
+    vec2 pos = uv - 0.5;
+    float radius = length(pos);
+    float angle = atan(pos.y, pos.x);
+
+    if (pattern == 2) {
+        // Rings expanding from the center
+        float ring = fract(radius * 6.0 - time * 0.4);
+        ring = smoothstep(0.0, 0.1, ring) * smoothstep(1.0, 0.8, ring);
+        // Each ring lights up with its frequency band
+        float band = texture2D(iSpectrum, vec2(clamp(radius * 1.5, 0.0, 1.0), 0.25)).x;
+        return hsv2rgb(vec3(fract(radius + time * 0.05), 0.7, ring * (intensity + band)));
+    }
+    else if (pattern == 3) {
+        // Hypnotic spiral
+        float spiral = fract((angle + time * 0.5) / 6.28318 + radius * 3.0 - time * 0.2);
+        spiral = smoothstep(0.3, 0.7, spiral);
+        return hsv2rgb(vec3(fract(angle / 6.28318 * 2.0 + time * 0.05), 0.8, spiral * intensity));
+    }
+    else if (pattern == 4) {
+        // Flower petals
+        float petals = 6.0;
+        float petal = cos((angle + time * 0.2) * petals);
+        float flowerRadius = 0.3 + 0.1 * sin(time * 0.5);
+        float flower = 1.0 - smoothstep(flowerRadius * (0.7 + 0.3 * petal),
+                                       flowerRadius * (0.7 + 0.3 * petal) + 0.05,
+                                       radius);
+        return hsv2rgb(vec3(fract(angle / 6.28318 + time * 0.1), 0.7, flower * intensity));
+    }
+
+    // Pattern 1 - starry oscillating segments
+    float oscillation = sin(time + radius * 20.0) * intensity * 0.05;
+    float ring = fract((radius + oscillation) * 5.0 + time * 0.5);
+    ring = smoothstep(0.0, 0.1, ring) * smoothstep(1.0, 0.9, ring);
+    return hsv2rgb(vec3(fract(time * 0.1 + radius + angle / 6.28318), 0.8, ring * intensity));
+}
+
+void main() {
+    vec2 uv = vUv;
+    float time = iTime * 0.2;
+
+    // Number of mirrored segments breathes with the intensity
+    float segments = 6.0 + 2.0 * floor(iIntensity * 2.0 + iBass * 2.0);
+    vec2 mirroredUV = mirrorSegments(uv, segments, time);
+
+    vec3 wallpaper = texture2D(iTexture, mirroredUV).rgb;
+    vec3 pattern = overlay(uv, time, clamp(iIntensity, 0.0, 1.5), iKaleidoscopePattern) * (1.0 + 0.5 * iBeat + 0.3 * iBeatLocked * pow(1.0 - iBeatPhase, 4.0));
+
+    // Screen blend keeps the wallpaper visible under the pattern
+    // Treble pushes more of the pattern through
+    vec3 color = 1.0 - (1.0 - wallpaper) * (1.0 - pattern * min(1.0, iMix + iTreble * 0.4));
+
+    // Lyrics line in a band near the bottom, the texture is 8:1
+    if (iLyricsOpacity > 0.01) {
+        vec2 lyricsUV = vec2((vUv.x - 0.15) / 0.7, (vUv.y - 0.08) * iResolution.y / (0.7 * iResolution.x / 8.0));
+        if (lyricsUV.x >= 0.0 && lyricsUV.x <= 1.0 && lyricsUV.y >= 0.0 && lyricsUV.y <= 1.0) {
+            vec4 lyricsText = texture2D(iLyrics, lyricsUV);
+            color = mix(color, lyricsText.rgb, lyricsText.a * iLyricsOpacity);
+        }
+    }
+
+    gl_FragColor = vec4(color, 1.0);
+}
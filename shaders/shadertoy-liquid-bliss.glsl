@@ -0,0 +1,22 @@
+// ShaderToy-format scene - loaded through ShaderToyImporter.wrap()
+// iChannel0 is the Bliss wallpaper, dragging the mouse moves the ripple center
+
+void mainImage(out vec4 fragColor, in vec2 fragCoord) {
+    vec2 uv = fragCoord / iResolution.xy;
+
+    // Ripple center follows the mouse while a button is held
+    vec2 center = iMouse.z > 0.0 ? iMouse.xy / iResolution.xy : vec2(0.5);
+    vec2 toCenter = uv - center;
+    toCenter.x *= iResolution.x / iResolution.y;
+    float dist = length(toCenter);
+
+    float ripple = sin(dist * 40.0 - iTime * 3.0) * exp(-dist * 4.0);
+    vec2 offset = normalize(toCenter + 0.0001) * ripple * 0.01 * (0.5 + iIntensity);
+
+    vec3 color = texture(iChannel0, clamp(uv + offset, 0.001, 0.999)).rgb;
+
+    // Warm highlights on the ripple crests
+    color += vec3(0.25, 0.2, 0.1) * max(ripple, 0.0) * iIntensity;
+
+    fragColor = vec4(color, 1.0);
+}
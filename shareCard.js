@@ -0,0 +1,214 @@
+/**
+ * shareCard.js
+ * Square PNG cards for sharing a track
+ *
+ * A card is a frame of the visualizer inside Media Player window chrome,
+ * with the track and, for dedications, the message and sender below it.
+ * Where the browser can share files it is attached to navigator.share,
+ * otherwise it is downloaded.
+ */
+
+class ShareCard {
+    static get SIZE() {
+        return 1080;
+    }
+
+    /**
+     * Draw a card
+     * @param {Object} card
+     * @param {HTMLCanvasElement} card.frame - Visualizer frame, see Visualizer.captureFrame
+     * @param {string} card.title - Track line, e.g. "Title - Artist"
+     * @param {string} card.message - Dedication message, may be empty
+     * @param {string} card.name - Sender's name, may be empty
+     * @returns {HTMLCanvasElement}
+     */
+    static draw({ frame, title = '', message = '', name = '' }) {
+        const size = ShareCard.SIZE;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d');
+
+        // Desktop
+        const sky = context.createLinearGradient(0, 0, 0, size);
+        sky.addColorStop(0, '#3A8BE8');
+        sky.addColorStop(1, '#1D4FB8');
+        context.fillStyle = sky;
+        context.fillRect(0, 0, size, size);
+
+        const windowRect = { x: 60, y: 60, width: size - 120, height: size - 120 };
+        ShareCard.drawWindow(context, windowRect, 'Ti penso - Media Player');
+
+        // Visualizer frame, cropped to fill the screen area
+        const screen = { x: windowRect.x + 12, y: windowRect.y + 68, width: windowRect.width - 24, height: 600 };
+        context.fillStyle = 'black';
+        context.fillRect(screen.x, screen.y, screen.width, screen.height);
+        if (frame && frame.width > 0 && frame.height > 0) {
+            const scale = Math.max(screen.width / frame.width, screen.height / frame.height);
+            const cropWidth = screen.width / scale;
+            const cropHeight = screen.height / scale;
+            context.drawImage(frame,
+                (frame.width - cropWidth) / 2, (frame.height - cropHeight) / 2, cropWidth, cropHeight,
+                screen.x, screen.y, screen.width, screen.height);
+        }
+
+        // Track and dedication
+        const textX = screen.x + 8;
+        const textWidth = screen.width - 16;
+        let textY = screen.y + screen.height + 52;
+
+        context.fillStyle = '#000';
+        context.textBaseline = 'alphabetic';
+        context.font = 'bold 34px Tahoma, sans-serif';
+        ShareCard.wrapText(context, title, textWidth, 1).forEach(line => {
+            context.fillText(line, textX, textY);
+            textY += 44;
+        });
+
+        if (message) {
+            context.fillStyle = '#333';
+            context.font = 'italic 30px Tahoma, sans-serif';
+            ShareCard.wrapText(context, `"${message}"`, textWidth, name ? 3 : 4).forEach(line => {
+                context.fillText(line, textX, textY);
+                textY += 40;
+            });
+        }
+
+        if (name) {
+            context.fillStyle = '#555';
+            context.font = '28px Tahoma, sans-serif';
+            context.textAlign = 'right';
+            context.fillText(`- ${name}`, textX + textWidth, windowRect.y + windowRect.height - 24);
+            context.textAlign = 'left';
+        }
+
+        return canvas;
+    }
+
+    // Luna blue title bar, borders and the three caption buttons
+    static drawWindow(context, rect, title) {
+        const titleHeight = 56;
+
+        context.fillStyle = '#0831D9';
+        ShareCard.roundedRect(context, rect.x - 4, rect.y - 4, rect.width + 8, rect.height + 8, 16);
+        context.fill();
+
+        const bar = context.createLinearGradient(0, rect.y, 0, rect.y + titleHeight);
+        bar.addColorStop(0, '#0997FF');
+        bar.addColorStop(0.1, '#0053EE');
+        bar.addColorStop(0.9, '#0050EE');
+        bar.addColorStop(1, '#0066FF');
+        context.fillStyle = bar;
+        ShareCard.roundedRect(context, rect.x, rect.y, rect.width, titleHeight + 12, 12);
+        context.fill();
+
+        context.fillStyle = '#ECE9D8';
+        context.fillRect(rect.x, rect.y + titleHeight, rect.width, rect.height - titleHeight);
+
+        context.font = 'bold 28px Tahoma, sans-serif';
+        context.textBaseline = 'middle';
+        context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        context.fillText(title, rect.x + 22, rect.y + titleHeight / 2 + 2);
+        context.fillStyle = 'white';
+        context.fillText(title, rect.x + 20, rect.y + titleHeight / 2);
+
+        const buttonSize = 40;
+        const buttonY = rect.y + (titleHeight - buttonSize) / 2;
+        ['minimize', 'maximize', 'close'].forEach((kind, index) => {
+            const buttonX = rect.x + rect.width - 12 - (3 - index) * (buttonSize + 4);
+            context.fillStyle = kind === 'close' ? '#E0441C' : '#2E6CF0';
+            ShareCard.roundedRect(context, buttonX, buttonY, buttonSize, buttonSize, 6);
+            context.fill();
+            context.strokeStyle = 'white';
+            context.lineWidth = 3;
+            context.stroke();
+
+            context.beginPath();
+            if (kind === 'minimize') {
+                context.moveTo(buttonX + 11, buttonY + 28);
+                context.lineTo(buttonX + 25, buttonY + 28);
+            } else if (kind === 'maximize') {
+                context.rect(buttonX + 11, buttonY + 11, 18, 18);
+            } else {
+                context.moveTo(buttonX + 12, buttonY + 12);
+                context.lineTo(buttonX + 28, buttonY + 28);
+                context.moveTo(buttonX + 28, buttonY + 12);
+                context.lineTo(buttonX + 12, buttonY + 28);
+            }
+            context.stroke();
+        });
+    }
+
+    static roundedRect(context, x, y, width, height, radius) {
+        context.beginPath();
+        context.moveTo(x + radius, y);
+        context.arcTo(x + width, y, x + width, y + height, radius);
+        context.arcTo(x + width, y + height, x, y + height, radius);
+        context.arcTo(x, y + height, x, y, radius);
+        context.arcTo(x, y, x + width, y, radius);
+        context.closePath();
+    }
+
+    /**
+     * Break text into lines that fit, the last one ends with ... when cut
+     * @returns {string[]}
+     */
+    static wrapText(context, text, maxWidth, maxLines) {
+        const lines = [];
+        let line = '';
+
+        text.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (context.measureText(candidate).width <= maxWidth || !line) {
+                line = candidate;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        });
+        if (line) lines.push(line);
+
+        if (lines.length > maxLines) {
+            lines.length = maxLines;
+            let last = lines[maxLines - 1];
+            while (last && context.measureText(`${last}...`).width > maxWidth) {
+                last = last.slice(0, -1);
+            }
+            lines[maxLines - 1] = `${last}...`;
+        }
+
+        return lines;
+    }
+
+    /**
+     * @param {HTMLCanvasElement} canvas - A drawn card
+     * @param {string} fileName
+     * @returns {Promise<File>}
+     */
+    static toFile(canvas, fileName = 'ti-penso.png') {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(new File([blob], fileName, { type: 'image/png' }));
+                } else {
+                    reject(new Error('Could not encode the share card'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * Save a file through a temporary download link
+     * @param {File} file
+     */
+    static download(file) {
+        const url = URL.createObjectURL(file);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
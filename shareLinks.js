@@ -0,0 +1,200 @@
+/**
+ * shareLinks.js
+ * Links that bring someone to the same spot in a track
+ *
+ * A moment is a Spotify item plus a position:
+ *   index.html?uri=spotify:track:<id>&t=83
+ * The embed starts on the item (see SpotifyLink.getStartLink) and the
+ * Visualizer seeks to t once the player is ready. t is in seconds, 1:23 and
+ * 1m23s are accepted as well.
+ *
+ * A dedication adds a message, the sender's name and a scene. They travel in
+ * the fragment so no server ever sees them:
+ *   index.html?uri=spotify:track:<id>&t=83#d=z<data>.<checksum>
+ * data is the deflated JSON { v, u, m, n, p } in base64url (j instead of z
+ * when the browser can't compress), checksum the start of its SHA-256 so
+ * links mangled by messengers are detected instead of showing garbage.
+ * Browsers without WebCrypto (plain http) leave the checksum out.
+ */
+
+class ShareLink {
+    static get MAX_MESSAGE_LENGTH() {
+        return 280;
+    }
+
+    static get MAX_NAME_LENGTH() {
+        return 40;
+    }
+
+    /**
+     * Link to a position in a Spotify item
+     * @param {string} uri - spotify: URI
+     * @param {number} positionMs - Position in milliseconds
+     * @returns {string}
+     */
+    static forMoment(uri, positionMs) {
+        const params = new URLSearchParams({ uri, t: String(Math.floor(positionMs / 1000)) });
+        return `${ShareLink.getPageUrl()}?${params}`;
+    }
+
+    /**
+     * Link to an item with a personal message
+     * @param {Object} dedication
+     * @param {string} dedication.uri - spotify: URI
+     * @param {number|null} dedication.position - Position in milliseconds, null to start from the top
+     * @param {string} dedication.message - Short message
+     * @param {string} dedication.name - Sender's name, may be empty
+     * @param {string|null} dedication.presetId - Scene the recipient starts on
+     * @returns {Promise<string>}
+     */
+    static async forDedication({ uri, position = null, message, name = '', presetId = null }) {
+        const base = position === null
+            ? `${ShareLink.getPageUrl()}?${new URLSearchParams({ uri })}`
+            : ShareLink.forMoment(uri, position);
+
+        const payload = JSON.stringify({
+            v: 1,
+            u: uri,
+            m: message.slice(0, ShareLink.MAX_MESSAGE_LENGTH),
+            n: name.slice(0, ShareLink.MAX_NAME_LENGTH),
+            p: presetId
+        });
+        const data = await ShareLink.pack(payload);
+        const checksum = await ShareLink.checksum(data);
+        return checksum ? `${base}#d=${data}.${checksum}` : `${base}#d=${data}`;
+    }
+
+    /**
+     * The dedication the page was opened with, if any
+     * @returns {Promise<Object|null>} - { uri, message, name, presetId }, or { error } for a damaged link
+     */
+    static async getDedication() {
+        const match = /(?:^#|&)d=([A-Za-z0-9_-]+)(?:\.([A-Za-z0-9_-]+))?/.exec(window.location.hash);
+        if (!match) return null;
+
+        const [, data, checksum] = match;
+        try {
+            // Links made without WebCrypto have no checksum, they can only be unpacked
+            const expected = checksum ? await ShareLink.checksum(data) : null;
+            if (expected !== null && expected !== checksum) {
+                throw new Error('checksum mismatch');
+            }
+
+            const payload = JSON.parse(await ShareLink.unpack(data));
+            const link = SpotifyLink.tryParse(payload.u);
+            if (!link || typeof payload.m !== 'string') {
+                throw new Error('missing fields');
+            }
+
+            return {
+                uri: link.uri,
+                message: payload.m.slice(0, ShareLink.MAX_MESSAGE_LENGTH),
+                name: typeof payload.n === 'string' ? payload.n.slice(0, ShareLink.MAX_NAME_LENGTH) : '',
+                presetId: typeof payload.p === 'string' ? payload.p : null
+            };
+        } catch (error) {
+            console.warn('Could not read the dedication in the link:', error);
+            return { error: 'This dedication link is damaged. Ask for it to be sent again, the whole link is needed.' };
+        }
+    }
+
+    static async pack(text) {
+        const bytes = new TextEncoder().encode(text);
+        if (!window.CompressionStream) {
+            return `j${ShareLink.toBase64Url(bytes)}`;
+        }
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return `z${ShareLink.toBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()))}`;
+    }
+
+    static async unpack(data) {
+        const bytes = ShareLink.fromBase64Url(data.slice(1));
+        if (data[0] === 'j') {
+            return new TextDecoder().decode(bytes);
+        }
+        if (data[0] !== 'z' || !window.DecompressionStream) {
+            throw new Error('Unsupported dedication encoding');
+        }
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
+    }
+
+    /**
+     * First 8 bytes of the SHA-256 of the data, base64url
+     * @returns {Promise<string|null>} - null where WebCrypto is unavailable (plain http)
+     */
+    static async checksum(data) {
+        if (!window.crypto || !window.crypto.subtle) return null;
+
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(data));
+        return ShareLink.toBase64Url(new Uint8Array(digest).subarray(0, 8));
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    // The page without query or fragment, so debug parameters aren't shared
+    static getPageUrl() {
+        return window.location.href.split(/[?#]/)[0];
+    }
+
+    /**
+     * The moment the page was opened with, if any
+     * @returns {{uri: string, type: string, position: number}|null} - position in milliseconds
+     */
+    static getSharedMoment() {
+        const params = new URLSearchParams(window.location.search);
+        const link = SpotifyLink.tryParse(params.get('uri'));
+        const position = ShareLink.parseTime(params.get('t'));
+        if (!link || position === null) return null;
+
+        return { uri: link.uri, type: link.type, position };
+    }
+
+    /**
+     * @param {string} value - 83, 1:23 or 1m23s
+     * @returns {number|null} - Milliseconds
+     */
+    static parseTime(value) {
+        const text = (value || '').trim();
+        let seconds = null;
+
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            seconds = Number(text);
+        } else if (/^\d+:\d{1,2}$/.test(text)) {
+            const [minutes, rest] = text.split(':').map(Number);
+            seconds = minutes * 60 + rest;
+        } else {
+            const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(text);
+            if (match && text) {
+                seconds = Number(match[1] || 0) * 3600 + Number(match[2] || 0) * 60 + Number(match[3] || 0);
+            }
+        }
+
+        return seconds === null ? null : seconds * 1000;
+    }
+
+    /**
+     * @param {number} ms - Position in milliseconds
+     * @returns {string} - e.g. 1:23 or 1:02:03
+     */
+    static formatTime(ms) {
+        const total = Math.max(0, Math.floor(ms / 1000));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total / 60) % 60;
+        const seconds = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * spotifyEmulator.js
+ * Local stand-in for the Spotify IFrame API
+ *
+ * Open the page with ?spotify=emulator and window.onSpotifyIframeApiReady
+ * receives an emulated IFrameAPI instead of Spotify's, so playback and the
+ * visualizer sync can be developed and tested without internet. Spotify's
+ * script may still load, its ready call is ignored.
+ *
+ * The emulated controller plays nothing but runs a timeline like the embed:
+ * playback_update events every 500 ms while playing, commands take effect
+ * after a short latency and the track pauses at its end. Durations come from
+ * analysis/<track id>.json when there is one, otherwise 3 minutes.
+ *
+ * From the console: visualizerInstance.spotifyController.simulateError('...')
+ * or .simulateBuffering(2000).
+ *
+ * Must be loaded before the Spotify iframe API script.
+ */
+
+class EmulatedEmbedController {
+    /**
+     * @param {Element} element - Element the embed would replace
+     * @param {Object} options - createController options, uses uri
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.latency = 100;
+        this.updateInterval = 500;
+        this.defaultDuration = 180000;
+
+        this.playingURI = null;
+        this.position = 0;
+        this.duration = this.defaultDuration;
+        this.isPaused = true;
+        this.isBuffering = false;
+        this.lastTick = 0;
+        this.timer = null;
+
+        this.listeners = {};
+        this.initialURI = options.uri || EmulatedEmbedController.uriFromElement(element);
+    }
+
+    // The embed reports ready once the first track is loaded
+    async initialize() {
+        await this.loadUri(this.initialURI);
+        this.emit('ready', {});
+    }
+
+    static uriFromElement(element) {
+        const src = element && element.src;
+        const match = src ? /track\/([A-Za-z0-9]{22})/.exec(src) : null;
+        return match ? `spotify:track:${match[1]}` : null;
+    }
+
+    addListener(eventName, callback) {
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        this.listeners[eventName].push(callback);
+    }
+
+    removeListener(eventName, callback) {
+        if (!this.listeners[eventName]) return;
+        this.listeners[eventName] = this.listeners[eventName].filter(listener => listener !== callback);
+    }
+
+    // Spotify passes { data } to its listeners
+    emit(eventName, data) {
+        (this.listeners[eventName] || []).forEach(callback => {
+            try {
+                callback({ data });
+            } catch (error) {
+                console.error(`Error in emulated Spotify ${eventName} listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Load an item, paused at the start. Albums and playlists play as one long track.
+     * @param {string} uri - spotify:track:<id>, spotify:album:<id>, ...
+     * @returns {Promise}
+     */
+    async loadUri(uri) {
+        const match = /^spotify:(?:track|album|playlist|artist|episode):([A-Za-z0-9]{22})$/.exec(uri || '');
+        if (!match) {
+            this.emit('error', { message: `Invalid Spotify URI: ${uri}` });
+            return;
+        }
+
+        this.stopTimer();
+        this.playingURI = uri;
+        this.position = 0;
+        this.isPaused = true;
+        // play() may already have been called while the duration is looked up
+        this.duration = await this.lookupDuration(match[1]);
+        this.emitUpdate();
+    }
+
+    async lookupDuration(trackId) {
+        try {
+            const response = await fetch(`analysis/${trackId}.json`);
+            if (response.ok) {
+                const analysis = await response.json();
+                const seconds = Number(analysis.duration || (analysis.track && analysis.track.duration));
+                if (seconds > 0) return seconds * 1000;
+            }
+        } catch (e) {
+            // No analysis server, use the default
+        }
+        return this.defaultDuration;
+    }
+
+    // play() starts the track from the beginning, like the real embed
+    play() {
+        this.later(() => {
+            this.position = 0;
+            this.start();
+        });
+    }
+
+    resume() {
+        this.later(() => this.start());
+    }
+
+    pause() {
+        this.later(() => {
+            this.advance();
+            this.isPaused = true;
+            this.stopTimer();
+            this.emitUpdate();
+        });
+    }
+
+    togglePlay() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * @param {number} seconds - Position to jump to
+     */
+    seek(seconds) {
+        this.later(() => {
+            this.advance();
+            this.position = Math.max(0, Math.min(seconds * 1000, this.duration));
+            this.emitUpdate();
+        });
+    }
+
+    /**
+     * Not part of Spotify's API, the emulator answers it for tests
+     * @returns {Promise<Object>} - The same fields as a playback_update
+     */
+    getPlaybackState() {
+        this.advance();
+        return Promise.resolve(this.getUpdate());
+    }
+
+    simulateError(message = 'Emulated playback error') {
+        this.isPaused = true;
+        this.stopTimer();
+        this.emit('error', { message });
+    }
+
+    // Hold the position for a while, as if the stream stalled
+    simulateBuffering(durationMs = 2000) {
+        this.advance();
+        this.isBuffering = true;
+        this.emitUpdate();
+        setTimeout(() => {
+            this.isBuffering = false;
+            this.lastTick = performance.now();
+            this.emitUpdate();
+        }, durationMs);
+    }
+
+    destroy() {
+        this.stopTimer();
+        this.listeners = {};
+    }
+
+    start() {
+        if (this.position >= this.duration) {
+            this.position = 0;
+        }
+        this.isPaused = false;
+        this.lastTick = performance.now();
+        this.stopTimer();
+        this.timer = setInterval(() => this.tick(), this.updateInterval);
+        this.emitUpdate();
+    }
+
+    tick() {
+        this.advance();
+        if (this.position >= this.duration) {
+            // The embed pauses at the end of the track
+            this.position = this.duration;
+            this.isPaused = true;
+            this.stopTimer();
+        }
+        this.emitUpdate();
+    }
+
+    advance() {
+        const now = performance.now();
+        if (!this.isPaused && !this.isBuffering) {
+            this.position = Math.min(this.duration, this.position + now - this.lastTick);
+        }
+        this.lastTick = now;
+    }
+
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    later(run) {
+        setTimeout(run, this.latency);
+    }
+
+    getUpdate() {
+        return {
+            playingURI: this.playingURI,
+            isPaused: this.isPaused,
+            isBuffering: this.isBuffering,
+            duration: this.duration,
+            position: this.position
+        };
+    }
+
+    emitUpdate() {
+        this.emit('playback_update', this.getUpdate());
+    }
+}
+
+class SpotifyEmulator {
+    /**
+     * Whether the page was opened with ?spotify=emulator
+     * @returns {boolean}
+     */
+    static isRequested() {
+        return new URLSearchParams(window.location.search).get('spotify') === 'emulator';
+    }
+
+    /**
+     * The emulated IFrameAPI object
+     */
+    static createAPI() {
+        return {
+            createController(element, options, callback) {
+                const controller = new EmulatedEmbedController(element, options);
+                // Spotify creates controllers asynchronously too, listeners are added in the callback
+                setTimeout(() => {
+                    callback(controller);
+                    controller.initialize();
+                }, 0);
+            }
+        };
+    }
+
+    /**
+     * Take over window.onSpotifyIframeApiReady: like Spotify's script, the
+     * emulator calls the callback assigned by the time the page has loaded.
+     * The Visualizer assigns its own from a load listener, after the
+     * emulator's has run, so later callbacks are called as soon as they are
+     * assigned. Spotify's own call is ignored.
+     */
+    static install() {
+        let readyCallback = null;
+        const api = SpotifyEmulator.createAPI();
+
+        Object.defineProperty(window, 'onSpotifyIframeApiReady', {
+            configurable: true,
+            get() {
+                return () => console.log('Ignoring the Spotify iframe API, the emulator is active');
+            },
+            set(callback) {
+                readyCallback = callback;
+                // Asynchronous like the real API, the assigning code finishes first
+                if (document.readyState === 'complete' && typeof callback === 'function') {
+                    setTimeout(() => callback(api), 0);
+                }
+            }
+        });
+
+        window.addEventListener('load', () => {
+            if (readyCallback) {
+                readyCallback(api);
+            }
+        });
+
+        console.log('Spotify IFrame API emulator installed');
+    }
+}
+
+if (SpotifyEmulator.isRequested()) {
+    SpotifyEmulator.install();
+}
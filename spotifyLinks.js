@@ -0,0 +1,111 @@
+/**
+ * spotifyLinks.js
+ * Normalises Spotify links and remembers recently opened ones
+ *
+ * Accepted input:
+ *   spotify:track:<id>  (also album, playlist, artist, episode)
+ *   https://open.spotify.com/track/<id>?si=...
+ *   https://open.spotify.com/intl-de/album/<id>
+ *   https://open.spotify.com/embed/playlist/<id>
+ *   open.spotify.com/artist/<id>
+ *
+ * The page starts with ?uri=<link>, else the last opened item, else DEFAULT_URI.
+ */
+
+class SpotifyLink {
+    static get TYPES() {
+        return ['track', 'album', 'playlist', 'artist', 'episode'];
+    }
+
+    static get DEFAULT_URI() {
+        return 'spotify:track:264hK4WMZsBIpmIhdBXZrh';
+    }
+
+    static get MAX_RECENT() {
+        return 10;
+    }
+
+    /**
+     * Parse a link or URI
+     * @param {string} input - Pasted text
+     * @returns {{type: string, id: string, uri: string, url: string, embedUrl: string}}
+     */
+    static parse(input) {
+        const text = (input || '').trim();
+        if (!text) {
+            throw new Error('Enter an open.spotify.com link or a spotify: URI');
+        }
+
+        const types = SpotifyLink.TYPES.join('|');
+        const uriMatch = new RegExp(`^spotify:(${types}):([A-Za-z0-9]{22})$`).exec(text);
+        const urlMatch = new RegExp(`^(?:https?://)?open\\.spotify\\.com/(?:intl-[a-z-]+/)?(?:embed/)?(${types})/([A-Za-z0-9]{22})(?:[/?#].*)?$`, 'i').exec(text);
+        const match = uriMatch || urlMatch;
+
+        if (!match) {
+            throw new Error(`"${text}" is not a Spotify track, album, playlist, artist or episode link`);
+        }
+
+        return SpotifyLink.fromParts(match[1].toLowerCase(), match[2]);
+    }
+
+    static fromParts(type, id) {
+        return {
+            type,
+            id,
+            uri: `spotify:${type}:${id}`,
+            url: `https://open.spotify.com/${type}/${id}`,
+            embedUrl: `https://open.spotify.com/embed/${type}/${id}?utm_source=generator&theme=0`
+        };
+    }
+
+    /**
+     * Link parsed without throwing
+     * @param {string} input - Link or URI
+     * @returns {Object|null}
+     */
+    static tryParse(input) {
+        try {
+            return SpotifyLink.parse(input);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * What the embed shows when the page opens
+     * @returns {Object} - Parsed link
+     */
+    static getStartLink() {
+        const fromQuery = SpotifyLink.tryParse(new URLSearchParams(window.location.search).get('uri'));
+        const recent = SpotifyLink.getRecent()[0];
+        return fromQuery || (recent && SpotifyLink.tryParse(recent.uri)) || SpotifyLink.parse(SpotifyLink.DEFAULT_URI);
+    }
+
+    /**
+     * Recently opened items, newest first
+     * @returns {Array<{uri: string, type: string, openedAt: number}>}
+     */
+    static getRecent() {
+        try {
+            const recent = JSON.parse(localStorage.getItem('wmp_recent_spotify') || '[]');
+            return Array.isArray(recent) ? recent : [];
+        } catch (e) {
+            console.warn('Could not read recently opened Spotify items');
+            return [];
+        }
+    }
+
+    /**
+     * Put a link at the top of the recent list
+     * @param {Object} link - Parsed link
+     */
+    static remember(link) {
+        try {
+            const recent = SpotifyLink.getRecent().filter(item => item.uri !== link.uri);
+            recent.unshift({ uri: link.uri, type: link.type, openedAt: Date.now() });
+            localStorage.setItem('wmp_recent_spotify', JSON.stringify(recent.slice(0, SpotifyLink.MAX_RECENT)));
+        } catch (e) {
+            console.warn('Could not save recently opened Spotify item');
+        }
+    }
+}
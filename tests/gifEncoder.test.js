@@ -0,0 +1,169 @@
+/**
+ * gifEncoder.test.js
+ * LZW image data read back by a GIF decoder, run with: node --test tests/
+ *
+ * decompress below follows the GIF89a specification, appendix F, on its own:
+ * codes grow a bit when the table reaches the next power of two, up to 12
+ * bits, and a clear code starts a new table.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'gifEncoder.js'), 'utf8');
+
+const context = vm.createContext({ Blob });
+vm.runInContext(SOURCE, context);
+const GifEncoder = vm.runInContext('GifEncoder', context);
+
+function decompress(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let clears = 0;
+    let codeSize;
+    let table;
+    let previous;
+    let position = 0;
+
+    const reset = () => {
+        codeSize = minCodeSize + 1;
+        table = Array.from({ length: clearCode }, (_, i) => [i]).concat([null, null]);
+        previous = null;
+    };
+    const read = () => {
+        if (position + codeSize > data.length * 8) {
+            throw new Error('Image data ends without an end code');
+        }
+        let code = 0;
+        for (let i = 0; i < codeSize; i++, position++) {
+            code |= ((data[position >> 3] >> (position & 7)) & 1) << i;
+        }
+        return code;
+    };
+
+    reset();
+    for (;;) {
+        const code = read();
+        if (code === clearCode) {
+            clears++;
+            reset();
+            continue;
+        }
+        if (code === endCode) break;
+
+        let entry;
+        if (code < table.length) {
+            entry = table[code];
+        } else if (code === table.length && previous) {
+            entry = previous.concat(previous[0]);
+        } else {
+            throw new Error(`Code ${code} is not in the table yet`);
+        }
+        entry.forEach(index => output.push(index));
+
+        if (previous && table.length < 4096) {
+            table.push(previous.concat(entry[0]));
+            if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+        }
+        previous = entry;
+    }
+
+    return { output, clears };
+}
+
+// Joins the sub-blocks that follow a byte offset, returns the data and where they end
+function readSubBlocks(bytes, offset) {
+    const data = [];
+    while (bytes[offset] !== 0) {
+        const length = bytes[offset];
+        data.push(...bytes.slice(offset + 1, offset + 1 + length));
+        offset += length + 1;
+    }
+    return { data, end: offset + 1 };
+}
+
+// Repeatable noise, which keeps adding new strings to the table
+function noise(length, seed = 1) {
+    const indices = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+        indices[i] = seed >> 23;
+    }
+    return indices;
+}
+
+test('short runs decode to the same indices with a single clear code', () => {
+    const indices = Uint8Array.from([0, 0, 0, 0, 1, 1, 1, 255, 255, 0, 0, 0, 0, 0, 0, 0]);
+    const { output, clears } = decompress(GifEncoder.compress(indices, 8), 8);
+
+    assert.deepStrictEqual(output, Array.from(indices));
+    assert.strictEqual(clears, 1);
+});
+
+test('a full table is cleared and the codes after it still decode', () => {
+    const indices = noise(40000);
+    const { output, clears } = decompress(GifEncoder.compress(indices, 8), 8);
+
+    // Each table holds 3838 new strings before it is full
+    assert.ok(clears >= 3, `${clears} clear codes`);
+    assert.strictEqual(output.length, indices.length);
+    assert.deepStrictEqual(output, Array.from(indices));
+});
+
+test('data that ends right at a table reset decodes', () => {
+    const indices = noise(10000, 7);
+    const clearsIn = (length) => decompress(GifEncoder.compress(indices.subarray(0, length), 8), 8).clears;
+
+    // Shortest prefix whose table fills up
+    let low = 1;
+    let high = indices.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (clearsIn(middle) > 1) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+
+    for (let end = low - 2; end <= low + 2; end++) {
+        const part = indices.subarray(0, end);
+        assert.deepStrictEqual(decompress(GifEncoder.compress(part, 8), 8).output, Array.from(part));
+    }
+});
+
+test('each frame holds its pixels as LZW sub-blocks', async () => {
+    const width = 120;
+    const height = 90;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const shades = noise(width * height, 3);
+    for (let i = 0; i < width * height; i++) {
+        data.set([shades[i], 255 - shades[i], (i % width) * 2, 255], i * 4);
+    }
+    const frame = { width, height, data };
+
+    const bytes = new Uint8Array(await GifEncoder.encode([frame, frame], { delay: 50 }).arrayBuffer());
+    assert.strictEqual(new TextDecoder().decode(bytes.subarray(0, 6)), 'GIF89a');
+    assert.deepStrictEqual(Array.from(bytes.subarray(6, 10)), [width, 0, height, 0]);
+    assert.strictEqual(bytes[bytes.length - 1], 0x3B);
+
+    const palette = GifEncoder.buildPalette([frame, frame]);
+    const expected = Array.from(GifEncoder.mapPixels(frame, GifEncoder.createLookup(palette)));
+
+    // Header, 256 color table and the NETSCAPE2.0 loop extension come first
+    let offset = 13 + 256 * 3 + 19;
+    for (let i = 0; i < 2; i++) {
+        assert.deepStrictEqual(Array.from(bytes.subarray(offset, offset + 8)), [0x21, 0xF9, 0x04, 0x04, 5, 0, 0, 0]);
+        assert.strictEqual(bytes[offset + 8], 0x2C);
+        assert.strictEqual(bytes[offset + 18], 8);
+
+        const { data: imageData, end } = readSubBlocks(bytes, offset + 19);
+        assert.deepStrictEqual(decompress(imageData, 8).output, expected);
+        offset = end;
+    }
+    assert.strictEqual(offset, bytes.length - 1);
+});
@@ -0,0 +1,104 @@
+/**
+ * playQueue.test.js
+ * Which item next() plays after the queue was edited, run with: node --test tests/
+ *
+ * Loads spotifyLinks.js and playQueue.js into a stand-in window with an
+ * in-memory localStorage.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCES = ['spotifyLinks.js', 'playQueue.js']
+    .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+
+const TRACKS = [
+    'spotify:track:4uLU6hMCjMI75M1A2tKUQC',
+    'spotify:track:264hK4WMZsBIpmIhdBXZrh',
+    'spotify:track:7GhIk7Il098yCjg4BQjzvb'
+];
+
+function createQueue() {
+    const stored = new Map();
+    const context = vm.createContext({
+        window: { location: { search: '' } },
+        localStorage: {
+            getItem: (key) => (stored.has(key) ? stored.get(key) : null),
+            setItem: (key, value) => stored.set(key, String(value))
+        },
+        console: { log() {}, warn() {}, error: console.error },
+        URLSearchParams
+    });
+    SOURCES.forEach(source => vm.runInContext(source, context));
+
+    const queue = vm.runInContext('new PlayQueue()', context);
+    TRACKS.forEach(uri => queue.add(uri));
+
+    const played = [];
+    queue.addEventListener('play-item', (event) => played.push(event.data.item.uri));
+    return { queue, played };
+}
+
+test('next() plays the item that moved up into the removed one\'s place', () => {
+    const { queue, played } = createQueue();
+    queue.playAt(1);
+    queue.remove(queue.items[1].id);
+
+    assert.strictEqual(queue.currentIndex, -1);
+    assert.strictEqual(queue.next().uri, TRACKS[2]);
+    assert.deepStrictEqual(played, [TRACKS[1], TRACKS[2]]);
+});
+
+test('removing an earlier item keeps the next index on the same item', () => {
+    const { queue } = createQueue();
+    queue.playAt(1);
+    queue.remove(queue.items[1].id);
+    queue.remove(queue.items[0].id);
+
+    assert.strictEqual(queue.nextIndex, 0);
+    assert.strictEqual(queue.next().uri, TRACKS[2]);
+});
+
+test('removing an item before the playing one keeps it current', () => {
+    const { queue } = createQueue();
+    queue.playAt(2);
+    queue.remove(queue.items[0].id);
+
+    assert.strictEqual(queue.currentIndex, 1);
+    assert.strictEqual(queue.getCurrent().uri, TRACKS[2]);
+    assert.strictEqual(queue.next(), null);
+});
+
+test('moving items keeps the playing item current', () => {
+    const { queue } = createQueue();
+    queue.playAt(0);
+    queue.move(0, 2);
+
+    assert.strictEqual(queue.currentIndex, 2);
+    assert.strictEqual(queue.getCurrent().uri, TRACKS[0]);
+    assert.strictEqual(queue.previous().uri, TRACKS[2]);
+});
+
+test('moving items keeps the next index on the same item', () => {
+    const { queue } = createQueue();
+    queue.playAt(0);
+    queue.remove(queue.items[0].id);
+    queue.move(0, 1);
+
+    assert.strictEqual(queue.nextIndex, 1);
+    assert.strictEqual(queue.next().uri, TRACKS[1]);
+});
+
+test('a loaded playlist starts from its first item', () => {
+    const { queue } = createQueue();
+    queue.savePlaylist('p');
+    queue.playAt(2);
+    queue.remove(queue.items[2].id);
+    queue.loadPlaylist('p');
+
+    assert.strictEqual(queue.nextIndex, null);
+    assert.strictEqual(queue.next().uri, TRACKS[0]);
+});
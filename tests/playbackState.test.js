@@ -0,0 +1,128 @@
+/**
+ * playbackState.test.js
+ * Requests, reports and rollbacks of the playback state machine, run with: node --test tests/
+ *
+ * The confirm timeout runs on faked timers.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'playbackState.js'), 'utf8');
+
+const URI = 'spotify:track:4uLU6hMCjMI75M1A2tKUQC';
+
+// Call after the timers are faked, the machine gets whatever setTimeout is then
+function createMachine() {
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, error: console.error },
+        setTimeout,
+        clearTimeout
+    });
+    vm.runInContext(SOURCE, context);
+
+    const machine = vm.runInContext('new PlaybackStateMachine({ confirmTimeout: 3000 })', context);
+    const changes = [];
+    machine.addEventListener('change', (e) => changes.push(Object.assign({}, e.data)));
+    return { machine, changes };
+}
+
+const paused = { isPlaying: false, uri: URI, duration: 180000 };
+const playing = { isPlaying: true, uri: URI, duration: 180000 };
+
+test('a request is applied at once and confirmed by a matching report', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { machine, changes } = createMachine();
+    machine.report(paused, 'spotify');
+
+    assert.strictEqual(machine.request('playing', 'user'), true);
+    assert.strictEqual(machine.state, 'playing');
+    assert.deepStrictEqual(changes[1], {
+        state: 'playing', previousState: 'paused', source: 'user', isPending: true, isRollback: false
+    });
+
+    // The player still reports the old state until the command lands
+    machine.report(paused, 'spotify');
+    assert.strictEqual(machine.state, 'playing');
+    assert.strictEqual(machine.isPending(), true);
+
+    machine.report(playing, 'spotify');
+    assert.strictEqual(machine.isPending(), false);
+
+    // Confirmed, the timeout no longer rolls it back
+    t.mock.timers.tick(3000);
+    assert.strictEqual(machine.state, 'playing');
+    assert.deepStrictEqual(changes.map(change => change.state), ['paused', 'playing']);
+});
+
+test('an unconfirmed request is rolled back after the timeout', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { machine, changes } = createMachine();
+    machine.report(paused, 'spotify');
+    machine.request('playing', 'user');
+
+    t.mock.timers.tick(2999);
+    assert.strictEqual(machine.state, 'playing');
+
+    t.mock.timers.tick(1);
+    assert.strictEqual(machine.state, 'paused');
+    assert.strictEqual(machine.isPending(), false);
+    assert.deepStrictEqual(changes[2], {
+        state: 'paused', previousState: 'playing', source: 'user timeout', isPending: false, isRollback: true
+    });
+});
+
+test('an error report does not wait for the pending request', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { machine, changes } = createMachine();
+    machine.report(paused, 'spotify');
+    machine.request('playing', 'user');
+
+    machine.report(Object.assign({ error: 'Playback failed' }, paused), 'spotify');
+    assert.strictEqual(machine.state, 'error');
+    assert.strictEqual(machine.isPending(), false);
+
+    t.mock.timers.tick(3000);
+    assert.deepStrictEqual(changes.map(change => [change.state, change.source]), [
+        ['paused', 'spotify'], ['playing', 'user'], ['error', 'spotify']
+    ]);
+});
+
+test('each change is dispatched once, with the source that caused it', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { machine, changes } = createMachine();
+
+    machine.report(playing, 'mock');
+    machine.report(playing, 'mock');
+    machine.report(Object.assign({}, playing, { isBuffering: true }), 'mock');
+    machine.report(Object.assign({}, playing, { isBuffering: true }), 'mock');
+    machine.report(playing, 'local');
+    machine.report(playing, 'local');
+
+    assert.deepStrictEqual(changes.map(change => [change.previousState, change.state, change.source]), [
+        ['idle', 'playing', 'mock'],
+        ['playing', 'buffering', 'mock'],
+        ['buffering', 'playing', 'local']
+    ]);
+});
+
+test('requests the current state does not allow are refused', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { machine, changes } = createMachine();
+    machine.report({ isEnded: true, uri: URI, duration: 180000 }, 'spotify');
+
+    assert.strictEqual(machine.request('paused', 'user'), false);
+    assert.strictEqual(machine.request('buffering', 'user'), false);
+    assert.strictEqual(machine.state, 'ended');
+    assert.strictEqual(machine.isPending(), false);
+
+    // Nothing is pending, so nothing is rolled back either
+    t.mock.timers.tick(3000);
+    assert.deepStrictEqual(changes.map(change => change.state), ['ended']);
+
+    assert.strictEqual(machine.request('playing', 'user'), true);
+    assert.strictEqual(machine.state, 'playing');
+});
@@ -0,0 +1,164 @@
+/**
+ * playerAdapters.test.js
+ * A scripted MockPlayerAdapter through play, pause, seek and end, run with: node --test tests/
+ *
+ * The Visualizer's own handlePlayerState and handlePlaybackChange run on a
+ * stand-in with just the players, the playback state machine and the queue,
+ * the scene, embed and status display are stubbed out. Timers and the clock
+ * are faked, the steps land exactly latency ms after their time.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCES = ['spotifyLinks.js', 'playerAdapters.js', 'playbackState.js', 'playQueue.js', 'visualizer.js']
+    .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+
+const TRACKS = [
+    'spotify:track:4uLU6hMCjMI75M1A2tKUQC',
+    'spotify:track:264hK4WMZsBIpmIhdBXZrh'
+];
+
+// Call after the timers are faked, the page gets whatever setTimeout is then
+function createPage() {
+    const stored = new Map();
+    const context = vm.createContext({
+        window: { location: { search: '' }, addEventListener() {} },
+        document: { getElementById: () => null },
+        navigator: {},
+        localStorage: {
+            getItem: (key) => (stored.has(key) ? stored.get(key) : null),
+            setItem: (key, value) => stored.set(key, String(value))
+        },
+        console: { log() {}, warn() {}, error: console.error },
+        URLSearchParams,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        performance: { now: () => Date.now() }
+    });
+    SOURCES.forEach(source => vm.runInContext(source, context));
+    return context;
+}
+
+// Mocked ticks jump the clock to their end before running what is due, step
+// a millisecond at a time so timers set from timers fire on time
+function elapse(t, ms) {
+    t.mock.timers.tick(0);
+    for (let i = 0; i < ms; i++) {
+        t.mock.timers.tick(1);
+    }
+}
+
+// Script steps at 0, 1000, 1500, 2000 and 2500 ms with 100 ms latency
+const SCRIPT = [
+    { at: 0, action: 'play' },
+    { at: 1000, action: 'pause' },
+    { at: 1500, action: 'seek', position: 2000 },
+    { at: 2000, action: 'play' },
+    { at: 2500, action: 'end' }
+];
+
+test('the adapter reports commands after their latency', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+    const context = createPage();
+    const player = vm.runInContext('new MockPlayerAdapter({ duration: 3000, latency: 100 })', context);
+    const states = [];
+    player.onState(state => states.push(state));
+
+    player.play();
+    elapse(t, 99);
+    assert.strictEqual(states.length, 0);
+    elapse(t, 1);
+    assert.strictEqual(states[0].isPlaying, true);
+
+    // The position moves on with the ticks
+    elapse(t, 1000);
+    assert.strictEqual(player.getState().position, 1000);
+
+    player.pause();
+    elapse(t, 100);
+    assert.strictEqual(player.getState().isPlaying, false);
+    assert.strictEqual(player.getState().position, 1100);
+
+    // A seek past the end stops at the duration and ends the track
+    player.seek(5000);
+    elapse(t, 1000);
+    assert.strictEqual(player.getState().position, 3000);
+    assert.strictEqual(player.getState().isEnded, true);
+    player.stop();
+});
+
+test('the visualizer publishes each state once and the queue moves on when the item ends', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+    const context = createPage();
+    context.SCRIPT = SCRIPT;
+    context.TRACKS = TRACKS;
+
+    const visualizer = vm.runInContext(`(() => {
+        const player = new MockPlayerAdapter({ uri: TRACKS[0], duration: 3000, latency: 100, script: SCRIPT });
+        const visualizer = Object.create(Visualizer.prototype);
+        Object.assign(visualizer, {
+            eventListeners: {},
+            isPlaying: false,
+            // The mock stands in for the Spotify embed, the queue only follows that one
+            players: { spotify: player },
+            player,
+            playback: new PlaybackStateMachine(),
+            queue: new PlayQueue(),
+            sharedMoment: null,
+            metadataUri: null,
+            lyrics: { setTrack() {}, sync() {} },
+            syncTrackAnalysis() {},
+            loadNowPlaying() {},
+            updateMediaSessionPosition() {}
+        });
+        // Wired like the Visualizer's constructor, a queued item loads into the mock
+        player.onState(state => visualizer.handlePlayerState(player, state));
+        visualizer.playback.addEventListener('change', (e) => visualizer.handlePlaybackChange(e.data));
+        visualizer.queue.addEventListener('play-item', (e) => player.load(e.data.item.uri));
+        TRACKS.forEach(uri => visualizer.queue.add(uri));
+        visualizer.queue.currentIndex = 0;
+        return visualizer;
+    })()`, context);
+
+    const updates = [];
+    visualizer.addEventListener('playback-update', (e) => {
+        updates.push({ state: e.data.state, isPlaying: e.data.isPlaying, position: e.data.position, uri: e.data.uri });
+    });
+
+    visualizer.player.start();
+    assert.deepStrictEqual(updates.map(update => update.state), ['paused']);
+
+    elapse(t, 100);
+    assert.deepStrictEqual(updates[1], { state: 'playing', isPlaying: true, position: 0, uri: TRACKS[0] });
+    assert.strictEqual(visualizer.isPlaying, true);
+
+    // Position ticks don't change the state, nothing is published
+    elapse(t, 900);
+    assert.strictEqual(updates.length, 2);
+
+    elapse(t, 100);
+    assert.deepStrictEqual(updates[2], { state: 'paused', isPlaying: false, position: 1000, uri: TRACKS[0] });
+    assert.strictEqual(visualizer.isPlaying, false);
+
+    // Seeking while paused moves the position but not the state
+    elapse(t, 500);
+    assert.strictEqual(updates.length, 3);
+    assert.strictEqual(visualizer.player.getState().position, 2000);
+
+    elapse(t, 500);
+    assert.deepStrictEqual(updates[3], { state: 'playing', isPlaying: true, position: 2000, uri: TRACKS[0] });
+
+    // The end step seeks to the duration, which ends the item and starts the next
+    elapse(t, 500);
+    assert.deepStrictEqual(updates[4], { state: 'ended', isPlaying: false, position: 3000, uri: TRACKS[0] });
+    assert.strictEqual(visualizer.queue.currentIndex, 1);
+    assert.deepStrictEqual(updates[5], { state: 'loading', isPlaying: false, position: 0, uri: TRACKS[1] });
+
+    visualizer.player.stop();
+});
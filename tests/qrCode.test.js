@@ -0,0 +1,134 @@
+/**
+ * qrCode.test.js
+ * Version, format information and the finished matrix, run with: node --test tests/
+ *
+ * Capacities, format and version words are the ones tabled in ISO/IEC
+ * 18004. The known matrix matches another encoder's output for the same mask
+ * and reads back with a decoder.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'qrCode.js'), 'utf8');
+
+const context = vm.createContext({ TextEncoder });
+vm.runInContext(SOURCE, context);
+const QRCode = vm.runInContext('QRCode', context);
+
+// 15-bit format words by error correction level, indexed by mask
+const FORMAT_WORDS = {
+    L: [0x77C4, 0x72F3, 0x7DAA, 0x789D, 0x662F, 0x6318, 0x6C41, 0x6976],
+    M: [0x5412, 0x5125, 0x5E7C, 0x5B4B, 0x45F9, 0x40CE, 0x4F97, 0x4AA0],
+    Q: [0x355F, 0x3068, 0x3F31, 0x3A06, 0x24B4, 0x2183, 0x2EDA, 0x2BED],
+    H: [0x1689, 0x13BE, 0x1CE7, 0x19D0, 0x0762, 0x0255, 0x0D0C, 0x083B]
+};
+
+// Both copies of the format word, bit 0 first as they are placed
+function readFormatWords({ size, modules }) {
+    const dark = (x, y) => (modules[y][x] ? 1 : 0);
+    const first = [];
+    const second = [];
+    for (let i = 0; i <= 5; i++) first.push(dark(8, i));
+    first.push(dark(8, 7), dark(8, 8), dark(7, 8));
+    for (let i = 9; i < 15; i++) first.push(dark(14 - i, 8));
+    for (let i = 0; i < 8; i++) second.push(dark(size - 1 - i, 8));
+    for (let i = 8; i < 15; i++) second.push(dark(8, size - 15 + i));
+
+    const word = (bits) => bits.reduce((value, bit, i) => value | (bit << i), 0);
+    return [word(first), word(second)];
+}
+
+// The 18-bit version word above the bottom left finder and left of the top right one
+function readVersionBlocks({ size, modules }) {
+    let bottomLeft = 0;
+    let topRight = 0;
+    for (let i = 0; i < 18; i++) {
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        topRight |= (modules[b][a] ? 1 : 0) << i;
+        bottomLeft |= (modules[a][b] ? 1 : 0) << i;
+    }
+    return [topRight, bottomLeft];
+}
+
+test('the smallest version that holds the bytes is chosen', () => {
+    const versionOf = (length, ecl) => QRCode.encode('x'.repeat(length), { ecl }).version;
+
+    // Version 1 holds 17, 14, 11 and 7 bytes
+    assert.deepStrictEqual([versionOf(17, 'L'), versionOf(18, 'L')], [1, 2]);
+    assert.deepStrictEqual([versionOf(14, 'M'), versionOf(15, 'M')], [1, 2]);
+    assert.deepStrictEqual([versionOf(11, 'Q'), versionOf(12, 'Q')], [1, 2]);
+    assert.deepStrictEqual([versionOf(7, 'H'), versionOf(8, 'H')], [1, 2]);
+
+    // From version 10 the byte count takes 16 bits
+    assert.deepStrictEqual([versionOf(180, 'M'), versionOf(181, 'M')], [9, 10]);
+    assert.deepStrictEqual([versionOf(213, 'M'), versionOf(214, 'M')], [10, 11]);
+});
+
+test('lengths are counted in UTF-8 bytes', () => {
+    assert.strictEqual(QRCode.encode('è'.repeat(7)).version, 1);
+    assert.strictEqual(QRCode.encode(`${'è'.repeat(7)}a`).version, 2);
+});
+
+test('text longer than version 40 holds is refused', () => {
+    assert.strictEqual(QRCode.encode('x'.repeat(2331)).size, 177);
+    assert.throws(() => QRCode.encode('x'.repeat(2332)), /too long for a QR code/);
+});
+
+test('both format copies carry the level and a valid mask', () => {
+    ['L', 'M', 'Q', 'H'].forEach(ecl => {
+        const qr = QRCode.encode('https://example.com/index.html?t=83', { ecl });
+        const [first, second] = readFormatWords(qr);
+
+        assert.strictEqual(first, second);
+        assert.ok(FORMAT_WORDS[ecl].includes(first), `${ecl} format word ${first.toString(16)}`);
+        // The dark module next to the bottom left finder
+        assert.strictEqual(qr.modules[qr.size - 8][8], true);
+    });
+});
+
+test('from version 7 the version is written next to two finders', () => {
+    assert.strictEqual(QRCode.encode('x'.repeat(106)).version, 6);
+
+    const qr = QRCode.encode('x'.repeat(107));
+    assert.strictEqual(qr.version, 7);
+    assert.deepStrictEqual(readVersionBlocks(qr), [0x07C94, 0x07C94]);
+});
+
+test('a short link encodes to the known matrix', () => {
+    const qr = QRCode.encode('https://example.com/?t=83');
+
+    assert.strictEqual(qr.version, 2);
+    assert.deepStrictEqual(readFormatWords(qr), [FORMAT_WORDS.M[2], FORMAT_WORDS.M[2]]);
+    assert.deepStrictEqual(Array.from(qr.modules, row => row.map(dark => (dark ? '#' : '.')).join('')), [
+        '#######..###.#..#.#######',
+        '#.....#..#...####.#.....#',
+        '#.###.#.#.##..#...#.###.#',
+        '#.###.#.###.####..#.###.#',
+        '#.###.#.#.#.##..#.#.###.#',
+        '#.....#.#.#.#.##..#.....#',
+        '#######.#.#.#.#.#.#######',
+        '........#.#.#.#.#........',
+        '#.#####...##.#....#####..',
+        '######.#...#.#...#.#...#.',
+        '#..#.############..#.#.##',
+        '.#.#.#..##.#..###.##....#',
+        '###.#.##..####.#.##.#.###',
+        '###.##...##..##.#..#.#.#.',
+        '#.#####...######..####.##',
+        '#...##.#####..#######...#',
+        '#...###.#######.#####.#..',
+        '........#...#.###...##...',
+        '#######..##...#.#.#.#.###',
+        '#.....#.#####...#...##.##',
+        '#.###.#.##...#.######.#..',
+        '#.###.#.#..#####.##.#####',
+        '#.###.#.#...#.##.....##.#',
+        '#.....#..#..#.#.##.###..#',
+        '#######.##.#.#...########'
+    ]);
+});
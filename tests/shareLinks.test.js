@@ -0,0 +1,131 @@
+/**
+ * shareLinks.test.js
+ * Dedication links written and read back, run with: node --test tests/
+ *
+ * Loads spotifyLinks.js and shareLinks.js into a stand-in window that has
+ * Node's CompressionStream and WebCrypto, or leaves them out like a browser
+ * on plain http.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCES = ['spotifyLinks.js', 'shareLinks.js']
+    .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+
+const PAGE = 'https://example.com/player/index.html';
+const URI = 'spotify:track:4uLU6hMCjMI75M1A2tKUQC';
+const DAMAGED = { error: 'This dedication link is damaged. Ask for it to be sent again, the whole link is needed.' };
+
+function createPage({ compression = true, webCrypto = true } = {}) {
+    const window = {
+        location: { href: PAGE, search: '', hash: '' },
+        CompressionStream: compression ? CompressionStream : undefined,
+        DecompressionStream: compression ? DecompressionStream : undefined,
+        crypto: webCrypto ? crypto : undefined
+    };
+    const context = vm.createContext({
+        window,
+        console: { log() {}, warn() {}, error: console.error },
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        Blob,
+        Response,
+        CompressionStream,
+        DecompressionStream,
+        btoa,
+        atob
+    });
+    SOURCES.forEach(source => vm.runInContext(source, context));
+    const ShareLink = vm.runInContext('ShareLink', context);
+
+    return {
+        ShareLink,
+        // Open the page at a link, as the recipient does
+        open(link) {
+            const url = new URL(link);
+            window.location.href = link;
+            window.location.search = url.search;
+            window.location.hash = url.hash;
+        },
+        // Copied out of the page's realm so deepStrictEqual compares the fields only
+        async readDedication() {
+            const dedication = await ShareLink.getDedication();
+            return dedication && Object.assign({}, dedication);
+        }
+    };
+}
+
+test('a dedication survives the round trip', async () => {
+    const page = createPage();
+    const link = await page.ShareLink.forDedication({
+        uri: URI, position: 83500, message: 'Ti penso', name: 'Sam', presetId: 'bliss'
+    });
+
+    assert.match(link, /^https:\/\/example\.com\/player\/index\.html\?uri=spotify%3Atrack%3A4uLU6hMCjMI75M1A2tKUQC&t=83#d=z[A-Za-z0-9_-]+\.[A-Za-z0-9_-]{11}$/);
+
+    page.open(link);
+    assert.deepStrictEqual(await page.readDedication(), {
+        uri: URI, message: 'Ti penso', name: 'Sam', presetId: 'bliss'
+    });
+    assert.deepStrictEqual(Object.assign({}, page.ShareLink.getSharedMoment()), { uri: URI, type: 'track', position: 83000 });
+});
+
+test('messages and names outside ASCII come back unchanged', async () => {
+    const page = createPage();
+    const message = 'Ti penso sempre ❤️ — è così, 君のことを思っている 🎧';
+    const link = await page.ShareLink.forDedication({ uri: URI, message, name: 'Zoë Ångström' });
+
+    page.open(link);
+    assert.deepStrictEqual(await page.readDedication(), {
+        uri: URI, message, name: 'Zoë Ångström', presetId: null
+    });
+});
+
+test('a changed checksum or changed data is reported as damaged', async () => {
+    const page = createPage();
+    const link = await page.ShareLink.forDedication({ uri: URI, message: 'Ti penso' });
+    const [, data, checksum] = /#d=([^.]+)\.(.+)$/.exec(link);
+    const flip = (text, index) => text.slice(0, index) + (text[index] === 'A' ? 'B' : 'A') + text.slice(index + 1);
+
+    page.open(link.replace(checksum, flip(checksum, 0)));
+    assert.deepStrictEqual(await page.readDedication(), DAMAGED);
+
+    page.open(link.replace(data, flip(data, 5)));
+    assert.deepStrictEqual(await page.readDedication(), DAMAGED);
+});
+
+test('a truncated fragment is reported as damaged', async () => {
+    const page = createPage();
+    const link = await page.ShareLink.forDedication({ uri: URI, message: 'Ti penso, a message long enough to be cut' });
+    const dataEnd = link.lastIndexOf('.');
+
+    // Cut in the checksum, and before it, which leaves unchecked but incomplete data
+    page.open(link.slice(0, -3));
+    assert.deepStrictEqual(await page.readDedication(), DAMAGED);
+
+    page.open(link.slice(0, dataEnd - 10));
+    assert.deepStrictEqual(await page.readDedication(), DAMAGED);
+});
+
+test('links made without compression or WebCrypto can still be read', async () => {
+    const plain = createPage({ compression: false, webCrypto: false });
+    const link = await plain.ShareLink.forDedication({ uri: URI, message: 'Ti penso è', name: 'Sam' });
+    assert.match(link, /#d=j[A-Za-z0-9_-]+$/);
+
+    const page = createPage();
+    page.open(link);
+    assert.deepStrictEqual(await page.readDedication(), {
+        uri: URI, message: 'Ti penso è', name: 'Sam', presetId: null
+    });
+});
+
+test('a page without a dedication has none', async () => {
+    const page = createPage();
+    page.open(`${PAGE}?uri=${URI}`);
+    assert.strictEqual(await page.readDedication(), null);
+});
@@ -0,0 +1,218 @@
+/**
+ * spotifyEmulator.test.js
+ * Page load with ?spotify=emulator, run with: node --test tests/
+ *
+ * Loads spotifyEmulator.js into a stand-in window and assigns
+ * onSpotifyIframeApiReady in the page's order: the inline script's callback
+ * while the page parses, the Visualizer's from its load listener. The
+ * controller's timeline runs on faked timers.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'spotifyEmulator.js'), 'utf8');
+
+// Just enough of a browser for the emulator, without fetch it uses the default duration
+function createPage(search) {
+    const loadListeners = [];
+    const document = { readyState: 'loading' };
+    const window = {
+        location: { search },
+        addEventListener(eventName, callback) {
+            if (eventName === 'load') loadListeners.push(callback);
+        }
+    };
+
+    const context = vm.createContext({
+        window,
+        document,
+        console: { log() {}, warn() {}, error: console.error },
+        URLSearchParams,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        // Follows Date, which the timeline tests fake
+        performance: { now: () => Date.now() }
+    });
+    vm.runInContext(SOURCE, context);
+
+    return {
+        window,
+        context,
+        load() {
+            document.readyState = 'complete';
+            loadListeners.forEach(callback => callback());
+        }
+    };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('the Visualizer attaches the emulated controller', async () => {
+    const page = createPage('?spotify=emulator');
+    const attached = [];
+
+    // index.html's inline callback, the Visualizer doesn't exist yet when it runs
+    page.window.onSpotifyIframeApiReady = (IFrameAPI) => {
+        if (page.window.visualizerInstance) {
+            IFrameAPI.createController({}, { uri: 'spotify:track:4uLU6hMCjMI75M1A2tKUQC' }, (controller) => {
+                page.window.visualizerInstance.attachSpotifyController(controller);
+            });
+        }
+    };
+
+    // The Visualizer is created in a load listener and sets up its callback (setupSpotifyAPI)
+    const visualizer = {
+        attachSpotifyController(controller) {
+            attached.push(controller);
+        }
+    };
+    page.window.addEventListener('load', () => {
+        page.window.visualizerInstance = visualizer;
+        page.window.onSpotifyIframeApiReady = (IFrameAPI) => {
+            IFrameAPI.createController({}, { uri: 'spotify:track:4uLU6hMCjMI75M1A2tKUQC' }, (controller) => {
+                visualizer.attachSpotifyController(controller);
+            });
+        };
+    });
+
+    page.load();
+    await wait(20);
+
+    assert.strictEqual(attached.length, 1);
+    assert.strictEqual(typeof attached[0].addListener, 'function');
+    attached[0].destroy();
+});
+
+test('a callback assigned before the page loads waits for it', async () => {
+    const page = createPage('?spotify=emulator');
+    let calls = 0;
+    page.window.onSpotifyIframeApiReady = () => {
+        calls += 1;
+    };
+
+    await wait(20);
+    assert.strictEqual(calls, 0);
+
+    page.load();
+    assert.strictEqual(calls, 1);
+});
+
+test('without ?spotify=emulator nothing is replaced', () => {
+    const page = createPage('');
+    const callback = () => {};
+    page.window.onSpotifyIframeApiReady = callback;
+
+    assert.strictEqual(page.window.onSpotifyIframeApiReady, callback);
+});
+
+// Mocked ticks jump the clock to their end before running what is due, step
+// a millisecond at a time so timers set from timers fire on time
+function elapse(t, ms) {
+    t.mock.timers.tick(0);
+    for (let i = 0; i < ms; i++) {
+        t.mock.timers.tick(1);
+    }
+}
+
+// A controller with the track loaded, paused at 0, recording its updates with their time
+async function createController(t, duration = 180000) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+    const page = createPage('');
+    const controller = vm.runInContext('new EmulatedEmbedController(null, {})', page.context);
+    controller.defaultDuration = duration;
+
+    const updates = [];
+    const errors = [];
+    controller.addListener('playback_update', (e) => updates.push(Object.assign({ at: Date.now() }, e.data)));
+    controller.addListener('error', (e) => errors.push(e.data.message));
+    await controller.loadUri('spotify:track:4uLU6hMCjMI75M1A2tKUQC');
+    updates.length = 0;
+
+    t.after(() => controller.destroy());
+    return { controller, updates, errors };
+}
+
+test('playback updates arrive every 500 ms while playing', async (t) => {
+    const { controller, updates } = await createController(t);
+
+    controller.resume();
+    elapse(t, 1600);
+    assert.deepStrictEqual(updates.map(update => [update.at, update.position, update.isPaused]), [
+        [100, 0, false], [600, 500, false], [1100, 1000, false], [1600, 1500, false]
+    ]);
+
+    // Paused, the updates stop
+    controller.pause();
+    elapse(t, 1000);
+    assert.deepStrictEqual(updates.slice(4).map(update => [update.at, update.position, update.isPaused]), [
+        [1700, 1600, true]
+    ]);
+});
+
+test('the track pauses at its end', async (t) => {
+    const { controller, updates } = await createController(t, 1200);
+
+    controller.resume();
+    elapse(t, 1600);
+    const last = updates[updates.length - 1];
+    assert.deepStrictEqual([last.at, last.position, last.isPaused], [1600, 1200, true]);
+    assert.strictEqual(controller.timer, null);
+
+    // Playing again starts over
+    controller.resume();
+    elapse(t, 100);
+    assert.strictEqual(updates[updates.length - 1].position, 0);
+});
+
+test('seek takes effect after the latency and stays within the track', async (t) => {
+    const { controller, updates } = await createController(t, 10000);
+
+    controller.seek(4);
+    elapse(t, 99);
+    assert.strictEqual(updates.length, 0);
+    elapse(t, 1);
+    assert.strictEqual(updates[0].position, 4000);
+
+    controller.seek(-5);
+    elapse(t, 100);
+    assert.strictEqual(updates[1].position, 0);
+
+    controller.seek(60);
+    elapse(t, 100);
+    assert.strictEqual(updates[2].position, 10000);
+});
+
+test('an invalid URI is reported as an error and keeps the loaded track', async (t) => {
+    const { controller, updates, errors } = await createController(t);
+
+    await controller.loadUri('spotify:track:tooShort');
+    assert.deepStrictEqual(errors, ['Invalid Spotify URI: spotify:track:tooShort']);
+    assert.strictEqual(controller.playingURI, 'spotify:track:4uLU6hMCjMI75M1A2tKUQC');
+    assert.strictEqual(updates.length, 0);
+});
+
+test('buffering holds the position until it is over', async (t) => {
+    const { controller, updates } = await createController(t);
+
+    controller.resume();
+    elapse(t, 350);
+    controller.simulateBuffering(1000);
+    assert.deepStrictEqual([updates[1].position, updates[1].isBuffering], [250, true]);
+
+    // Updates keep coming, without moving on
+    elapse(t, 1000);
+    assert.deepStrictEqual(updates.slice(2, -1).map(update => [update.position, update.isBuffering]), [
+        [250, true], [250, true]
+    ]);
+    assert.deepStrictEqual([updates[updates.length - 1].position, updates[updates.length - 1].isBuffering], [250, false]);
+
+    // and carries on from where it stalled
+    elapse(t, 250);
+    assert.strictEqual(updates[updates.length - 1].position, 500);
+});
@@ -0,0 +1,121 @@
+/**
+ * zipWriter.test.js
+ * CRC-32 and the stored zip layout, run with: node --test tests/
+ *
+ * The archive is read back field by field as described in PKWARE's
+ * APPNOTE.TXT: local headers, central directory and end record.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'zipWriter.js'), 'utf8');
+
+const context = vm.createContext({ TextEncoder, Blob });
+vm.runInContext(SOURCE, context);
+const ZipWriter = vm.runInContext('ZipWriter', context);
+
+const bytesOf = (text) => new TextEncoder().encode(text);
+
+test('crc32 gives the reference check values', () => {
+    assert.strictEqual(ZipWriter.crc32(new Uint8Array(0)), 0);
+    assert.strictEqual(ZipWriter.crc32(bytesOf('123456789')), 0xCBF43926);
+    assert.strictEqual(ZipWriter.crc32(bytesOf('The quick brown fox jumps over the lazy dog')), 0x414FA339);
+    assert.strictEqual(ZipWriter.crc32(new Uint8Array(256).fill(0xFF)), 0xFEA8A821);
+});
+
+test('local headers, central directory and end record describe the files', async () => {
+    const zip = new ZipWriter();
+    zip.date = new Date(2024, 2, 15, 13, 45, 31);
+    const files = [
+        { name: 'frame-00000.png', data: bytesOf('first frame') },
+        { name: 'scène/frame-00001.png', data: bytesOf('second, longer frame') }
+    ];
+    for (const file of files) {
+        await zip.add(file.name, new Blob([file.data]));
+    }
+
+    const archive = zip.toBlob();
+    assert.strictEqual(archive.type, 'application/zip');
+    const buffer = await archive.arrayBuffer();
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const text = (offset, length) => new TextDecoder().decode(bytes.subarray(offset, offset + length));
+
+    const dosTime = (13 << 11) | (45 << 5) | 15;
+    const dosDate = ((2024 - 1980) << 9) | (3 << 5) | 15;
+
+    // Local header, name and data of each file in turn
+    const offsets = [];
+    let offset = 0;
+    files.forEach(file => {
+        const nameLength = bytesOf(file.name).length;
+        offsets.push(offset);
+        assert.strictEqual(view.getUint32(offset, true), 0x04034B50);
+        assert.strictEqual(view.getUint16(offset + 4, true), 20);
+        assert.strictEqual(view.getUint16(offset + 6, true), 0x0800);
+        assert.strictEqual(view.getUint16(offset + 8, true), 0);
+        assert.strictEqual(view.getUint16(offset + 10, true), dosTime);
+        assert.strictEqual(view.getUint16(offset + 12, true), dosDate);
+        assert.strictEqual(view.getUint32(offset + 14, true), ZipWriter.crc32(file.data));
+        assert.strictEqual(view.getUint32(offset + 18, true), file.data.length);
+        assert.strictEqual(view.getUint32(offset + 22, true), file.data.length);
+        assert.strictEqual(view.getUint16(offset + 26, true), nameLength);
+        assert.strictEqual(view.getUint16(offset + 28, true), 0);
+        assert.strictEqual(text(offset + 30, nameLength), file.name);
+        assert.deepStrictEqual(bytes.slice(offset + 30 + nameLength, offset + 30 + nameLength + file.data.length), file.data);
+        offset += 30 + nameLength + file.data.length;
+    });
+
+    // Central directory entries point back at the local headers
+    const directoryOffset = offset;
+    files.forEach((file, i) => {
+        const nameLength = bytesOf(file.name).length;
+        assert.strictEqual(view.getUint32(offset, true), 0x02014B50);
+        assert.strictEqual(view.getUint16(offset + 4, true), 20);
+        assert.strictEqual(view.getUint16(offset + 6, true), 20);
+        assert.strictEqual(view.getUint16(offset + 8, true), 0x0800);
+        assert.strictEqual(view.getUint16(offset + 10, true), 0);
+        assert.strictEqual(view.getUint16(offset + 12, true), dosTime);
+        assert.strictEqual(view.getUint16(offset + 14, true), dosDate);
+        assert.strictEqual(view.getUint32(offset + 16, true), ZipWriter.crc32(file.data));
+        assert.strictEqual(view.getUint32(offset + 20, true), file.data.length);
+        assert.strictEqual(view.getUint32(offset + 24, true), file.data.length);
+        assert.strictEqual(view.getUint16(offset + 28, true), nameLength);
+        assert.strictEqual(view.getUint16(offset + 30, true), 0);
+        assert.strictEqual(view.getUint16(offset + 32, true), 0);
+        assert.strictEqual(view.getUint32(offset + 42, true), offsets[i]);
+        assert.strictEqual(text(offset + 46, nameLength), file.name);
+        offset += 46 + nameLength;
+    });
+
+    // End of central directory record closes the archive
+    assert.strictEqual(buffer.byteLength, offset + 22);
+    assert.strictEqual(view.getUint32(offset, true), 0x06054B50);
+    assert.strictEqual(view.getUint16(offset + 4, true), 0);
+    assert.strictEqual(view.getUint16(offset + 6, true), 0);
+    assert.strictEqual(view.getUint16(offset + 8, true), files.length);
+    assert.strictEqual(view.getUint16(offset + 10, true), files.length);
+    assert.strictEqual(view.getUint32(offset + 12, true), offset - directoryOffset);
+    assert.strictEqual(view.getUint32(offset + 16, true), directoryOffset);
+    assert.strictEqual(view.getUint16(offset + 20, true), 0);
+});
+
+test('an empty archive is just the end record', async () => {
+    const buffer = await new ZipWriter().toBlob().arrayBuffer();
+    assert.deepStrictEqual(Array.from(new Uint8Array(buffer)), [0x50, 0x4B, 0x05, 0x06].concat(new Array(18).fill(0)));
+});
+
+test('files past the zip limits are refused', async () => {
+    const zip = new ZipWriter();
+    zip.offset = ZipWriter.MAX_SIZE - 10;
+    await assert.rejects(zip.add('big.png', new Blob([new Uint8Array(11)])), /larger than 4 GB/);
+    await zip.add('fits.png', new Blob([new Uint8Array(0)]));
+
+    const full = new ZipWriter();
+    full.entries.length = ZipWriter.MAX_FILES;
+    await assert.rejects(full.add('one-too-many.png', new Blob([])), /at most 65535 files/);
+});
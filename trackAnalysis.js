@@ -0,0 +1,345 @@
+/**
+ * trackAnalysis.js
+ * Precomputed beat/section timeline for Spotify tracks
+ *
+ * The embed only reports position and duration, so the sync data comes from
+ * analysis/<spotify track id>.json, generated with analyze-track.js:
+ *   {
+ *     "trackId": "264hK4WMZsBIpmIhdBXZrh",
+ *     "duration": 215.3,
+ *     "tempo": 120.0,
+ *     "beats":    [{ "start": 0.52, "duration": 0.5, "confidence": 0.8 }],
+ *     "bars":     [{ "start": 0.52, "duration": 2.0, "confidence": 0.7 }],
+ *     "sections": [{ "start": 0.0, "duration": 31.2, "loudness": -9.1, "tempo": 120.0 }],
+ *     "segments": [{ "start": 0.0, "duration": 0.25, "loudnessStart": -32.0, "loudnessMax": -8.5, "loudnessMaxTime": 0.04 }]
+ *   }
+ * Times are in seconds, loudness in dB. Spotify audio-analysis dumps
+ * (loudness_start, loudness_max, loudness_max_time) are accepted as well.
+ *
+ * The playback position is interpolated between Spotify updates and every
+ * frame the timeline provides:
+ *   iBeat    - 1.0 on each beat, decaying until the next one
+ *   loudness - loudness of the current segment in 0..1, drives iIntensity
+ * plus a 'section-change' event when playback enters a new section.
+ */
+
+class TrackAnalysisTimeline {
+    constructor(baseUrl = 'analysis/') {
+        this.baseUrl = baseUrl;
+        this.trackId = null;
+        this.analysis = null;
+
+        // Missing analyses are remembered too so they are only requested once
+        this.cache = new Map();
+        this.loadToken = 0;
+
+        // Last position reported by the player
+        this.syncPosition = 0;
+        this.syncTime = 0;
+        this.isPaused = true;
+        this.hasSync = false;
+        this.reportedDuration = 0;
+
+        this.sectionIndex = -1;
+        this.loudness = 0;
+
+        // Shared by reference with every material that uses them
+        this.uniforms = {
+            iBeat: { value: 0 }
+        };
+
+        this.eventListeners = {};
+    }
+
+    /**
+     * Extract a Spotify track id from a URI or an open.spotify.com URL
+     * @param {string} uri - e.g. spotify:track:ID or https://open.spotify.com/embed/track/ID
+     * @returns {string|null}
+     */
+    static trackIdFromUri(uri) {
+        if (!uri) return null;
+        const match = /track[:/]([A-Za-z0-9]{22})/.exec(uri);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Load the analysis of a track
+     * @param {string} trackId - Spotify track id
+     * @returns {Promise<Object|null>} - The analysis, or null if there is none for this track
+     */
+    async load(trackId) {
+        if (!trackId || trackId === this.trackId) return this.analysis;
+
+        const token = ++this.loadToken;
+        this.trackId = trackId;
+        this.analysis = null;
+        this.sectionIndex = -1;
+
+        // The previous track's position and duration don't apply, wait for the player to sync
+        this.syncPosition = 0;
+        this.hasSync = false;
+        this.reportedDuration = 0;
+
+        let analysis = this.cache.get(trackId);
+        if (analysis === undefined) {
+            try {
+                const response = await fetch(`${this.baseUrl}${trackId}.json`);
+                analysis = response.ok ? TrackAnalysisTimeline.normalize(await response.json()) : null;
+            } catch (error) {
+                console.warn(`Could not load track analysis for ${trackId}:`, error);
+                analysis = null;
+            }
+            this.cache.set(trackId, analysis);
+        }
+
+        // A newer track was requested while this one was loading
+        if (token !== this.loadToken) return null;
+
+        this.analysis = analysis;
+        if (analysis) {
+            console.log(`Loaded track analysis for ${trackId}: ${analysis.beats.length} beats, ${analysis.sections.length} sections`);
+        } else {
+            console.log(`No track analysis for ${trackId}, using the procedural pulse`);
+        }
+
+        this.dispatchEvent('analysis-change', { trackId, analysis });
+        return analysis;
+    }
+
+    /**
+     * Bring an analysis JSON into the documented shape
+     * @param {Object} data - Parsed JSON
+     * @returns {Object}
+     */
+    static normalize(data) {
+        const byStart = (a, b) => a.start - b.start;
+        const intervals = (list) => (list || [])
+            .map(item => ({
+                start: Number(item.start) || 0,
+                duration: Number(item.duration) || 0,
+                confidence: item.confidence !== undefined ? Number(item.confidence) : 1
+            }))
+            .sort(byStart);
+
+        const sections = (data.sections || [])
+            .map(section => ({
+                start: Number(section.start) || 0,
+                duration: Number(section.duration) || 0,
+                loudness: Number(section.loudness) || 0,
+                tempo: Number(section.tempo) || 0,
+                label: section.label || null
+            }))
+            .sort(byStart);
+
+        // 0 dB is a real (loud) value, only missing or invalid loudness falls back to silence
+        const decibels = (value) => {
+            const number = value === null ? NaN : Number(value);
+            return Number.isFinite(number) ? number : -60;
+        };
+        const segments = (data.segments || [])
+            .map(segment => ({
+                start: Number(segment.start) || 0,
+                duration: Number(segment.duration) || 0,
+                loudnessStart: decibels(segment.loudnessStart !== undefined ? segment.loudnessStart : segment.loudness_start),
+                loudnessMax: decibels(segment.loudnessMax !== undefined ? segment.loudnessMax : segment.loudness_max),
+                loudnessMaxTime: Number(segment.loudnessMaxTime !== undefined ? segment.loudnessMaxTime : segment.loudness_max_time) || 0
+            }))
+            .sort(byStart);
+
+        const track = data.track || {};
+        return {
+            trackId: data.trackId || null,
+            duration: Number(data.duration || track.duration) || 0,
+            tempo: Number(data.tempo || track.tempo) || 0,
+            beats: intervals(data.beats),
+            bars: intervals(data.bars),
+            sections,
+            segments
+        };
+    }
+
+    /**
+     * Sync to a position reported by the player
+     * @param {number} positionMs - Playback position in milliseconds
+     * @param {number} durationMs - Track duration in milliseconds
+     * @param {boolean} isPaused - Whether playback is paused
+     */
+    sync(positionMs, durationMs, isPaused) {
+        if (typeof positionMs !== 'number' || isNaN(positionMs)) return;
+
+        this.syncPosition = positionMs / 1000;
+        this.syncTime = performance.now();
+        this.isPaused = !!isPaused;
+        this.hasSync = true;
+        if (durationMs) {
+            this.reportedDuration = durationMs / 1000;
+        }
+    }
+
+    /**
+     * Current playback position, interpolated since the last update
+     * @param {number} now - performance.now() timestamp
+     * @returns {number} - Position in seconds
+     */
+    getPosition(now = performance.now()) {
+        if (this.isPaused) return this.syncPosition;
+
+        const position = this.syncPosition + (now - this.syncTime) / 1000;
+        const duration = this.reportedDuration || (this.analysis && this.analysis.duration);
+        return duration ? Math.min(position, duration) : position;
+    }
+
+    isActive() {
+        return !!this.analysis && this.hasSync && !this.isPaused;
+    }
+
+    /**
+     * What update() leaves behind, for offline frames, see Visualizer.renderOffline
+     * @returns {Object}
+     */
+    getFrameState() {
+        return { beat: this.uniforms.iBeat.value, loudness: this.loudness, sectionIndex: this.sectionIndex };
+    }
+
+    /**
+     * Put back a state from getFrameState, or the one before the first update
+     * @param {Object|null} state
+     */
+    setFrameState(state) {
+        state = state || { beat: 0, loudness: 0, sectionIndex: -1 };
+        this.uniforms.iBeat.value = state.beat;
+        this.loudness = state.loudness;
+
+        // Listeners saw the section of the other state, tell them where playback is
+        if (state.sectionIndex !== this.sectionIndex) {
+            const previousIndex = this.sectionIndex;
+            this.sectionIndex = state.sectionIndex;
+            const section = this.analysis && this.analysis.sections[state.sectionIndex];
+            if (section) {
+                this.dispatchEvent('section-change', { index: state.sectionIndex, previousIndex, section, position: section.start });
+            }
+        }
+    }
+
+    /**
+     * Advance the timeline, call once per frame
+     * @param {number} position - Seconds into the track, interpolated from the player when left out
+     */
+    update(position = null) {
+        if (position === null ? !this.isActive() : !this.analysis) {
+            this.uniforms.iBeat.value *= 0.9;
+            return;
+        }
+
+        if (position === null) {
+            position = this.getPosition();
+        }
+        const { beats, sections, segments } = this.analysis;
+
+        // Sharp attack on the beat, decaying over the beat length
+        const beat = beats[TrackAnalysisTimeline.indexAt(beats, position)];
+        if (beat && beat.duration > 0) {
+            const phase = Math.min(1, Math.max(0, (position - beat.start) / beat.duration));
+            this.uniforms.iBeat.value = Math.pow(1 - phase, 3) * (0.5 + 0.5 * beat.confidence);
+        } else {
+            this.uniforms.iBeat.value = 0;
+        }
+
+        const segmentIndex = TrackAnalysisTimeline.indexAt(segments, position);
+        if (segmentIndex >= 0) {
+            const decibels = TrackAnalysisTimeline.segmentLoudness(segments[segmentIndex], segments[segmentIndex + 1], position);
+            // -60 dB is silence, 0 dB full scale
+            this.loudness = Math.min(1, Math.max(0, (decibels + 60) / 60));
+        }
+
+        const sectionIndex = TrackAnalysisTimeline.indexAt(sections, position);
+        if (sectionIndex !== this.sectionIndex) {
+            const previousIndex = this.sectionIndex;
+            this.sectionIndex = sectionIndex;
+            if (sectionIndex >= 0) {
+                this.dispatchEvent('section-change', {
+                    index: sectionIndex,
+                    previousIndex,
+                    section: sections[sectionIndex],
+                    position
+                });
+            }
+        }
+    }
+
+    /**
+     * Index of the last item starting at or before a time
+     * @param {Array<{start: number}>} list - Items sorted by start
+     * @param {number} time - Time in seconds
+     * @returns {number} - Index or -1 before the first item
+     */
+    static indexAt(list, time) {
+        let low = 0;
+        let high = list.length - 1;
+        let result = -1;
+
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (list[middle].start <= time) {
+                result = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return result;
+    }
+
+    // Rise to the segment peak, then fall towards the start of the next segment
+    static segmentLoudness(segment, nextSegment, time) {
+        const offset = time - segment.start;
+        if (offset < segment.loudnessMaxTime && segment.loudnessMaxTime > 0) {
+            const t = offset / segment.loudnessMaxTime;
+            return segment.loudnessStart + (segment.loudnessMax - segment.loudnessStart) * t;
+        }
+
+        const end = nextSegment ? nextSegment.loudnessStart : segment.loudnessMax;
+        const fallDuration = segment.duration - segment.loudnessMaxTime;
+        const t = fallDuration > 0 ? Math.min(1, (offset - segment.loudnessMaxTime) / fallDuration) : 1;
+        return segment.loudnessMax + (end - segment.loudnessMax) * t;
+    }
+
+    // Event handling methods
+    addEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = [];
+        }
+        this.eventListeners[eventName].push(callback);
+        return this; // For chaining
+    }
+
+    removeEventListener(eventName, callback) {
+        if (!this.eventListeners[eventName]) return this;
+        this.eventListeners[eventName] = this.eventListeners[eventName].filter(
+            listener => listener !== callback
+        );
+        return this; // For chaining
+    }
+
+    dispatchEvent(eventName, data = {}) {
+        if (!this.eventListeners[eventName]) return false;
+
+        const event = {
+            type: eventName,
+            target: this,
+            data: data,
+            timestamp: Date.now()
+        };
+
+        this.eventListeners[eventName].forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in ${eventName} event listener:`, error);
+            }
+        });
+
+        return true;
+    }
+}
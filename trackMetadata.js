@@ -0,0 +1,207 @@
+/**
+ * trackMetadata.js
+ * Title, artist, album and artwork of what is playing
+ *
+ * Spotify items are looked up through Spotify's oEmbed endpoint (the embed
+ * itself reports no titles), local files are read from their ID3v2/ID3v1
+ * tags with the file name as fallback.
+ *
+ * Every lookup resolves to:
+ *   { uri, title, artist, album, artwork }
+ * artwork is an image URL or null, missing text fields are empty strings.
+ */
+
+class TrackMetadata {
+    /**
+     * Metadata of a Spotify item
+     * @param {string} uri - spotify: URI
+     * @returns {Promise<Object>}
+     */
+    static async fromSpotify(uri) {
+        const cache = TrackMetadata.spotifyCache;
+        if (cache.has(uri)) return cache.get(uri);
+
+        const link = SpotifyLink.tryParse(uri);
+        const metadata = TrackMetadata.create(uri, { title: link ? `Spotify ${link.type}` : 'Spotify' });
+
+        if (link) {
+            try {
+                const response = await fetch(`https://open.spotify.com/oembed?url=${encodeURIComponent(link.url)}`);
+                if (response.ok) {
+                    const data = await response.json();
+                    metadata.title = data.title || metadata.title;
+                    // oEmbed has no artist field, the author is only set for some items
+                    metadata.artist = data.author_name || '';
+                    metadata.artwork = data.thumbnail_url || null;
+                }
+            } catch (error) {
+                console.warn(`Could not look up ${uri}:`, error);
+            }
+        }
+
+        cache.set(uri, metadata);
+        return metadata;
+    }
+
+    /**
+     * Metadata of a local audio file
+     * @param {File} file - The file being played
+     * @returns {Promise<Object>}
+     */
+    static async fromFile(file) {
+        const metadata = TrackMetadata.create(`local:${file.name}`, {
+            title: file.name.replace(/\.[^.]+$/, '')
+        });
+
+        try {
+            const tags = await TrackMetadata.readId3v2(file) || await TrackMetadata.readId3v1(file);
+            if (tags) {
+                metadata.title = tags.title || metadata.title;
+                metadata.artist = tags.artist || '';
+                metadata.album = tags.album || '';
+                metadata.artwork = tags.artwork || null;
+            }
+        } catch (error) {
+            console.warn(`Could not read the tags of ${file.name}:`, error);
+        }
+
+        return metadata;
+    }
+
+    static create(uri, fields = {}) {
+        return Object.assign({ uri, title: '', artist: '', album: '', artwork: null }, fields);
+    }
+
+    /**
+     * Read an ID3v2.2/2.3/2.4 tag from the start of a file
+     * @param {File} file
+     * @returns {Promise<Object|null>} - { title, artist, album, artwork } or null without a tag
+     */
+    static async readId3v2(file) {
+        const header = new Uint8Array(await file.slice(0, 10).arrayBuffer());
+        if (header.length < 10 || header[0] !== 0x49 || header[1] !== 0x44 || header[2] !== 0x33) {
+            return null;
+        }
+
+        const version = header[3];
+        const flags = header[5];
+        const size = TrackMetadata.syncsafe(header, 6);
+        const bytes = new Uint8Array(await file.slice(10, 10 + size).arrayBuffer());
+
+        let offset = 0;
+        // Extended header, its size counts itself in 2.4 but not in 2.3
+        if (flags & 0x40) {
+            offset = version === 4 ? TrackMetadata.syncsafe(bytes, 0) : TrackMetadata.uint32(bytes, 0) + 4;
+        }
+
+        const idLength = version === 2 ? 3 : 4;
+        const headerLength = version === 2 ? 6 : 10;
+        const names = version === 2
+            ? { TT2: 'title', TP1: 'artist', TAL: 'album', PIC: 'artwork' }
+            : { TIT2: 'title', TPE1: 'artist', TALB: 'album', APIC: 'artwork' };
+        const tags = {};
+
+        while (offset + headerLength <= bytes.length) {
+            const id = String.fromCharCode(...bytes.subarray(offset, offset + idLength));
+            if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+            let frameSize;
+            if (version === 2) {
+                frameSize = (bytes[offset + 3] << 16) | (bytes[offset + 4] << 8) | bytes[offset + 5];
+            } else if (version === 4) {
+                frameSize = TrackMetadata.syncsafe(bytes, offset + 4);
+            } else {
+                frameSize = TrackMetadata.uint32(bytes, offset + 4);
+            }
+
+            const frame = bytes.subarray(offset + headerLength, offset + headerLength + frameSize);
+            const name = names[id];
+            if (name === 'artwork') {
+                tags.artwork = tags.artwork || TrackMetadata.readPicture(frame, version);
+            } else if (name) {
+                tags[name] = TrackMetadata.decodeText(frame[0], frame.subarray(1)).replace(/\0.*$/s, '').trim();
+            }
+
+            offset += headerLength + frameSize;
+        }
+
+        return tags;
+    }
+
+    /**
+     * Read an ID3v1 tag from the last 128 bytes of a file
+     * @param {File} file
+     * @returns {Promise<Object|null>}
+     */
+    static async readId3v1(file) {
+        if (file.size < 128) return null;
+
+        const bytes = new Uint8Array(await file.slice(file.size - 128).arrayBuffer());
+        if (bytes[0] !== 0x54 || bytes[1] !== 0x41 || bytes[2] !== 0x47) return null;
+
+        const field = (start, length) => TrackMetadata.decodeText(0, bytes.subarray(start, start + length))
+            .replace(/\0.*$/s, '')
+            .trim();
+
+        return { title: field(3, 30), artist: field(33, 30), album: field(63, 30), artwork: null };
+    }
+
+    // APIC (2.3/2.4) or PIC (2.2) frame to an object URL
+    static readPicture(frame, version) {
+        const encoding = frame[0];
+        let offset = 1;
+        let mime;
+
+        if (version === 2) {
+            const format = String.fromCharCode(...frame.subarray(1, 4)).toLowerCase();
+            mime = format === 'png' ? 'image/png' : 'image/jpeg';
+            offset = 4;
+        } else {
+            const end = frame.indexOf(0, offset);
+            mime = String.fromCharCode(...frame.subarray(offset, end)) || 'image/jpeg';
+            offset = end + 1;
+        }
+
+        // Picture type, then the description terminated like its encoding
+        offset += 1;
+        if (encoding === 1 || encoding === 2) {
+            while (offset + 1 < frame.length && (frame[offset] !== 0 || frame[offset + 1] !== 0)) offset += 2;
+            offset += 2;
+        } else {
+            while (offset < frame.length && frame[offset] !== 0) offset++;
+            offset += 1;
+        }
+
+        if (offset >= frame.length) return null;
+        return URL.createObjectURL(new Blob([frame.subarray(offset)], { type: mime }));
+    }
+
+    static decodeText(encoding, bytes) {
+        // UTF-16 with a big-endian byte order mark
+        if (encoding === 1 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return new TextDecoder('utf-16be').decode(bytes);
+        }
+        const labels = ['iso-8859-1', 'utf-16', 'utf-16be', 'utf-8'];
+        return new TextDecoder(labels[encoding] || 'iso-8859-1').decode(bytes);
+    }
+
+    static syncsafe(bytes, offset) {
+        return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+    }
+
+    static uint32(bytes, offset) {
+        return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+    }
+
+    /**
+     * One line of text, e.g. for a title bar
+     * @param {Object} metadata
+     * @returns {string}
+     */
+    static describe(metadata) {
+        return metadata.artist ? `${metadata.title} - ${metadata.artist}` : metadata.title;
+    }
+}
+
+// oEmbed results by URI, shared by every lookup
+TrackMetadata.spotifyCache = new Map();
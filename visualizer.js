@@ -5,12 +5,19 @@ class Visualizer {
         
         this.scene = new THREE.Scene();
         this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        // Antialiasing is an FXAA pass chosen by the quality governor. The Media
+        // Player and the CRT overlay draw with this renderer too, and need alpha
         this.renderer = new THREE.WebGLRenderer({
             canvas: document.getElementById('visualizer'),
-            antialias: true
+            antialias: false,
+            alpha: true
         });
+        
+        // The one frame loop, see frameScheduler.js
+        this.scheduler = new FrameScheduler(this.renderer);
 
-        this.clock = new THREE.Clock();
+        // Realtime unless a deterministic clock is asked for, see renderClock.js
+        this.clock = RenderClock.fromQuery(() => this.getPlaybackPosition());
         // Set high intensity by default for Bliss visualization
         this.intensity = 1.5;  // Higher intensity for Bliss from the start
         this.visualizationIntensity = 1.0;
@@ -19,13 +26,88 @@ class Visualizer {
         // Add playback status properties
         this.isPlaying = false;
         this.playbackStatusElement = null;
-        this.lastInteractionTime = 0;
-        this.playbackToggleTimeout = null;
         this.spotifyController = null; // Store the Spotify controller
         
         // Initialize kaleidoscope pattern
         this.kaleidoscopePattern = 1;
         
+        // Background scenes come from the shader preset registry
+        this.presetRegistry = new ShaderPresetRegistry();
+        this.currentPresetId = null;
+        this.presetLoadToken = 0;
+        this.textureCache = new Map();
+        this.mesh = null;
+        
+        // Feedback and post passes configured by each preset, see postProcessing.js
+        this.postProcessing = new PostProcessingPipeline(this.renderer);
+        
+        // Render scale, shader detail and post passes follow the frame rate, see qualityGovernor.js
+        this.quality = new QualityGovernor({ isMobile: this.isMobile, targetFps: this.isMobile ? 30 : 60 });
+        this.quality.register(this);
+        // Auto holds the frame rate the loop is capped to, not more
+        this.quality.setFrameCap(this.scheduler.getMaxFps());
+        this.scheduler.addEventListener('max-fps-change', (e) => this.quality.setFrameCap(e.data.maxFps));
+        this.scheduler.addEventListener('context-restored', (e) => {
+            if (e.data.failed.length > 0) {
+                XPDialog.notify('The visualization could not be restored after the graphics reset. Reload the page to get it back.');
+            }
+        });
+        
+        // ShaderToy presets get iMouse from pointer positions over the whole page
+        this.shaderToyMouse = new ShaderToyMouse(window, this.renderer.domElement);
+        
+        // Local audio files are analysed for real, Spotify's stream can't be
+        this.audioSource = new LocalAudioSource();
+        
+        // Spotify tracks with a precomputed analysis get a real beat grid
+        this.trackAnalysis = new TrackAnalysisTimeline();
+        this.trackAnalysis.addEventListener('section-change', (e) => this.dispatchEvent('section-change', e.data));
+        
+        // Tap tempo for everything else
+        this.beatClock = new BeatClock();
+        this.beatClock.addEventListener('tempo-change', () => this.updateTempoDisplay());
+        
+        // Which of the three drives the pulse this frame: 'audio', 'analysis', 'tempo' or null
+        this.pulseSource = null;
+        
+        // Sing-along lyrics from .lrc files, see lyrics.js
+        this.lyrics = new LyricsTrack();
+        this.lyricsWindow = null;
+        
+        // Video, snapshots and GIFs, see recorder.js
+        this.recorder = new VisualizerRecorder(this);
+        // PNG sequences rendered offline, see frameExport.js
+        this.frameExporter = new FrameSequenceExporter(this);
+        
+        // Every source of play state goes through a PlayerAdapter, see playerAdapters.js
+        this.players = {
+            spotify: new SpotifyEmbedAdapter(),
+            local: new LocalAudioAdapter(this.audioSource)
+        };
+        if (MockPlayerAdapter.isRequested()) {
+            this.players.mock = MockPlayerAdapter.fromQuery();
+        }
+        this.player = this.players.mock || this.players.spotify;
+        Object.values(this.players).forEach(player => {
+            player.onState(state => this.handlePlayerState(player, state));
+        });
+        
+        // What the status shows comes from the state machine, never from a guess
+        this.playback = new PlaybackStateMachine();
+        this.playback.addEventListener('change', (e) => this.handlePlaybackChange(e.data));
+        
+        // Spotify items queued in the Now Playing List
+        this.queue = new PlayQueue();
+        this.queue.addEventListener('play-item', (e) => this.playQueueItem(e.data.item));
+        this.nowPlayingList = null;
+        
+        // Title, artist and artwork of the active player's item, see trackMetadata.js
+        this.nowPlaying = null;
+        this.metadataUri = null;
+        
+        // Opened from a moment link: seek there once the track is loaded, see shareLinks.js
+        this.sharedMoment = ShareLink.getSharedMoment();
+        
         // Create direct embed immediately to ensure we have a visible player
         this.createDirectSpotifyEmbed();
         
@@ -42,9 +124,22 @@ class Visualizer {
             this.handleResize();
             this.setupClock();
             this.createStatusDisplay();
+            this.setupMenus();
+            this.setupPlayQueue();
+            this.setupLyrics();
+            this.setupRecorder();
+            this.setupQualityMenu();
+            this.setupLocalAudio();
+            this.setupBeatClock();
+            this.setupMediaSession();
+            this.showSharedLink();
             this.initModalVisualizer();
             this.animate();
             this.positionWindowForDevice();
+            if (this.players.mock) {
+                console.log('Using the mock player');
+                this.players.mock.start();
+            }
             console.log("Visualizer initialized successfully!");
         }).catch(err => {
             console.error("Error initializing visualizer:", err);
@@ -96,142 +191,938 @@ class Visualizer {
 
     async setupScene() {
         try {
-            // Load the Bliss wallpaper texture
-            const textureLoader = new THREE.TextureLoader();
+            // Load the preset manifest - the scene itself is built by loadPreset
+            try {
+                await this.presetRegistry.load();
+            } catch (error) {
+                console.warn('Could not load shader presets, using the built-in Bliss scene:', error);
+                this.presetRegistry.register({
+                    id: 'bliss',
+                    name: 'Bliss',
+                    fragment: 'fragment-shader.glsl',
+                    texture: 'shaders/bliss.jpg',
+                    textureFallbacks: [
+                        'https://i.imgur.com/JMhHPz6.jpg',
+                        'https://cdn.wallpapersafari.com/38/77/hKvU4q.jpg'
+                    ]
+                });
+                this.presetRegistry.defaultPresetId = 'bliss';
+            }
+
+            // ShaderToy imports from earlier visits become presets again
+            this.restoreShaderToyImports('background');
+
+            await this.loadPreset(this.getSavedPresetId());
             
-            // Updated Bliss image URL - use local file
-            const blissImageUrl = 'shaders/bliss.jpg';
-            // Fallback URLs if the main one fails
-            const fallbackUrls = [
-                'https://i.imgur.com/JMhHPz6.jpg',
-                'https://cdn.wallpapersafari.com/38/77/hKvU4q.jpg'
-            ];
+            // Initialize the size
+            const width = window.innerWidth;
+            const height = window.innerHeight;
+            this.renderer.setSize(width, height);
             
-            let blissTexture;
+        } catch (error) {
+            console.error('Error in setupScene:', error);
+        }
+    }
+
+    // Load a texture, trying fallback URLs and finally a canvas gradient
+    async loadTexture(url, fallbackUrls = []) {
+        const cacheKey = url || 'canvas-fallback';
+        if (this.textureCache.has(cacheKey)) {
+            return this.textureCache.get(cacheKey);
+        }
+
+        const textureLoader = new THREE.TextureLoader();
+        textureLoader.setCrossOrigin('anonymous');
+
+        let texture = null;
+        for (const candidate of [url, ...fallbackUrls].filter(Boolean)) {
             try {
-                blissTexture = await new Promise((resolve, reject) => {
-                    textureLoader.setCrossOrigin('anonymous');
+                texture = await new Promise((resolve, reject) => {
                     textureLoader.load(
-                        blissImageUrl, 
-                        texture => {
+                        candidate,
+                        loaded => {
                             // Use ClampToEdgeWrapping to make image cut off at edges instead of repeating
-                            texture.wrapS = texture.wrapT = THREE.ClampToEdgeWrapping;
-                            resolve(texture);
+                            loaded.wrapS = loaded.wrapT = THREE.ClampToEdgeWrapping;
+                            resolve(loaded);
                         },
                         undefined,
-                        error => {
-                            console.warn('Primary texture failed to load, trying fallbacks:', error);
-                            reject(error);
-                        }
+                        reject
                     );
                 });
+                break; // Exit the loop if successful
             } catch (error) {
-                // Try fallback URLs one by one
-                for (const fallbackUrl of fallbackUrls) {
-                    try {
-                        console.log('Trying fallback URL:', fallbackUrl);
-                        blissTexture = await new Promise((resolve, reject) => {
-                            textureLoader.load(
-                                fallbackUrl,
-                                texture => {
-                                    // Use ClampToEdgeWrapping for fallbacks too
-                                    texture.wrapS = texture.wrapT = THREE.ClampToEdgeWrapping;
-                                    resolve(texture);
-                                },
-                                undefined,
-                                reject
-                            );
-                        });
-                        console.log('Successfully loaded fallback texture');
-                        break; // Exit the loop if successful
-                    } catch (fallbackError) {
-                        console.warn('Fallback texture failed:', fallbackError);
-                    }
-                }
+                console.warn('Texture failed to load, trying fallbacks:', candidate, error);
             }
-            
-            // If all URLs fail, create a canvas fallback
-            if (!blissTexture) {
-                console.warn('All texture URLs failed, creating canvas fallback');
-                const canvas = document.createElement('canvas');
-                canvas.width = 512;
-                canvas.height = 384;
-                const ctx = canvas.getContext('2d');
-                
-                // Plain green and blue background like Bliss
-                const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
-                gradient.addColorStop(0, '#66CCFF');  // Sky blue at top
-                gradient.addColorStop(0.6, '#8CCCFF'); // Lighter blue
-                gradient.addColorStop(1, '#66DD66');   // Green at bottom
-                
-                ctx.fillStyle = gradient;
-                ctx.fillRect(0, 0, canvas.width, canvas.height);
-                
-                blissTexture = new THREE.CanvasTexture(canvas);
-                // Use ClampToEdgeWrapping for the canvas fallback too
-                blissTexture.wrapS = blissTexture.wrapT = THREE.ClampToEdgeWrapping;
+        }
+        
+        // If all URLs fail, create a canvas fallback
+        if (!texture) {
+            console.warn('All texture URLs failed, creating canvas fallback');
+            texture = this.createFallbackTexture();
+        }
+
+        this.textureCache.set(cacheKey, texture);
+        return texture;
+    }
+
+    createFallbackTexture() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 384;
+        const ctx = canvas.getContext('2d');
+        
+        // Plain green and blue background like Bliss
+        const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+        gradient.addColorStop(0, '#66CCFF');  // Sky blue at top
+        gradient.addColorStop(0.6, '#8CCCFF'); // Lighter blue
+        gradient.addColorStop(1, '#66DD66');   // Green at bottom
+        
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        
+        const texture = new THREE.CanvasTexture(canvas);
+        // Use ClampToEdgeWrapping for the canvas fallback too
+        texture.wrapS = texture.wrapT = THREE.ClampToEdgeWrapping;
+        return texture;
+    }
+
+    getSavedPresetId() {
+        try {
+            const savedPreset = localStorage.getItem('wmp_viz_preset');
+            if (savedPreset && this.presetRegistry.has(savedPreset)) {
+                return savedPreset;
             }
+        } catch (e) {
+            console.warn('Could not read saved visualization preset');
+        }
+        return this.presetRegistry.defaultPresetId;
+    }
 
-            await this.loadShader('vertex-shader.glsl', 'fragment-shader.glsl', blissTexture);
-            
-            // Initialize the size
-            const width = window.innerWidth;
-            const height = window.innerHeight;
-            this.renderer.setSize(width, height);
-            
-        } catch (error) {
-            console.error('Error in setupScene:', error);
+    /**
+     * Swap the background scene to another preset without reloading the page
+     * @param {string} id - Preset id
+     * @param {Object} options
+     * @param {boolean} options.save - Remember the preset for the next visit
+     */
+    async loadPreset(id, { save = true } = {}) {
+        const preset = this.presetRegistry.get(id);
+        if (!preset) {
+            console.warn(`Unknown shader preset: ${id}`);
+            return null;
         }
+
+        // Only the most recent request wins if presets are switched quickly
+        const loadToken = ++this.presetLoadToken;
+
+        const texture = await this.loadTexture(preset.texture, preset.textureFallbacks);
+        if (loadToken !== this.presetLoadToken) return null;
+
+        const material = await this.loadShader(preset, texture);
+        if (loadToken !== this.presetLoadToken) {
+            material.dispose();
+            return null;
+        }
+
+        this.setMaterial(material);
+        this.currentPresetId = preset.id;
+        this.postProcessing.configure(preset.post);
+        this.scheduler.requestFrame();
+
+        // Presets may choose their own kaleidoscope pattern
+        if (preset.uniforms.iKaleidoscopePattern !== undefined) {
+            this.kaleidoscopePattern = preset.uniforms.iKaleidoscopePattern;
+        }
+
+        // Store the current preset in local storage for persistence
+        if (save) {
+            try {
+                localStorage.setItem('wmp_viz_preset', preset.id);
+            } catch (e) {
+                console.warn('Could not save visualization preset');
+            }
+        }
+
+        console.log(`Shader preset changed to: ${preset.name}`);
+        this.dispatchEvent('preset-change', { id: preset.id, preset });
+        return material;
     }
 
-    async loadShader(vertexPath, fragmentPath, texture) {
+    async loadShader(preset, texture) {
         try {
-            const responses = await Promise.all([
-                fetch(vertexPath),
-                fetch(fragmentPath)
-            ]);
-            
-            const [vertexShader, fragmentShader] = await Promise.all(
-                responses.map(r => r.text())
-            );
+            const sources = await this.presetRegistry.loadSources(preset);
+            const uniforms = this.createUniforms(texture);
+            let fragmentShader = sources.fragmentShader;
 
-            const geometry = new THREE.PlaneGeometry(2, 2);
-            const material = new THREE.ShaderMaterial({
-                vertexShader,
+            // ShaderToy sources only have mainImage, wrap them and add the ShaderToy uniforms
+            if (preset.type === 'shadertoy') {
+                fragmentShader = ShaderToyImporter.wrap(fragmentShader);
+                Object.assign(uniforms, ShaderToyImporter.createUniforms(texture, window.innerWidth, window.innerHeight));
+            }
+
+            return new THREE.ShaderMaterial({
+                vertexShader: sources.vertexShader,
                 fragmentShader,
-                uniforms: {
-                    iTime: { value: 0 },
-                    iResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
-                    iIntensity: { value: this.intensity * this.visualizationIntensity },
-                    iTexture: { value: texture },
-                    iKaleidoscopePattern: { value: this.kaleidoscopePattern }
-                }
+                defines: this.quality.getDefines(),
+                uniforms: Object.assign(uniforms, ShaderPresetRegistry.toUniforms(preset.uniforms))
             });
-
-            const mesh = new THREE.Mesh(geometry, material);
-            this.scene.add(mesh);
-            this.material = material;
-            
-            return material;
         } catch (error) {
             console.error('Error loading shader:', error);
             // Fallback to basic material if shader fails
-            const geometry = new THREE.PlaneGeometry(2, 2);
-            const material = new THREE.MeshBasicMaterial({ 
+            return new THREE.MeshBasicMaterial({ 
                 map: texture,
                 transparent: true,
                 opacity: 1.0
             });
+        }
+    }
 
-            const mesh = new THREE.Mesh(geometry, material);
-            this.scene.add(mesh);
-            this.material = material;
-            
-            return material;
+    // Uniforms every background preset can rely on
+    createUniforms(texture) {
+        return Object.assign({
+            iTime: { value: this.clock.getElapsedTime() },
+            iResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
+            iIntensity: { value: this.intensity * this.visualizationIntensity },
+            iTexture: { value: texture },
+            iKaleidoscopePattern: { value: this.kaleidoscopePattern }
+        }, this.getSharedUniforms());
+    }
+
+    // Put a material on the fullscreen quad, creating the mesh on first use
+    setMaterial(material) {
+        if (!this.mesh) {
+            const geometry = new THREE.PlaneGeometry(2, 2);
+            this.mesh = new THREE.Mesh(geometry, material);
+            this.scene.add(this.mesh);
+        } else if (this.mesh.material !== material) {
+            const previousMaterial = this.mesh.material;
+            this.mesh.material = material;
+            // Textures are cached and shared, only the program is released
+            previousMaterial.dispose();
+        }
+
+        this.material = material;
+    }
+
+    // Wire the Media Player menu bar
+    setupMenus() {
+        this.renderPresetMenu();
+        this.addEventListener('preset-change', () => this.markCurrentPreset());
+
+        const importItem = document.getElementById('menu-import-shadertoy');
+        if (importItem) {
+            importItem.addEventListener('click', () => this.openShaderToyDialog());
+        }
+
+        const openUrlItem = document.getElementById('menu-open-url');
+        if (openUrlItem) {
+            openUrlItem.addEventListener('click', () => this.openUrlDialog());
+        }
+    }
+
+    // Local MP3/OGG/WAV files can be dropped on the Media Player or opened from the File menu
+    setupLocalAudio() {
+        const wmpWindow = document.getElementById('wmp-window');
+        if (wmpWindow) {
+            // dragenter/dragleave also fire for every child element
+            let dragDepth = 0;
+
+            wmpWindow.addEventListener('dragenter', (e) => {
+                if (!this.isFileDrag(e)) return;
+                e.preventDefault();
+                dragDepth++;
+                wmpWindow.classList.add('drop-target');
+            });
+
+            wmpWindow.addEventListener('dragover', (e) => {
+                if (!this.isFileDrag(e)) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+            });
+
+            wmpWindow.addEventListener('dragleave', () => {
+                dragDepth = Math.max(0, dragDepth - 1);
+                if (dragDepth === 0) {
+                    wmpWindow.classList.remove('drop-target');
+                }
+            });
+
+            wmpWindow.addEventListener('drop', (e) => {
+                if (!this.isFileDrag(e)) return;
+                e.preventDefault();
+                dragDepth = 0;
+                wmpWindow.classList.remove('drop-target');
+
+                const files = Array.from(e.dataTransfer.files);
+                this.openLocalAudio(files.find(file => LocalAudioSource.isAudioFile(file)) || files[0]);
+            });
+        }
+
+        const openItem = document.getElementById('menu-open-audio');
+        const fileInput = document.getElementById('local-audio-input');
+        if (openItem && fileInput) {
+            openItem.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                this.openLocalAudio(fileInput.files[0]);
+                // Allow opening the same file again
+                fileInput.value = '';
+            });
+        }
+    }
+
+    // Tap tempo from the taskbar button or the T key, [ and ] nudge the beat
+    setupBeatClock() {
+        const tempoButton = document.getElementById('taskbar-tap-tempo');
+        if (tempoButton) {
+            tempoButton.addEventListener('click', () => this.beatClock.tap());
+        }
+
+        document.addEventListener('keydown', (e) => {
+            const target = e.target;
+            if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+            if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+
+            if (e.key === 't' || e.key === 'T') {
+                this.beatClock.tap();
+            } else if (e.key === '[' || e.key === '{') {
+                // Shift nudges in bigger steps
+                this.beatClock.nudge(e.key === '{' ? -50 : -10);
+            } else if (e.key === ']' || e.key === '}') {
+                this.beatClock.nudge(e.key === '}' ? 50 : 10);
+            }
+        });
+
+        this.beatClock.setTrack(this.getEmbeddedTrackId());
+        this.updateTempoDisplay();
+    }
+
+    updateTempoDisplay() {
+        const tempoButton = document.getElementById('taskbar-tap-tempo');
+        if (!tempoButton) return;
+
+        tempoButton.textContent = this.beatClock.isLocked ? `${Math.round(this.beatClock.bpm)} BPM` : 'TAP';
+        tempoButton.classList.toggle('locked', this.beatClock.isLocked);
+    }
+
+    isFileDrag(e) {
+        return !!e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+    }
+
+    /**
+     * Play a local audio file through the analyser
+     * @param {File} file - The dropped or picked file
+     */
+    async openLocalAudio(file) {
+        if (!file) return;
+
+        try {
+            // The file takes over the play button, whatever played before stops
+            this.setActivePlayer(this.players.local);
+            this.playback.request('loading', 'user');
+
+            const started = await this.players.local.load(file);
+            this.beatClock.setTrack(`local:${file.name}`);
+            // Autoplay can be blocked when the file was dropped, Play starts it then
+            this.showLocalAudioStatus(started ? file.name : `${file.name} - press Play to start`);
+            console.log(`Opened local audio file: ${file.name}`);
+        } catch (error) {
+            this.playback.rollback('local rejected');
+            console.error('Error opening local audio:', error);
+            XPDialog.alert('Windows Media Player', error.message);
+        }
+    }
+
+    // Small now-playing label over the Media Player visualization
+    showLocalAudioStatus(text) {
+        const container = document.querySelector('#wmp-window .modal-visualizer-container');
+        if (!container) return;
+
+        let label = container.querySelector('.local-audio-status');
+        if (!label) {
+            label = document.createElement('div');
+            label.className = 'local-audio-status';
+            container.appendChild(label);
+        }
+        label.textContent = text;
+    }
+
+    // Fill the View > Scenes menu with the registered presets
+    renderPresetMenu() {
+        const menu = document.getElementById('wmp-scenes-menu');
+        if (!menu) return;
+
+        menu.innerHTML = '';
+        this.presetRegistry.list().forEach(preset => {
+            const item = document.createElement('button');
+            item.className = 'menu-item';
+            item.dataset.preset = preset.id;
+            item.textContent = preset.name;
+            item.addEventListener('click', () => {
+                this.loadPreset(preset.id);
+            });
+            menu.appendChild(item);
+        });
+
+        this.markCurrentPreset();
+    }
+
+    markCurrentPreset() {
+        document.querySelectorAll('#wmp-scenes-menu .menu-item').forEach(item => {
+            item.classList.toggle('checked', item.dataset.preset === this.currentPresetId);
+        });
+    }
+
+    /**
+     * Turn pasted ShaderToy source into a background preset or a Media Player mode
+     * @param {string} source - ShaderToy source with mainImage(out vec4, in vec2)
+     * @param {Object} options
+     * @param {string} options.name - Name shown in the menus
+     * @param {string} options.target - 'background' or 'modal'
+     * @returns {Promise<string>} - Id of the new preset or modal mode
+     */
+    async importShaderToy(source, { name = 'ShaderToy', target = 'background' } = {}) {
+        // Throws if the source has no mainImage function or doesn't compile
+        this.compileShaderToy(source);
+
+        const currentPreset = this.presetRegistry.get(this.currentPresetId);
+        const record = {
+            id: `shadertoy-${this.hashSource(source)}`,
+            name,
+            target,
+            source,
+            texture: currentPreset ? currentPreset.texture : 'shaders/bliss.jpg',
+            textureFallbacks: currentPreset ? currentPreset.textureFallbacks : []
+        };
+
+        this.saveShaderToyImport(record);
+
+        if (target === 'modal') {
+            if (!this.modalVisualizer) {
+                throw new Error('The Media Player visualization is not available');
+            }
+            this.modalVisualizer.addShaderToyMode(record.id, source, name, true);
+            return record.id;
+        }
+
+        this.registerShaderToyPreset(record);
+        this.renderPresetMenu();
+        await this.loadPreset(record.id);
+        return record.id;
+    }
+
+    /**
+     * Compile a ShaderToy source before it is saved, THREE only logs compile
+     * errors and the broken shader would draw nothing on every reload
+     * @param {string} source - ShaderToy source with mainImage
+     */
+    compileShaderToy(source) {
+        // Compiling doesn't upload textures, the channels can stay empty
+        const material = new THREE.ShaderMaterial({
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: ShaderToyImporter.wrap(source),
+            defines: this.quality.getDefines(),
+            uniforms: Object.assign(ShaderToyImporter.createUniforms(null, 1, 1), this.getSharedUniforms())
+        });
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+        const scene = new THREE.Scene();
+        scene.add(mesh);
+
+        const gl = this.renderer.getContext();
+        try {
+            this.renderer.compile(scene, this.camera);
+            const program = this.renderer.properties.get(material).program;
+            // Nothing to check while the context is lost
+            if (!program || gl.isContextLost() || gl.getProgramParameter(program.program, gl.LINK_STATUS)) return;
+
+            const failedShader = gl.getAttachedShaders(program.program)
+                .find(shader => !gl.getShaderParameter(shader, gl.COMPILE_STATUS));
+            const log = failedShader ? gl.getShaderInfoLog(failedShader) : gl.getProgramInfoLog(program.program);
+            const errors = (log || '').trim().split('\n').filter(line => line.trim()).slice(0, 3);
+            throw new Error(`The shader doesn't compile: ${errors.join(' ') || 'unknown error'}`);
+        } finally {
+            mesh.geometry.dispose();
+            material.dispose();
+        }
+    }
+
+    registerShaderToyPreset(record) {
+        return this.presetRegistry.register({
+            id: record.id,
+            name: record.name,
+            type: 'shadertoy',
+            fragmentSource: record.source,
+            texture: record.texture,
+            textureFallbacks: record.textureFallbacks || [],
+            imported: true
+        });
+    }
+
+    getShaderToyImports() {
+        try {
+            return JSON.parse(localStorage.getItem('wmp_shadertoy_imports') || '[]');
+        } catch (e) {
+            console.warn('Could not read saved ShaderToy imports');
+            return [];
+        }
+    }
+
+    saveShaderToyImport(record) {
+        try {
+            const imports = this.getShaderToyImports().filter(item => item.id !== record.id);
+            imports.push(record);
+            localStorage.setItem('wmp_shadertoy_imports', JSON.stringify(imports));
+        } catch (e) {
+            console.warn('Could not save ShaderToy import');
+        }
+    }
+
+    restoreShaderToyImports(target) {
+        this.getShaderToyImports()
+            .filter(record => record.target === target)
+            .forEach(record => {
+                if (target === 'modal') {
+                    this.modalVisualizer.addShaderToyMode(record.id, record.source, record.name, false);
+                } else {
+                    this.registerShaderToyPreset(record);
+                }
+            });
+    }
+
+    // Short stable id for a shader source so re-imports replace the old copy
+    hashSource(source) {
+        let hash = 5381;
+        for (let i = 0; i < source.length; i++) {
+            hash = ((hash << 5) + hash + source.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    openShaderToyDialog() {
+        const dialog = new XPDialog({
+            title: 'Import ShaderToy',
+            width: 440,
+            className: 'shadertoy-dialog',
+            content: `
+                <div class="field-row-stacked">
+                    <label for="shadertoy-name">Name</label>
+                    <input type="text" id="shadertoy-name" value="My ShaderToy">
+                </div>
+                <div class="field-row-stacked">
+                    <label for="shadertoy-source">Paste the source of the ShaderToy "Image" tab</label>
+                    <textarea id="shadertoy-source" rows="12" spellcheck="false" placeholder="void mainImage(out vec4 fragColor, in vec2 fragCoord) { ... }"></textarea>
+                </div>
+                <fieldset>
+                    <legend>Show in</legend>
+                    <div class="field-row">
+                        <input type="radio" id="shadertoy-target-background" name="shadertoy-target" value="background" checked>
+                        <label for="shadertoy-target-background">Desktop background</label>
+                    </div>
+                    <div class="field-row">
+                        <input type="radio" id="shadertoy-target-modal" name="shadertoy-target" value="modal">
+                        <label for="shadertoy-target-modal">Media Player visualization</label>
+                    </div>
+                </fieldset>
+                <p class="xp-dialog-error"></p>
+            `,
+            buttons: [
+                {
+                    label: 'Import',
+                    isDefault: true,
+                    action: async (dialog) => {
+                        const source = dialog.find('#shadertoy-source').value;
+                        const name = dialog.find('#shadertoy-name').value.trim() || 'ShaderToy';
+                        const target = dialog.find('input[name="shadertoy-target"]:checked').value;
+
+                        try {
+                            await this.importShaderToy(source, { name, target });
+                            return true;
+                        } catch (error) {
+                            dialog.find('.xp-dialog-error').textContent = error.message;
+                            return false;
+                        }
+                    }
+                },
+                { label: 'Cancel' }
+            ]
+        });
+
+        dialog.open();
+        return dialog;
+    }
+
+    // The Now Playing List window, presets are loaded by now for its scene pickers
+    setupPlayQueue() {
+        const playlistWindow = document.getElementById('playlist-window');
+        if (playlistWindow) {
+            this.nowPlayingList = new NowPlayingList(playlistWindow, this.queue, this.presetRegistry);
+        }
+    }
+
+    // Capture menu and the Rec button
+    setupRecorder() {
+        const recordItem = document.getElementById('menu-record');
+        const recordButton = document.querySelector('.btn-record');
+        const gifItem = document.getElementById('menu-gif');
+        const playerItem = document.getElementById('menu-capture-player');
+        let recordTimer = null;
+
+        const toggleRecording = () => {
+            if (this.recorder.isRecording()) {
+                this.recorder.stopRecording();
+                return;
+            }
+            try {
+                this.recorder.startRecording();
+            } catch (error) {
+                XPDialog.alert('Record', error.message);
+            }
+        };
+
+        const showRecording = () => {
+            const isRecording = this.recorder.isRecording();
+            if (recordItem) {
+                recordItem.textContent = isRecording ? 'Stop Recording' : 'Start Recording';
+            }
+            if (recordButton) {
+                recordButton.classList.toggle('recording', isRecording);
+                recordButton.textContent = isRecording
+                    ? `■ ${ShareLink.formatTime(this.recorder.getRecordingTime() * 1000)}`
+                    : '● Rec';
+            }
+        };
+
+        this.recorder.addEventListener('recording-change', (e) => {
+            clearInterval(recordTimer);
+            if (e.data.isRecording) {
+                recordTimer = setInterval(showRecording, 1000);
+            }
+            showRecording();
+        });
+
+        if (recordItem) {
+            recordItem.addEventListener('click', toggleRecording);
+        }
+        if (recordButton) {
+            recordButton.addEventListener('click', toggleRecording);
+        }
+
+        const snapshotItem = document.getElementById('menu-snapshot');
+        if (snapshotItem) {
+            snapshotItem.addEventListener('click', () => this.recorder.takeSnapshot());
+        }
+
+        if (gifItem) {
+            gifItem.addEventListener('click', () => {
+                this.recorder.recordGif().catch(error => XPDialog.alert('Save GIF', error.message));
+            });
+            this.recorder.addEventListener('gif-change', (e) => {
+                gifItem.textContent = e.data.isCapturing ? 'Capturing GIF...' : 'Save Looping GIF';
+                gifItem.disabled = e.data.isCapturing;
+            });
+        }
+
+        const exportItem = document.getElementById('menu-export-frames');
+        if (exportItem) {
+            exportItem.addEventListener('click', () => this.openExportDialog());
+        }
+
+        if (playerItem) {
+            playerItem.classList.toggle('checked', this.recorder.includePlayer);
+            playerItem.addEventListener('click', () => {
+                this.recorder.includePlayer = !this.recorder.includePlayer;
+                playerItem.classList.toggle('checked', this.recorder.includePlayer);
+            });
+        }
+    }
+
+    // View > Quality, Auto shows the level it picked
+    setupQualityMenu() {
+        const items = document.querySelectorAll('#wmp-quality-menu .menu-item[data-quality]');
+
+        const showQuality = () => {
+            const isAuto = this.quality.mode === 'auto';
+            items.forEach(item => {
+                item.classList.toggle('checked', item.dataset.quality === this.quality.mode);
+                if (item.dataset.quality === 'auto') {
+                    item.textContent = isAuto ? `Auto (${QualityGovernor.LEVELS[this.quality.level].name})` : 'Auto';
+                }
+            });
+        };
+
+        items.forEach(item => {
+            item.addEventListener('click', () => this.quality.setMode(item.dataset.quality));
+        });
+        this.quality.addEventListener('quality-change', showQuality);
+        showQuality();
+
+        const batteryItem = document.getElementById('menu-battery-saver');
+        if (batteryItem) {
+            batteryItem.textContent = `Battery Saver (${FrameScheduler.BATTERY_SAVER_FPS} FPS)`;
+            batteryItem.classList.toggle('checked', this.scheduler.isBatterySaver);
+            batteryItem.addEventListener('click', () => {
+                this.scheduler.setBatterySaver(!this.scheduler.isBatterySaver);
+                batteryItem.classList.toggle('checked', this.scheduler.isBatterySaver);
+            });
+        }
+    }
+
+    /**
+     * Ask for the size, rate and range of a PNG sequence and render it
+     * @returns {XPDialog}
+     */
+    openExportDialog() {
+        const sizes = [[1920, 1080], [2560, 1440], [3840, 2160], [1080, 1920], [1080, 1080]];
+        const dialog = new XPDialog({
+            title: 'Export Video Frames',
+            width: 340,
+            className: 'export-dialog',
+            content: `
+                <p class="xp-dialog-message">Renders every frame of the current scene to PNG, without dropping any, and saves them as a zip.</p>
+                <div class="field-row-stacked">
+                    <label for="export-size">Size</label>
+                    <select id="export-size">
+                        ${sizes.map(([width, height]) => `<option value="${width}x${height}">${width} x ${height}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="field-row-stacked">
+                    <label for="export-fps">Frame rate</label>
+                    <select id="export-fps">
+                        <option value="24">24 fps</option>
+                        <option value="25">25 fps</option>
+                        <option value="30" selected>30 fps</option>
+                        <option value="60">60 fps</option>
+                    </select>
+                </div>
+                <div class="field-row">
+                    <label for="export-start">Start at</label>
+                    <input type="text" id="export-start" size="6">
+                    <label for="export-duration">for</label>
+                    <input type="number" id="export-duration" min="1" max="600" value="10">
+                    <label for="export-duration">seconds</label>
+                </div>
+                <p class="xp-dialog-message export-analysis"></p>
+                <p class="xp-dialog-message export-estimate"></p>
+                <progress class="export-progress" max="1" value="0"></progress>
+                <p class="xp-dialog-message export-status"></p>
+                <p class="xp-dialog-error"></p>
+            `,
+            buttons: [
+                {
+                    label: 'Export',
+                    isDefault: true,
+                    action: async (dialog) => {
+                        const [width, height] = dialog.find('#export-size').value.split('x').map(Number);
+                        const fps = Number(dialog.find('#export-fps').value);
+                        const start = ShareLink.parseTime(dialog.find('#export-start').value);
+                        const duration = Number(dialog.find('#export-duration').value);
+                        const error = dialog.find('.xp-dialog-error');
+
+                        if (start === null || !(duration > 0)) {
+                            error.textContent = 'Enter a start like 1:23 and a length in seconds';
+                            return false;
+                        }
+
+                        const estimate = FrameSequenceExporter.estimate({ width, height, fps, duration });
+                        if (estimate.error) {
+                            error.textContent = estimate.error;
+                            return false;
+                        }
+
+                        error.textContent = '';
+                        const inputs = dialog.element.querySelectorAll('select, input, .xp-dialog-buttons button.default');
+                        inputs.forEach(input => { input.disabled = true; });
+
+                        try {
+                            const zip = await this.frameExporter.export({
+                                width, height, fps, duration,
+                                start: start / 1000,
+                                onProgress: ({ frame, frameCount }) => {
+                                    dialog.find('.export-progress').value = frame / frameCount;
+                                    dialog.find('.export-status').textContent = `Frame ${frame} of ${frameCount}`;
+                                }
+                            });
+                            ShareCard.download(new File([zip], `${VisualizerRecorder.getFileName()}-frames.zip`, { type: 'application/zip' }));
+                            return true;
+                        } catch (exportError) {
+                            if (!this.frameExporter.isCancelled) {
+                                console.error('Frame export failed:', exportError);
+                                error.textContent = exportError.message;
+                            }
+                            inputs.forEach(input => { input.disabled = false; });
+                            return false;
+                        }
+                    }
+                },
+                { label: 'Cancel' }
+            ]
+        });
+
+        dialog.onClose = () => this.frameExporter.cancel();
+        dialog.open();
+
+        dialog.find('#export-size').value = '3840x2160';
+        dialog.find('#export-start').value = ShareLink.formatTime(this.getPlaybackPosition());
+
+        // Known before anything renders, PNG sizes are a guess until the first frame
+        const showEstimate = () => {
+            const [width, height] = dialog.find('#export-size').value.split('x').map(Number);
+            const fps = Number(dialog.find('#export-fps').value);
+            const duration = Number(dialog.find('#export-duration').value);
+            if (!(duration > 0)) return;
+
+            const estimate = FrameSequenceExporter.estimate({ width, height, fps, duration });
+            dialog.find('.export-estimate').textContent = `${estimate.frameCount} frames, about ${FrameSequenceExporter.formatSize(estimate.size)}`;
+            dialog.find('.xp-dialog-error').textContent = estimate.error || '';
+        };
+        ['#export-size', '#export-fps', '#export-duration'].forEach(selector => {
+            dialog.find(selector).addEventListener('input', showEstimate);
+        });
+        showEstimate();
+        dialog.find('.export-analysis').textContent = this.trackAnalysis.analysis
+            ? 'The pulse follows the track analysis at each frame.'
+            : this.beatClock.isLocked
+                ? `No analysis for this track, the pulse follows the tapped ${Math.round(this.beatClock.bpm)} BPM.`
+                : 'No analysis or tapped tempo for this track, the pulse is a steady wave.';
+
+        return dialog;
+    }
+
+    setupLyrics() {
+        const lyricsWindow = document.getElementById('lyrics-window');
+        if (lyricsWindow) {
+            this.lyricsWindow = new LyricsWindow(lyricsWindow, this.lyrics);
         }
     }
 
+    /**
+     * Play a Now Playing List item and switch to its scene
+     * @param {Object} item - PlayQueue item
+     */
+    playQueueItem(item) {
+        if (item.presetId && this.presetRegistry.has(item.presetId)) {
+            this.loadPreset(item.presetId);
+        }
+
+        try {
+            this.openSpotifyLink(item.uri, { autoplay: true });
+        } catch (error) {
+            console.error('Could not play queued item:', error);
+        }
+    }
+
+    /**
+     * Show a Spotify track, album, playlist, artist or episode in the embed
+     * @param {string} input - open.spotify.com link or spotify: URI
+     * @param {Object} options
+     * @param {boolean} options.autoplay - Start playing once loaded (needs the IFrame API)
+     * @returns {Object} - The parsed link
+     */
+    openSpotifyLink(input, { autoplay = false } = {}) {
+        const link = SpotifyLink.parse(input);
+
+        this.setActivePlayer(this.players.spotify);
+        if (this.players.spotify.controller) {
+            // From playing the new item can only be loading, the player's reports take it on from there
+            const canPlay = autoplay && this.playback.state !== 'playing' && this.playback.state !== 'buffering';
+            this.playback.request(canPlay ? 'playing' : 'loading', 'user');
+            this.players.spotify.load(link.uri, { autoplay });
+        } else {
+            // Without the IFrame API the embed has to be rebuilt with the new address
+            const embed = document.getElementById('spotify-player');
+            if (embed) {
+                embed.src = link.embedUrl;
+            } else {
+                this.createFallbackSpotifyEmbed(document.querySelector('.player-container'), link);
+            }
+        }
+
+        SpotifyLink.remember(link);
+        console.log(`Opened ${link.uri}`);
+        return link;
+    }
+
+    openUrlDialog() {
+        const recent = SpotifyLink.getRecent();
+        const dialog = new XPDialog({
+            title: 'Open URL',
+            width: 420,
+            className: 'open-url-dialog',
+            content: `
+                <p class="xp-dialog-message">Enter the address of a Spotify track, album, playlist, artist or episode.</p>
+                <div class="field-row-stacked">
+                    <label for="open-url-input">Open:</label>
+                    <input type="text" id="open-url-input" spellcheck="false" placeholder="https://open.spotify.com/track/...">
+                </div>
+                <div class="field-row-stacked">
+                    <label for="open-url-recent">Recently opened</label>
+                    <select id="open-url-recent" size="5"></select>
+                </div>
+                <p class="xp-dialog-error"></p>
+            `,
+            buttons: [
+                {
+                    label: 'OK',
+                    isDefault: true,
+                    action: (dialog) => {
+                        try {
+                            this.openSpotifyLink(dialog.find('#open-url-input').value);
+                            return true;
+                        } catch (error) {
+                            dialog.find('.xp-dialog-error').textContent = error.message;
+                            return false;
+                        }
+                    }
+                },
+                { label: 'Cancel' }
+            ]
+        });
+
+        dialog.open();
+
+        const input = dialog.find('#open-url-input');
+        const list = dialog.find('#open-url-recent');
+        recent.forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.uri;
+            option.textContent = `${item.type.charAt(0).toUpperCase()}${item.type.slice(1)} - ${item.uri}`;
+            list.appendChild(option);
+        });
+        list.disabled = recent.length === 0;
+
+        list.addEventListener('change', () => {
+            input.value = list.value;
+        });
+        list.addEventListener('dblclick', () => {
+            if (!list.value) return;
+            try {
+                this.openSpotifyLink(list.value);
+                dialog.close();
+            } catch (error) {
+                dialog.find('.xp-dialog-error').textContent = error.message;
+            }
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                dialog.element.querySelector('.xp-dialog-buttons button.default').click();
+            }
+        });
+
+        return dialog;
+    }
+
     setupSpotifyAPI() {
+        // The page markup embeds the default track, ?uri= or the last opened item replace it
+        const startLink = SpotifyLink.getStartLink();
+        const embed = document.getElementById('spotify-player');
+        if (embed && !embed.src.startsWith(startLink.embedUrl.split('?')[0])) {
+            embed.src = startLink.embedUrl;
+        }
+        
         // Define the onSpotifyIframeApiReady callback function
         window.onSpotifyIframeApiReady = (IFrameAPI) => {
             console.log('Spotify iframe API is ready');
@@ -253,11 +1144,8 @@ class Visualizer {
                 // Try to attach to the existing iframe
                 try {
                     IFrameAPI.createController(existingIframe, {}, (controller) => {
-                        this.spotifyController = controller;
                         console.log('Successfully attached to existing iframe');
-                        
-                        // Listen for playback updates
-                        this.setupControllerListeners(controller);
+                        this.attachSpotifyController(controller);
                     });
                 } catch (error) {
                     console.error('Failed to attach to existing iframe:', error);
@@ -270,7 +1158,7 @@ class Visualizer {
                 
                 // Options for creating a new embed
                 const options = {
-                    uri: 'spotify:track:3oBVv54hTMSYXXJGxO5JxJ',
+                    uri: SpotifyLink.getStartLink().uri,
                     width: '100%',
                     height: '152px'
                 };
@@ -278,13 +1166,8 @@ class Visualizer {
                 try {
                     // Create the controller with a new iframe
                     IFrameAPI.createController(element, options, (controller) => {
-                        // Store the controller reference
-                        this.spotifyController = controller;
-                        
                         console.log('Spotify controller created successfully');
-                        
-                        // Listen for playback updates
-                        this.setupControllerListeners(controller);
+                        this.attachSpotifyController(controller);
                     });
                 } catch (error) {
                     console.error('Failed to create Spotify controller:', error);
@@ -304,9 +1187,6 @@ class Visualizer {
             document.head.appendChild(script);
         }
         
-        // Setup direct event listeners on the iframe
-        this.setupDirectIframeListeners();
-        
         // Fallback: Check if we need to create a direct embed
         setTimeout(() => {
             const spotifyEmbed = document.querySelector('#spotify-embed-iframe iframe, #spotify-player');
@@ -315,242 +1195,551 @@ class Visualizer {
                 this.createFallbackSpotifyEmbed(document.querySelector('.player-container'));
             }
         }, 2000);
-        
-        // Keep the existing message event listener as a fallback
-        window.addEventListener('message', (event) => {
-            try {
-                // Check if the message is from Spotify
-                if (event.origin.includes('spotify.com')) {
-                    console.log('Received message from Spotify:', event.data);
-                    
-                    // Check if it contains playback data
-                    if (event.data && typeof event.data === 'object') {
-                        // For Spotify Web Playback SDK
-                        if (event.data.type === 'player_state_changed') {
-                            this.intensity = !event.data.payload.paused ? 1.0 : 0.5;
-                            this.updatePlaybackStatus(!event.data.payload.paused);
-                            console.log('Playback status updated via SDK:', !event.data.payload.paused);
+    }
+    
+    /**
+     * Follow a Spotify IFrame API controller
+     * @param {Object} controller - Controller from IFrameAPI.createController
+     */
+    attachSpotifyController(controller) {
+        this.spotifyController = controller;
+        this.players.spotify.attach(controller);
+    }
+
+    /**
+     * Make a player the one the controls act on, pausing the previous one
+     * @param {PlayerAdapter} player
+     */
+    setActivePlayer(player) {
+        if (player === this.player) return;
+
+        const previous = this.player;
+        this.player = player;
+        if (previous.getState().isPlaying) {
+            previous.pause();
+        }
+    }
+
+    /**
+     * Single entry point for play state, whichever player it comes from
+     * @param {PlayerAdapter} player - Player that changed
+     * @param {Object} state - Its new state
+     */
+    handlePlayerState(player, state) {
+        // Only one source plays at a time, the one that starts takes over
+        if (state.isPlaying && player !== this.player) {
+            this.setActivePlayer(player);
+        }
+        // The paused player's updates don't concern the controls
+        if (player !== this.player) return;
+
+        if (player === this.players.local) {
+            if (state.isPlaying) {
+                this.showLocalAudioStatus(this.audioSource.fileName);
+            }
+        } else {
+            // Keep the analysis timeline on the reported position
+            this.syncTrackAnalysis(state);
+        }
+
+        if (state.uri && state.uri !== this.metadataUri) {
+            this.loadNowPlaying(player, state.uri);
+        }
+        if (this.sharedMoment) {
+            this.seekSharedMoment(player, state);
+        }
+        this.lyrics.setTrack(state.uri);
+        this.lyrics.sync(state.position, !state.isPlaying || state.isBuffering);
+        this.updateMediaSessionPosition(state);
+
+        this.playback.report(state, player.name);
+    }
+
+    /**
+     * Link to the current position, when a Spotify item is playing
+     * @returns {{url: string, uri: string, position: number}|null}
+     */
+    getMoment() {
+        const state = this.player.getState();
+        const link = SpotifyLink.tryParse(state.uri);
+        if (!link || this.playback.state === 'idle') return null;
+
+        return { url: ShareLink.forMoment(link.uri, state.position), uri: link.uri, position: state.position };
+    }
+
+    /**
+     * Compose a dedication before sharing
+     * Where navigator.share exists the card is made here, sharing needs the
+     * Share click and waiting for the track lookup would use it up
+     * @returns {Promise<Object|null>} - { url, text, uri, message, name, card } to share, null when cancelled
+     */
+    openDedicationDialog() {
+        const moment = this.getMoment();
+        const uri = moment ? moment.uri : (SpotifyLink.tryParse(this.players.spotify.getState().uri) || SpotifyLink.getStartLink()).uri;
+
+        return new Promise(resolve => {
+            let result = null;
+            let metadata = null;
+            const dialog = new XPDialog({
+                title: 'Ti penso',
+                width: 380,
+                className: 'dedication-dialog',
+                content: `
+                    <div class="field-row-stacked">
+                        <label for="dedication-message">Message</label>
+                        <textarea id="dedication-message" rows="4" maxlength="${ShareLink.MAX_MESSAGE_LENGTH}" placeholder="Ti penso..."></textarea>
+                    </div>
+                    <div class="field-row-stacked">
+                        <label for="dedication-name">From</label>
+                        <input type="text" id="dedication-name" maxlength="${ShareLink.MAX_NAME_LENGTH}" placeholder="Your name (optional)">
+                    </div>
+                    <div class="field-row-stacked">
+                        <label for="dedication-preset">Scene</label>
+                        <select id="dedication-preset"></select>
+                    </div>
+                    <p class="xp-dialog-message dedication-track"></p>
+                    <div class="field-row dedication-moment">
+                        <input type="checkbox" id="dedication-from-moment" checked>
+                        <label for="dedication-from-moment"></label>
+                    </div>
+                    <p class="xp-dialog-error"></p>
+                `,
+                buttons: [
+                    {
+                        label: 'Share',
+                        isDefault: true,
+                        action: async (dialog) => {
+                            const message = dialog.find('#dedication-message').value.trim();
+                            const name = dialog.find('#dedication-name').value.trim();
+                            const position = moment && dialog.find('#dedication-from-moment').checked ? moment.position : null;
+                            this.saveSenderName(name);
+
+                            try {
+                                result = {
+                                    url: message
+                                        ? await ShareLink.forDedication({ uri, position, message, name, presetId: dialog.find('#dedication-preset').value })
+                                        : (position === null ? `${ShareLink.getPageUrl()}?${new URLSearchParams({ uri })}` : moment.url),
+                                    text: position === null
+                                        ? 'Ti penso - mentre ascolto:'
+                                        : `Ti penso - mentre ascolto (${ShareLink.formatTime(position)}):`,
+                                    uri,
+                                    message,
+                                    name,
+                                    card: null
+                                };
+                            } catch (error) {
+                                console.error('Could not create the dedication link:', error);
+                                dialog.find('.xp-dialog-error').textContent = 'Could not create the link, try a shorter message';
+                                return false;
+                            }
+
+                            // Phones get a picture of the visualizer along with the link
+                            if (navigator.share) {
+                                try {
+                                    result.card = await this.createShareCard({ uri, message, name, metadata });
+                                } catch (error) {
+                                    console.warn('Could not create the share card:', error);
+                                }
+                            }
+                            return true;
                         }
-                        // For Spotify Embed API
-                        else if (event.data.type === 'playback_update') {
-                            this.intensity = !event.data.isPaused ? 1.0 : 0.5;
-                            this.updatePlaybackStatus(!event.data.isPaused);
-                            console.log('Playback status updated via Embed API:', !event.data.isPaused);
+                    },
+                    { label: 'Cancel' }
+                ]
+            });
+
+            dialog.onClose = () => resolve(result);
+            dialog.open();
+
+            dialog.find('#dedication-name').value = this.getSenderName();
+
+            const presetSelect = dialog.find('#dedication-preset');
+            this.presetRegistry.list().forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.name;
+                presetSelect.appendChild(option);
+            });
+            presetSelect.value = this.currentPresetId || this.presetRegistry.defaultPresetId;
+
+            const track = dialog.find('.dedication-track');
+            track.textContent = `Track: ${uri}`;
+            TrackMetadata.fromSpotify(uri).then(found => {
+                metadata = found;
+                track.textContent = `Track: ${TrackMetadata.describe(metadata)}`;
+            });
+
+            if (moment) {
+                dialog.find('label[for="dedication-from-moment"]').textContent = `Start at ${ShareLink.formatTime(moment.position)}`;
+            } else {
+                dialog.find('.dedication-moment').style.display = 'none';
+            }
+        });
+    }
+
+    /**
+     * Share dialog for desktops: the link, and a QR code to hand it to a phone
+     * Also where navigator.share wasn't allowed, with the card to save
+     * @param {Object} share - { url, card } from openDedicationDialog, card is optional
+     * @returns {XPDialog}
+     */
+    openShareDialog({ url, card = null }) {
+        let qr = null;
+        const dialog = new XPDialog({
+            title: 'Share',
+            width: 340,
+            className: 'share-dialog',
+            content: `
+                <p class="xp-dialog-message">Scan the code with a phone, or copy the link.</p>
+                <div class="share-qr"></div>
+                <div class="field-row-stacked">
+                    <label for="share-url">Link</label>
+                    <input type="text" id="share-url" readonly>
+                </div>
+                <p class="xp-dialog-message share-status"></p>
+            `,
+            buttons: [
+                {
+                    label: 'Copy link',
+                    action: async (dialog) => {
+                        const input = dialog.find('#share-url');
+                        let copied = false;
+                        try {
+                            await navigator.clipboard.writeText(url);
+                            copied = true;
+                        } catch (error) {
+                            // Older browsers copy from the selected field
+                            input.select();
+                            copied = document.execCommand('copy');
                         }
-                        // Generic data
-                        else if (event.data.playing !== undefined) {
-                            this.intensity = event.data.playing ? 1.0 : 0.5;
-                            this.updatePlaybackStatus(event.data.playing);
-                            console.log('Playback status updated via generic event:', event.data.playing);
+                        dialog.find('.share-status').textContent = copied
+                            ? 'Link copied to clipboard!'
+                            : 'Could not copy the link, select it and press Ctrl+C.';
+                        return false;
+                    }
+                },
+                {
+                    label: 'Save QR as PNG',
+                    action: async () => {
+                        if (qr) {
+                            ShareCard.download(await ShareCard.toFile(QRCode.toCanvas(qr, { scale: 10 }), 'ti-penso-qr.png'));
                         }
+                        return false;
                     }
-                }
-            } catch (error) {
-                console.error('Error processing Spotify message:', error);
-            }
+                },
+                card ? {
+                    label: 'Save picture',
+                    action: () => {
+                        ShareCard.download(card);
+                        return false;
+                    }
+                } : null,
+                { label: 'Close', isDefault: true }
+            ].filter(Boolean)
         });
+        dialog.open();
+
+        const input = dialog.find('#share-url');
+        input.value = url;
+        input.addEventListener('focus', () => input.select());
+
+        try {
+            qr = QRCode.encode(url);
+            const scale = Math.max(2, Math.floor(232 / (qr.size + 8)));
+            dialog.find('.share-qr').appendChild(QRCode.toCanvas(qr, { scale }));
+        } catch (error) {
+            dialog.find('.share-qr').textContent = 'This link is too long for a QR code, copy it instead.';
+        }
+
+        return dialog;
     }
-    
-    // Setup controller event listeners
-    setupControllerListeners(controller) {
-        // Listen for playback updates
-        controller.addListener('playback_update', (e) => {
-            // Update the playing status based on the isPaused property
-            this.isPlaying = !e.data.isPaused;
-            
-            // Update the intensity for visualization
-            this.intensity = this.isPlaying ? 1.0 : 0.5;
-            
-            // Update the UI to reflect the current status
-            this.updatePlaybackStatus(this.isPlaying);
-            
-            console.log('Playback status updated from controller:', 
-                this.isPlaying ? 'Playing' : 'Paused', 
-                'Position:', e.data.position, 
-                'Duration:', e.data.duration);
+
+    /**
+     * Copy of the current frame, from the Media Player's visualization while it runs
+     * @returns {HTMLCanvasElement}
+     */
+    captureFrame() {
+        const modal = this.modalVisualizer;
+        let canvas = modal && modal.isPlaying && modal.material ? modal.canvas : null;
+        if (!canvas) {
+            // Without preserveDrawingBuffer the frame can only be read right after rendering it
+            this.redraw();
+            canvas = this.renderer.domElement;
+        }
+        const copy = document.createElement('canvas');
+        copy.width = canvas.width;
+        copy.height = canvas.height;
+        copy.getContext('2d').drawImage(canvas, 0, 0);
+        return copy;
+    }
+
+    /**
+     * PNG card of the current frame for a share, see shareCard.js
+     * @param {Object} share - From openDedicationDialog, metadata is looked up when missing
+     * @returns {Promise<File>}
+     */
+    async createShareCard({ uri, message = '', name = '', metadata = null }) {
+        const frame = this.captureFrame();
+        metadata = metadata || await TrackMetadata.fromSpotify(uri);
+        return ShareCard.toFile(ShareCard.draw({ frame, title: TrackMetadata.describe(metadata), message, name }));
+    }
+
+    getSenderName() {
+        try {
+            return localStorage.getItem('wmp_sender_name') || '';
+        } catch (e) {
+            return '';
+        }
+    }
+
+    saveSenderName(name) {
+        try {
+            localStorage.setItem('wmp_sender_name', name);
+        } catch (e) {
+            console.warn('Could not save the sender name');
+        }
+    }
+
+    // The page was opened from a shared link: start on the sender's scene and say what was sent
+    async showSharedLink() {
+        const dedication = await ShareLink.getDedication();
+        if (dedication && dedication.error) {
+            XPDialog.alert('Ti penso', dedication.error);
+        } else if (dedication) {
+            if (dedication.presetId && this.presetRegistry.has(dedication.presetId)) {
+                this.loadPreset(dedication.presetId, { save: false });
+            }
+            // The query only says where the embed starts, the checked fragment wins
+            if (dedication.uri !== SpotifyLink.getStartLink().uri) {
+                this.sharedMoment = null;
+                this.openSpotifyLink(dedication.uri);
+            }
+            this.showSharedDialog(dedication.uri, dedication);
+            return;
+        }
+
+        if (this.sharedMoment) {
+            this.showSharedDialog(this.sharedMoment.uri);
+        }
+    }
+
+    /**
+     * Tell the recipient of a link what they were sent
+     * @param {string} uri - Shared Spotify item
+     * @param {Object|null} dedication - From ShareLink.getDedication
+     */
+    showSharedDialog(uri, dedication = null) {
+        const moment = this.sharedMoment;
+        const time = moment ? ShareLink.formatTime(moment.position) : null;
+        const dialog = new XPDialog({
+            title: 'Ti penso',
+            className: 'shared-moment-dialog',
+            sound: 'tada',
+            content: `
+                <p class="xp-dialog-message shared-moment-heading"></p>
+                <p class="dedication-message"></p>
+                <p class="shared-moment-track"></p>
+            `,
+            buttons: [
+                {
+                    label: time ? `Play from ${time}` : 'Play',
+                    isDefault: true,
+                    action: () => {
+                        if (!this.playback.isPlaying()) {
+                            this.togglePlayback();
+                        }
+                    }
+                },
+                { label: 'Close' }
+            ]
         });
-        
-        // Also listen for ready event
-        controller.addListener('ready', () => {
-            console.log('Spotify player is ready');
-            
-            // Default to paused state at init
-            this.updatePlaybackStatus(false);
+        dialog.open();
+
+        const heading = dialog.find('.shared-moment-heading');
+        const message = dialog.find('.dedication-message');
+        if (dedication) {
+            heading.textContent = dedication.name ? `${dedication.name} is thinking of you:` : 'Someone is thinking of you:';
+            message.textContent = dedication.message;
+        } else {
+            heading.textContent = 'Someone shared this moment with you:';
+            message.remove();
+        }
+
+        const link = SpotifyLink.parse(uri);
+        const suffix = time ? ` at ${time}` : '';
+        const track = dialog.find('.shared-moment-track');
+        track.textContent = `${link.type.charAt(0).toUpperCase()}${link.type.slice(1)}${suffix}`;
+        TrackMetadata.fromSpotify(uri).then(metadata => {
+            track.textContent = `${TrackMetadata.describe(metadata)}${suffix}`;
         });
-        
-        // Listen for errors
-        controller.addListener('error', (e) => {
-            console.error('Spotify controller error:', e);
+    }
+
+    /**
+     * Jump to the shared position once the player has the item
+     * The embed may ignore seeks before it plays, so the first playing update is checked too
+     * @param {PlayerAdapter} player
+     * @param {Object} state
+     */
+    seekSharedMoment(player, state) {
+        const moment = this.sharedMoment;
+        if (player !== this.players.spotify || state.uri !== moment.uri || state.isLoading) return;
+
+        if (!moment.hasSeeked) {
+            moment.hasSeeked = true;
+            player.seek(moment.position);
+        }
+
+        if (state.isPlaying) {
+            this.sharedMoment = null;
+            if (Math.abs(state.position - moment.position) > 2000) {
+                player.seek(moment.position);
+            }
+        }
+    }
+
+    /**
+     * Look up the metadata of the item a player switched to
+     * @param {PlayerAdapter} player
+     * @param {string} uri - The player's uri
+     */
+    async loadNowPlaying(player, uri) {
+        this.metadataUri = uri;
+        const metadata = player === this.players.local
+            ? await TrackMetadata.fromFile(this.audioSource.file)
+            : await TrackMetadata.fromSpotify(uri);
+
+        // Another item started while this one was looked up
+        if (this.metadataUri !== uri) return;
+        this.showNowPlaying(metadata);
+    }
+
+    /**
+     * Show what is playing in the title bar, the taskbar and the Media Session
+     * @param {Object} metadata - From TrackMetadata
+     */
+    showNowPlaying(metadata) {
+        // Cover art read from a local file is an object URL
+        const previousArtwork = this.nowPlaying && this.nowPlaying.artwork;
+        if (previousArtwork && previousArtwork.startsWith('blob:') && previousArtwork !== metadata.artwork) {
+            URL.revokeObjectURL(previousArtwork);
+        }
+        this.nowPlaying = metadata;
+
+        const titleText = document.querySelector('#wmp-window .title-bar-text');
+        if (titleText) {
+            titleText.textContent = `${TrackMetadata.describe(metadata)} - Media Player`;
+            titleText.title = this.getNowPlayingTooltip();
+        }
+
+        if ('mediaSession' in navigator && window.MediaMetadata) {
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title: metadata.title,
+                artist: metadata.artist,
+                album: metadata.album,
+                artwork: metadata.artwork ? [{ src: metadata.artwork }] : []
+            });
+        }
+
+        this.dispatchEvent('metadata-change', metadata);
+    }
+
+    // Title, artist and album on separate lines
+    getNowPlayingTooltip() {
+        if (!this.nowPlaying) return 'Media Player';
+        return [this.nowPlaying.title, this.nowPlaying.artist, this.nowPlaying.album].filter(Boolean).join('\n');
+    }
+
+    // OS media keys and lock screens control the active player and the queue
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        const handlers = {
+            play: () => {
+                if (!this.playback.isPlaying()) this.togglePlayback();
+            },
+            pause: () => {
+                if (this.playback.isPlaying()) this.togglePlayback();
+            },
+            nexttrack: () => this.queue.next(),
+            previoustrack: () => this.queue.previous(),
+            seekto: (details) => this.player.seek(details.seekTime * 1000)
+        };
+
+        Object.keys(handlers).forEach(action => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handlers[action]);
+            } catch (e) {
+                console.warn(`Media Session action ${action} is not supported`);
+            }
         });
     }
 
-    // Setup direct event listeners on the iframe
-    setupDirectIframeListeners() {
-        // Try to listen for iframe events directly
-        setTimeout(() => {
-            const iframe = document.querySelector('#spotify-player, #spotify-embed-iframe iframe');
-            if (iframe) {
-                console.log('Setting up iframe listeners');
-                
-                // Set up a periodic check for playback state
-                let lastIframeClickTime = 0;
-                let lastPlaybackState = this.isPlaying;
-                
-                // Add click listener to iframe to detect user interactions
-                iframe.addEventListener('load', () => {
-                    console.log('Spotify iframe loaded, setting up listeners');
-                    
-                    // Try to register when user clicks on the iframe
-                    iframe.addEventListener('click', () => {
-                        lastIframeClickTime = Date.now();
-                        console.log('Iframe clicked, will check for status change');
-                        
-                        // After a click, check if playback state changed several times
-                        const checkForChanges = (checksLeft) => {
-                            if (checksLeft <= 0) return;
-                            
-                            setTimeout(() => {
-                                // Use public Spotify API check if available
-                                if (this.spotifyController) {
-                                    try {
-                                        this.spotifyController.getPlaybackState().then(state => {
-                                            const isPlaying = state && !state.isPaused;
-                                            if (isPlaying !== lastPlaybackState) {
-                                                console.log('Playback state changed from iframe click:', isPlaying);
-                                                this.updatePlaybackStatus(isPlaying);
-                                                this.intensity = isPlaying ? 1.0 : 0.5;
-                                                lastPlaybackState = isPlaying;
-                                            }
-                                        }).catch(err => {
-                                            console.warn('Error checking playback state:', err);
-                                        });
-                                    } catch (e) {
-                                        console.warn('Error accessing controller:', e);
-                                    }
-                                }
-                                
-                                // Continue checking
-                                checkForChanges(checksLeft - 1);
-                            }, 300); // Check every 300ms
-                        };
-                        
-                        // Start checking for changes
-                        checkForChanges(5); // Check 5 times over 1.5 seconds
-                    });
-                });
-                
-                // Set up a MutationObserver to detect DOM changes in the iframe
-                try {
-                    // Monitor the iframe parent for changes that might indicate playback status
-                    const parentObserver = new MutationObserver((mutations) => {
-                        for (const mutation of mutations) {
-                            if (mutation.type === 'attributes' || mutation.type === 'childList') {
-                                // Check if the change might be related to playback
-                                const now = Date.now();
-                                if (now - lastIframeClickTime < 3000) { // If recent click
-                                    console.log('Spotify iframe changed after click');
-                                    
-                                    // Wait just a bit for the state to settle
-                                    setTimeout(() => {
-                                        // Try to use the controller
-                                        if (this.spotifyController) {
-                                            try {
-                                                this.spotifyController.getPlaybackState().then(state => {
-                                                    const isPlaying = state && !state.isPaused;
-                                                    if (isPlaying !== lastPlaybackState) {
-                                                        console.log('Playback state changed after mutation:', isPlaying);
-                                                        this.updatePlaybackStatus(isPlaying);
-                                                        this.intensity = isPlaying ? 1.0 : 0.5;
-                                                        lastPlaybackState = isPlaying;
-                                                    }
-                                                }).catch(err => {});
-                                            } catch (e) {}
-                                        }
-                                    }, 200);
-                                }
-                            }
-                        }
-                    });
-                    
-                    // Observe the iframe parent element
-                    const container = document.querySelector('.player-container');
-                    if (container) {
-                        parentObserver.observe(container, { 
-                            attributes: true, 
-                            childList: true, 
-                            subtree: true 
-                        });
-                    }
-                } catch (e) {
-                    console.warn('Could not set up MutationObserver:', e);
-                }
-                
-                // Try to monitor iframe interactions
-                const iframeDocument = iframe.contentDocument || iframe.contentWindow?.document;
-                if (iframeDocument) {
-                    try {
-                        // Try to attach click listeners to the iframe content
-                        iframeDocument.addEventListener('click', (e) => {
-                            console.log('Iframe click detected');
-                            
-                            // Check clicks on play/pause button - very basic detection
-                            setTimeout(() => {
-                                // After a small delay, check if playback might have started
-                                // by observing if any audio elements are playing
-                                const isAnyAudioPlaying = Array.from(iframeDocument.querySelectorAll('audio, video'))
-                                    .some(media => !media.paused);
-                                
-                                if (isAnyAudioPlaying !== this.isPlaying) {
-                                    console.log('Audio state change detected in iframe:', isAnyAudioPlaying);
-                                    this.updatePlaybackStatus(isAnyAudioPlaying);
-                                    this.intensity = isAnyAudioPlaying ? 1.0 : 0.5;
-                                }
-                            }, 500);
-                        });
-                    } catch (e) {
-                        console.warn('Could not attach listeners to iframe content:', e);
-                    }
-                }
-                
-                // Use MutationObserver as another way to detect changes
-                try {
-                    const observer = new MutationObserver((mutations) => {
-                        // Look for changes that might indicate playback status change
-                        console.log('Iframe mutation detected');
-                        
-                        // Check if play button classes changed
-                        const hasPlayingClass = iframe.classList.contains('playing') || 
-                                               iframe.classList.contains('active');
-                        
-                        if (hasPlayingClass !== this.isPlaying) {
-                            console.log('Play state change detected via class:', hasPlayingClass);
-                            this.updatePlaybackStatus(hasPlayingClass);
-                            this.intensity = hasPlayingClass ? 1.0 : 0.5;
-                        }
-                    });
-                    
-                    observer.observe(iframe, { 
-                        attributes: true, 
-                        childList: false, 
-                        subtree: false,
-                        attributeFilter: ['class'] 
-                    });
-                } catch (e) {
-                    console.warn('Could not set up MutationObserver:', e);
-                }
-            }
-        }, 2000);
+    updateMediaSessionPosition(state) {
+        if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState || !(state.duration > 0)) return;
+
+        try {
+            navigator.mediaSession.setPositionState({
+                duration: state.duration / 1000,
+                position: Math.min(state.position, state.duration) / 1000,
+                playbackRate: 1
+            });
+        } catch (e) {
+            // Positions are reported before the duration is known now and then
+        }
+    }
+
+    /**
+     * Apply a playback state machine transition, dispatched once per change
+     * @param {Object} change - { state, previousState, source, isPending, isRollback }
+     */
+    handlePlaybackChange(change) {
+        this.isPlaying = this.playback.isPlaying();
+        this.intensity = this.isPlaying ? 1.0 : 0.5;
+        this.updatePlaybackStatus();
+
+        console.log(`Playback ${change.previousState} -> ${change.state} (${change.source}${change.isPending ? ', waiting for the player' : ''})`);
+        this.dispatchEvent('playback-update', Object.assign(this.player.getState(), change, { isPlaying: this.isPlaying }));
+
+        if ('mediaSession' in navigator) {
+            navigator.mediaSession.playbackState = this.isPlaying ? 'playing' : 'paused';
+        }
+
+        // Auto-advance through the Now Playing List, only when its own item ended
+        const current = this.queue.getCurrent();
+        const endedUri = this.players.spotify.loadedUri || this.players.spotify.getState().uri;
+        if (change.state === 'ended' && this.player === this.players.spotify && current && current.uri === endedUri) {
+            this.queue.next();
+        }
+    }
+
+    /**
+     * Load the analysis of the playing track and sync it to the reported position
+     * @param {Object} state - Player state
+     */
+    syncTrackAnalysis(state) {
+        const trackId = TrackAnalysisTimeline.trackIdFromUri(state.uri) || this.getEmbeddedTrackId();
+        if (trackId && trackId !== this.trackAnalysis.trackId) {
+            this.trackAnalysis.load(trackId);
+            this.beatClock.setTrack(trackId);
+        }
+        this.trackAnalysis.sync(state.position, state.duration, !state.isPlaying || state.isBuffering);
+    }
+
+    // Track id from the src of the embedded player
+    getEmbeddedTrackId() {
+        const iframe = document.querySelector('#spotify-player, #spotify-embed-iframe iframe');
+        return iframe ? TrackAnalysisTimeline.trackIdFromUri(iframe.src) : null;
     }
 
     // Create a direct iframe embed as a fallback
-    createFallbackSpotifyEmbed(container) {
+    createFallbackSpotifyEmbed(container, link = SpotifyLink.getStartLink()) {
         if (!container) return;
         
         container.innerHTML = `
             <iframe 
                 id="spotify-player"
                 style="border-radius:12px; display: block; position: relative; z-index: 20; width: 100%; height: 152px;"
-                src="https://open.spotify.com/embed/track/3oBVv54hTMSYXXJGxO5JxJ?utm_source=generator" 
+                src="${link.embedUrl}" 
                 frameBorder="0" 
                 allowfullscreen="" 
                 allow="autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture" 
@@ -561,153 +1750,21 @@ class Visualizer {
         console.log('Created fallback Spotify embed');
     }
     
-    // Toggle play/pause using the Spotify API
+    // Toggle play/pause on the active player, its reports confirm or roll back the new state
     togglePlayback() {
-        // Get current playback state
-        const isCurrentlyPlaying = this.isPlaying;
-        console.log("Current playback state:", isCurrentlyPlaying);
-        
-        // Determine new playback state
-        const newPlaybackState = !isCurrentlyPlaying;
-        
-        // Use the Spotify controller if available
-        if (this.spotifyController) {
-            try {
-                if (newPlaybackState) {
-                    // Explicitly call play on the controller
-                    console.log("Sending PLAY command to Spotify controller");
-                    this.spotifyController.playFromClickEvent(); // Use the play from click method
-                } else {
-                    // Explicitly call pause on the controller
-                    console.log("Sending PAUSE command to Spotify controller");
-                    this.spotifyController.pause();
-                }
-            } catch (e) {
-                console.warn("Spotify playback command failed, trying toggle:", e);
-                try {
-                    // Fallback to toggle
-                    this.spotifyController.toggle();
-                } catch (err) {
-                    console.error("All Spotify commands failed:", err);
-                }
-            }
-        } else {
-            // If no controller, try to find the iframe
-            const spotifyFrame = document.querySelector('#spotify-embed-iframe iframe');
-            if (spotifyFrame) {
-                try {
-                    // Try sending a message to the iframe
-                    const message = newPlaybackState ? "play" : "pause";
-                    console.log(`Sending ${message} message to Spotify iframe`);
-                    spotifyFrame.contentWindow.postMessage({ command: message }, "*");
-                    
-                    // Try clicking the play button directly
-                    setTimeout(() => {
-                        try {
-                            // Try to access the iframe content to click the play button
-                            const playButton = spotifyFrame.contentDocument.querySelector('.play-pause-btn');
-                            if (playButton) {
-                                console.log("Found play button, clicking it");
-                                playButton.click();
-                            } else {
-                                console.log("Play button not found in iframe");
-                            }
-                        } catch (err) {
-                            console.warn("Error accessing iframe content:", err);
-                        }
-                    }, 100);
-                } catch (e) {
-                    console.error("Error controlling Spotify iframe:", e);
-                }
-            }
-        }
-        
-        // Update our local playback state
-        this.isPlaying = newPlaybackState;
-        console.log("Updated playback state to:", this.isPlaying);
-        
-        // Update the status text display
-        this.updatePlaybackStatus();
-        
-        // Update modal visualizer if available
-        if (this.modalVisualizer) {
-            this.modalVisualizer.updatePlaybackStatus(this.isPlaying);
+        const action = this.playback.isPlaying() ? 'pause' : 'play';
+        if (!this.playback.request(action === 'play' ? 'playing' : 'paused', 'user')) {
+            return this.isPlaying;
         }
-        
-        // Notify listeners about playback change
-        this.dispatchEvent('playback-update', { isPlaying: this.isPlaying });
-        
-        return this.isPlaying;
-    }
-    
-    setupSpotifyListener() {
-        // This method is replaced by setupSpotifyAPI, but keep for backwards compatibility
-        
-        // Add a more reliable detection method using iframe interaction
-        const spotifyIframe = document.querySelector('.player-container iframe');
-        if (!spotifyIframe) return;
-        
-        // Create an overlay to capture iframe interactions
-        const interactionOverlay = document.createElement('div');
-        interactionOverlay.style.position = 'absolute';
-        interactionOverlay.style.top = '0';
-        interactionOverlay.style.left = '0';
-        interactionOverlay.style.width = '100%';
-        interactionOverlay.style.height = '100%';
-        interactionOverlay.style.zIndex = '1';
-        interactionOverlay.style.cursor = 'pointer';
-        interactionOverlay.style.opacity = '0';  // Make it fully transparent
-        
-        // Make it transparent to clicks so they pass through to the iframe
-        interactionOverlay.style.pointerEvents = 'none';
-        
-        // Add it as a sibling to the iframe with relative positioning on the container
-        const playerContainer = document.querySelector('.player-container');
-        if (playerContainer) {
-            playerContainer.style.position = 'relative';
-            playerContainer.appendChild(interactionOverlay);
-        }
-        
-        // Watch for visibility changes (important for playback status)
-        document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'visible') {
-                // When tab becomes visible again, check if playback status can be inferred
-                this.checkPlaybackStatus();
+
+        const player = this.player;
+        // Local audio tells right away when the browser blocked playback
+        Promise.resolve(player[action]()).then(started => {
+            if (started === false) {
+                this.playback.rollback(`${player.name} rejected`);
             }
         });
-    }
-    
-    handleIframeInteraction() {
-        // If we have the Spotify controller, use it directly
-        if (this.spotifyController) {
-            this.togglePlayback();
-            return;
-        }
-        
-        // Legacy fallback if the API integration isn't working
-        // Record the time of interaction
-        this.lastInteractionTime = Date.now();
-        
-        // Clear any existing timeout
-        if (this.playbackToggleTimeout) {
-            clearTimeout(this.playbackToggleTimeout);
-        }
-        
-        // Schedule a status toggle with a short delay
-        this.playbackToggleTimeout = setTimeout(() => {
-            // Toggle the playback status
-            this.isPlaying = !this.isPlaying;
-            this.updatePlaybackStatus(this.isPlaying);
-            
-            // Update visualization intensity
-            this.intensity = this.isPlaying ? 1.0 : 0.5;
-            
-            // Send a message that other components might be listening for
-            window.postMessage({
-                type: 'playback_update',
-                playing: this.isPlaying
-            }, '*');
-        }, 300); // Short delay to avoid processing multiple rapid clicks
+        return this.isPlaying;
     }
     
     createStatusDisplay() {
@@ -727,20 +1784,25 @@ class Visualizer {
             }
         }
         
-        // Initial status is "Paused"
-        this.updatePlaybackStatus(false);
+        this.updatePlaybackStatus();
     }
     
-    updatePlaybackStatus(newState = null) {
-        // If a new state is provided, update the current state
-        if (newState !== null) {
-            this.isPlaying = newState;
-        }
+    // Show the playback state machine's state in the controls
+    updatePlaybackStatus() {
+        const labels = {
+            idle: 'Stopped',
+            loading: 'Loading...',
+            playing: 'Playing',
+            paused: 'Paused',
+            buffering: 'Buffering...',
+            ended: 'Stopped',
+            error: 'Error'
+        };
 
         // Update the visual indicator
         const statusElement = document.getElementById('playback-status');
         if (statusElement) {
-            statusElement.textContent = this.isPlaying ? 'Playing' : 'Paused';
+            statusElement.textContent = labels[this.playback.state];
             statusElement.className = this.isPlaying ? 'status-playing' : 'status-paused';
         }
 
@@ -757,22 +1819,6 @@ class Visualizer {
         if (this.modalVisualizer) {
             this.modalVisualizer.updatePlaybackStatus(this.isPlaying);
         }
-        
-        // Dispatch event for other components
-        this.dispatchEvent('playback-update', { isPlaying: this.isPlaying });
-    }
-    
-    checkPlaybackStatus() {
-        // This method tries to infer playback status when direct detection isn't possible
-        
-        // For now we just use the last known state, but this could be enhanced
-        // with additional heuristics like analyzing visualization patterns
-        
-        // If it's been more than 5 minutes since last interaction, assume stopped
-        const fiveMinutes = 5 * 60 * 1000;
-        if (Date.now() - this.lastInteractionTime > fiveMinutes && this.isPlaying) {
-            this.updatePlaybackStatus(false);
-        }
     }
 
     setupWindowsControls() {
@@ -997,9 +2043,11 @@ class Visualizer {
         const width = window.innerWidth;
         const height = window.innerHeight;
         this.renderer.setSize(width, height);
+        this.scheduler.requestFrame();
         
         if (this.material && this.material.uniforms) {
-            this.material.uniforms.iResolution.value.set(width, height);
+            // ShaderToy presets have a Vector3, z is the pixel aspect ratio
+            this.material.uniforms.iResolution.value.set(width, height, 1);
         }
         
         // Adjust the window position if it's off-screen after resize
@@ -1015,33 +2063,307 @@ class Visualizer {
         }
     }
 
+    // Join the shared frame loop, the clock ticks before the other visualizers draw
     animate() {
-        requestAnimationFrame(() => this.animate());
+        // The background restores first, the Media Player's textures come from it
+        this.scheduler.register('update', () => this.updateLoop(), FrameScheduler.ORDER.update, {
+            restore: () => this.restoreContext()
+        });
+        this.scheduler.register('background', () => this.drawLoop(), FrameScheduler.ORDER.background);
+        this.scheduler.start();
+    }
+    
+    updateLoop() {
+        // The export drives the uniforms until it is done
+        if (this.frameExporter.isExporting) return;
         
-        if (this.material && this.material.uniforms) {
-            const time = this.clock.getElapsedTime();
-            this.material.uniforms.iTime.value = time;
-            
-            // Combine base intensity with visualization style intensity
-            // Modified to always show the Bliss visualizer at full intensity
-            // regardless of play state
-            const combinedIntensity = this.intensity * this.visualizationIntensity;
-            
-            // Add subtle pulsing for more lively visualization
-            let pulseFactor = 1.0;
-            if (this.isPlaying) {
-                // Add a subtle pulsing effect that's more pronounced when playing
-                pulseFactor = 1.0 + 0.2 * Math.sin(time * 3.0);
+        // A deterministic render must look the same on any machine
+        if (!this.clock.isDeterministic()) {
+            this.quality.tick();
+        }
+        this.clock.tick();
+        this.updateSources(this.clock);
+        this.updateFrame(this.clock, this.isPlaying);
+    }
+    
+    drawLoop() {
+        // Cover what the other visualizers drew into the shared canvas
+        if (this.frameExporter.isExporting) {
+            this.redraw();
+            return;
+        }
+        
+        this.postProcessing.render(this.scene, this.camera, { delta: this.clock.delta });
+        // The frame can only be copied now, the recorder listens while capturing
+        this.dispatchEvent('frame');
+    }
+
+    /**
+     * Refresh the shared audio uniforms once per frame for every visualizer
+     * A deterministic clock only uses what follows from its time: live audio
+     * is left out, and the time is taken as the track position
+     * @param {RenderClock} clock - Clock of the frame
+     */
+    updateSources(clock) {
+        if (clock.isDeterministic()) {
+            this.trackAnalysis.update(clock.time);
+            this.beatClock.update(this.beatClock.anchorTime + clock.time * 1000);
+            this.lyrics.update(clock.time);
+            this.pulseSource = this.trackAnalysis.analysis ? 'analysis' : null;
+        } else {
+            this.audioSource.update();
+            this.trackAnalysis.update();
+            this.beatClock.update();
+            this.lyrics.update();
+            this.pulseSource = this.audioSource.isActive() ? 'audio'
+                : this.trackAnalysis.isActive() ? 'analysis'
+                : null;
+        }
+
+        if (!this.pulseSource && this.beatClock.isLocked) {
+            this.pulseSource = 'tempo';
+        }
+    }
+
+    /**
+     * Per-frame uniforms of the background
+     * @param {RenderClock} clock - Clock of the frame
+     * @param {boolean} isPlaying - Whether to pulse like music is playing
+     */
+    updateFrame(clock, isPlaying) {
+        if (!this.material || !this.material.uniforms) return;
+
+        const time = clock.time;
+        this.material.uniforms.iTime.value = time;
+        
+        // iFrame, iMouse, iDate... for presets imported from ShaderToy
+        ShaderToyImporter.update(this.material.uniforms, time, clock.delta, clock.isDeterministic() ? null : this.shaderToyMouse, clock);
+        
+        // Combine base intensity with visualization style intensity
+        // Modified to always show the Bliss visualizer at full intensity
+        // regardless of play state
+        const combinedIntensity = this.intensity * this.visualizationIntensity;
+        
+        // Add subtle pulsing for more lively visualization
+        const pulseFactor = isPlaying
+            ? this.getPulseFactor(time, 0.2)
+            // Still add some subtle movement even when not playing
+            : 1.0 + 0.1 * Math.sin(time * 1.5);
+        
+        // Always use high intensity for Bliss visualizer, regardless of play state
+        this.material.uniforms.iIntensity.value = combinedIntensity * pulseFactor;
+    }
+
+    /**
+     * Render frame N of the background offscreen, at an exact time and size
+     * Time is frame / fps on a fixed clock of its own, so the live view keeps
+     * running. Values smoothed across frames (beat decay, lyrics fade) depend
+     * on the offline frames rendered before, render in order for exact
+     * sequences; see renderOffline.
+     * @param {number} frame - Frame number
+     * @param {Object} options
+     * @param {number} options.width - Width in pixels, the canvas size by default
+     * @param {number} options.height - Height in pixels
+     * @param {number} options.fps - Frame rate the frame number counts in
+     * @param {boolean} options.isPlaying - Pulse like music is playing
+     * @returns {{width: number, height: number, pixels: Uint8Array}} - RGBA, rows from the top
+     */
+    renderFrame(frame, { width, height, fps, isPlaying = this.isPlaying } = {}) {
+        const canvas = this.renderer.domElement;
+        const clock = new RenderClock({ source: 'fixed', fps: fps || this.clock.fps });
+        clock.seek(frame);
+
+        return this.renderOffline(frame, () => {
+            this.updateSources(clock);
+            this.updateFrame(clock, isPlaying);
+            return Visualizer.renderToPixels(this.renderer, this.scene, this.camera, this.material,
+                width || canvas.width, height || canvas.height, this.getPostConfig());
+        });
+    }
+
+    /**
+     * Update the sources for an offline frame without touching the live ones
+     * Track analysis, tempo and lyrics continue from the previous offline
+     * frame and are put back the way the live view had them afterwards. A
+     * frame at or before the previous one starts the sequence over.
+     * @param {number} frame - Frame number
+     * @param {Function} render - Updates the sources and renders, its result is returned
+     */
+    renderOffline(frame, render) {
+        const live = this.getSourceState();
+        const offline = this.offlineSourceState && frame > this.offlineSourceState.frame ? this.offlineSourceState : null;
+        this.setSourceState(offline);
+        try {
+            return render();
+        } finally {
+            this.offlineSourceState = Object.assign(this.getSourceState(), { frame });
+            this.setSourceState(live);
+        }
+    }
+
+    getSourceState() {
+        return {
+            trackAnalysis: this.trackAnalysis.getFrameState(),
+            beatClock: this.beatClock.getFrameState(),
+            lyrics: this.lyrics.getFrameState(),
+            pulseSource: this.pulseSource
+        };
+    }
+
+    // null starts from scratch, like the first frame of a track
+    setSourceState(state) {
+        this.trackAnalysis.setFrameState(state && state.trackAnalysis);
+        this.beatClock.setFrameState(state && state.beatClock);
+        this.lyrics.setFrameState(state && state.lyrics);
+        this.pulseSource = state ? state.pulseSource : null;
+    }
+
+    /**
+     * Feedback and post passes of the current preset
+     * @returns {Object|null} - See postProcessing.js
+     */
+    getPostConfig() {
+        const preset = this.presetRegistry.get(this.currentPresetId);
+        return preset ? preset.post : null;
+    }
+
+    /**
+     * Rebuild the background after a WebGL context loss, see frameScheduler.js
+     * The quad and the material are created again around the current uniforms,
+     * so the scene goes on where it was, and the textures are uploaded again
+     */
+    restoreContext() {
+        this.textureCache.forEach(texture => {
+            texture.needsUpdate = true;
+        });
+
+        // Spectrum and lyrics keep their data, it only needs uploading
+        Object.values(this.getSharedUniforms()).forEach(uniform => {
+            if (uniform.value && uniform.value.isTexture) {
+                uniform.value.needsUpdate = true;
+            }
+        });
+
+        if (this.mesh) {
+            this.mesh.geometry.dispose();
+            this.mesh.geometry = new THREE.PlaneGeometry(2, 2);
+
+            // The uniforms are shared, not cloned, everything that updates them keeps working
+            const previous = this.mesh.material;
+            if (previous.isShaderMaterial) {
+                this.setMaterial(new THREE.ShaderMaterial({
+                    vertexShader: previous.vertexShader,
+                    fragmentShader: previous.fragmentShader,
+                    defines: Object.assign({}, previous.defines),
+                    uniforms: previous.uniforms
+                }));
             } else {
-                // Still add some subtle movement even when not playing
-                pulseFactor = 1.0 + 0.1 * Math.sin(time * 1.5);
+                previous.needsUpdate = true;
             }
-            
-            // Always use high intensity for Bliss visualizer, regardless of play state
-            this.material.uniforms.iIntensity.value = combinedIntensity * pulseFactor;
         }
-        
-        this.renderer.render(this.scene, this.camera);
+        this.postProcessing.disposeTargets();
+        this.postProcessing.reset();
+        this.handleResize();
+    }
+
+    // Draw the last frame again, the canvas can only be read right after drawing
+    redraw() {
+        if (!this.postProcessing.present()) {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    /**
+     * Render a scene into a render target of its own and read it back
+     * iResolution follows the target size for the frame. Post passes run on
+     * a pipeline of their own, so feedback starts from this frame.
+     * @param {Object|null} post - Post-processing config, see postProcessing.js
+     * @returns {{width: number, height: number, pixels: Uint8Array}} - RGBA, rows from the top
+     */
+    static renderToPixels(renderer, scene, camera, material, width, height, post = null) {
+        const maxSize = renderer.capabilities.maxTextureSize;
+        if (!(width > 0 && height > 0) || width > maxSize || height > maxSize) {
+            throw new Error(`Frames must be between 1 and ${maxSize} pixels wide and high`);
+        }
+
+        const resolution = material && material.uniforms && material.uniforms.iResolution
+            ? material.uniforms.iResolution.value
+            : null;
+        const previousResolution = resolution ? resolution.clone() : null;
+        if (resolution) {
+            resolution.x = width;
+            resolution.y = height;
+        }
+
+        const target = new THREE.WebGLRenderTarget(width, height);
+        const pixels = new Uint8Array(width * height * 4);
+        const previousTarget = renderer.getRenderTarget();
+        const pipeline = new PostProcessingPipeline(renderer);
+        pipeline.configure(post);
+        try {
+            pipeline.render(scene, camera, { target });
+            renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+        } finally {
+            renderer.setRenderTarget(previousTarget);
+            pipeline.dispose();
+            target.dispose();
+            if (resolution) {
+                resolution.copy(previousResolution);
+            }
+        }
+
+        // WebGL rows start at the bottom
+        const rowLength = width * 4;
+        const row = new Uint8Array(rowLength);
+        for (let top = 0, bottom = height - 1; top < bottom; top++, bottom--) {
+            row.set(pixels.subarray(top * rowLength, (top + 1) * rowLength));
+            pixels.copyWithin(top * rowLength, bottom * rowLength, (bottom + 1) * rowLength);
+            pixels.set(row, bottom * rowLength);
+        }
+
+        return { width, height, pixels };
+    }
+
+    /**
+     * Position of the active player in milliseconds, drives the playback clock
+     * @returns {number}
+     */
+    getPlaybackPosition() {
+        if (this.player === this.players.local) {
+            return this.audioSource.audio.currentTime * 1000;
+        }
+        return this.trackAnalysis.getPosition() * 1000;
+    }
+
+    /**
+     * Pulse multiplier for iIntensity
+     * Follows the bass of a playing local file, the beats and loudness of the
+     * track analysis or a tapped tempo, otherwise fakes a beat with a sine
+     * @param {number} time - Elapsed time in seconds
+     * @param {number} amount - Strength of the pulse
+     * @returns {number}
+     */
+    getPulseFactor(time, amount) {
+        if (this.pulseSource === 'audio') {
+            return 1.0 + amount * 3.0 * this.audioSource.uniforms.iBass.value;
+        }
+        if (this.pulseSource === 'analysis') {
+            const level = 0.6 + 0.6 * this.trackAnalysis.loudness;
+            return level * (1.0 + amount * 2.0 * this.trackAnalysis.uniforms.iBeat.value);
+        }
+        if (this.pulseSource === 'tempo') {
+            // Same frame as iBeatPhase, not the wall clock
+            return 1.0 + amount * 2.0 * Math.pow(1 - this.beatClock.uniforms.iBeatPhase.value, 3);
+        }
+        return 1.0 + amount * Math.sin(time * 3.0);
+    }
+
+    /**
+     * Uniforms shared by reference with every shader (background, modal, CRT)
+     * @returns {Object} - Map of uniform name to { value }
+     */
+    getSharedUniforms() {
+        return Object.assign({}, this.audioSource.uniforms, this.trackAnalysis.uniforms, this.beatClock.uniforms, this.lyrics.uniforms, this.clock.uniforms);
     }
 
     setupClock() {
@@ -1069,7 +2391,7 @@ class Visualizer {
                     <iframe 
                         id="spotify-player"
                         style="border-radius:12px; display: block; position: relative; z-index: 20; width: 100%; height: 152px; background: white;"
-                        src="https://open.spotify.com/embed/track/3oBVv54hTMSYXXJGxO5JxJ?utm_source=generator&theme=0" 
+                        src="${SpotifyLink.getStartLink().embedUrl}" 
                         frameBorder="0" 
                         allowfullscreen="" 
                         allow="autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture" 
@@ -1104,6 +2426,7 @@ class Visualizer {
         const modalCanvas = document.getElementById('modal-visualizer');
         if (modalCanvas) {
             this.modalVisualizer = new ModalVisualizer(modalCanvas, this);
+            this.restoreShaderToyImports('modal');
             // Don't initialize the modal visualizer yet - it will initialize on play
         }
     }
@@ -1192,18 +2515,20 @@ class ModalVisualizer {
         this.isPlaying = false;
         this.isInitialized = false;
         this.statusElement = document.querySelector('.visualization-status');
-        this.visualizationMode = 0; // Add mode tracking: 0 = kaleidoscopic, 1 = rotating line
+        this.visualizationMode = 0; // Add mode tracking: 0 = kaleidoscopic, 1 = rotating line, 2+ = ShaderToy imports
+        this.shaderToyModes = []; // Imported ShaderToy shaders: { id, name, source }
         
-        // Setup the canvas renderer
-        this.renderer = new THREE.WebGLRenderer({
-            canvas: this.canvas,
-            antialias: true,
-            alpha: true
-        });
+        // Drawn with the background's renderer and copied to this 2D canvas, see frameScheduler.js
+        this.renderer = mainVisualizer.renderer;
         
         this.scene = new THREE.Scene();
         this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
-        this.clock = new THREE.Clock();
+        
+        // Feedback and post passes of the current mode, see getModePost
+        this.postProcessing = new PostProcessingPipeline(this.renderer);
+        
+        // Same quality level as the background
+        this.mainVisualizer.quality.register(this);
         
         // Event listeners system
         this.eventListeners = {};
@@ -1220,6 +2545,9 @@ class ModalVisualizer {
         
         // Add click listener to the background image
         this.setupImageClickHandler();
+        
+        // The image above the canvas receives the pointer, so track iMouse on the container
+        this.shaderToyMouse = new ShaderToyMouse(this.canvas.parentElement || this.canvas, this.canvas);
     }
     
     // Add method to setup image click handler
@@ -1239,15 +2567,101 @@ class ModalVisualizer {
     
     // Add method to change visualization mode
     changeVisualizationMode() {
-        this.visualizationMode = (this.visualizationMode + 1) % 2; // Toggle between modes
-        console.log(`Visualization mode changed to: ${this.visualizationMode === 0 ? 'Kaleidoscope' : 'Rotating Line'}`);
+        this.setVisualizationMode((this.visualizationMode + 1) % this.getModeCount()); // Cycle through modes
+    }
+    
+    setVisualizationMode(mode) {
+        this.visualizationMode = mode;
+        console.log(`Visualization mode changed to: ${this.getModeName(mode)}`);
         
         // If already initialized, recreate the shader material
         if (this.isInitialized && this.mesh) {
             const newMaterial = this.createShaderMaterial();
+            const previousMaterial = this.mesh.material;
             this.mesh.material = newMaterial;
             this.material = newMaterial;
+            previousMaterial.dispose();
+            this.postProcessing.configure(this.getModePost(mode));
+            this.mainVisualizer.scheduler.requestFrame();
+        }
+    }
+    
+    /**
+     * Feedback and post passes of a mode, same format as the presets' "post"
+     * @param {number} mode - Visualization mode
+     * @returns {Object|null}
+     */
+    getModePost(mode) {
+        if (mode === 1) {
+            // The line's trails come from the previous frames
+            return {
+                feedback: { decay: 0.965, blend: 'max' },
+                passes: [{ type: 'bloom', threshold: 0.5, strength: 0.6, radius: 1.5 }]
+            };
+        }
+        return null;
+    }
+    
+    getModeCount() {
+        return 2 + this.shaderToyModes.length;
+    }
+    
+    getModeName(mode) {
+        if (mode === 0) return 'Kaleidoscope';
+        if (mode === 1) return 'Rotating Line';
+        const shaderToyMode = this.shaderToyModes[mode - 2];
+        return shaderToyMode ? shaderToyMode.name : 'Unknown';
+    }
+    
+    /**
+     * Add an imported ShaderToy shader as an extra visualization mode
+     * @param {string} id - Stable id of the import, re-importing replaces it
+     * @param {string} source - ShaderToy source with mainImage
+     * @param {string} name - Mode name
+     * @param {boolean} activate - Switch to the new mode right away
+     * @returns {number} - The mode index
+     */
+    addShaderToyMode(id, source, name, activate = false) {
+        let index = this.shaderToyModes.findIndex(mode => mode.id === id);
+        if (index === -1) {
+            this.shaderToyModes.push({ id, name, source });
+            index = this.shaderToyModes.length - 1;
+        } else {
+            this.shaderToyModes[index] = { id, name, source };
+        }
+        
+        const mode = index + 2;
+        if (activate) {
+            this.setVisualizationMode(mode);
         }
+        return mode;
+    }
+    
+    createShaderToyMaterial(shaderToyMode) {
+        // iChannel0..3 show the same wallpaper as the desktop background
+        const mainUniforms = this.mainVisualizer && this.mainVisualizer.material && this.mainVisualizer.material.uniforms;
+        const texture = mainUniforms && mainUniforms.iTexture
+            ? mainUniforms.iTexture.value
+            : this.mainVisualizer.createFallbackTexture();
+        
+        const uniforms = Object.assign(
+            ShaderToyImporter.createUniforms(texture, this.canvas.clientWidth, this.canvas.clientHeight),
+            this.mainVisualizer.getSharedUniforms()
+        );
+        uniforms.iIntensity = { value: this.isPlaying ? 1.0 : 0.3 };
+        
+        return new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: ShaderToyImporter.wrap(shaderToyMode.source),
+            defines: this.mainVisualizer.quality.getDefines()
+        });
     }
     
     updatePlaybackStatus(isPlaying) {
@@ -1265,6 +2679,11 @@ class ModalVisualizer {
     }
     
     createShaderMaterial() {
+        // Imported ShaderToy modes come after the two built-in modes
+        if (this.visualizationMode >= 2 && this.shaderToyModes[this.visualizationMode - 2]) {
+            return this.createShaderToyMaterial(this.shaderToyModes[this.visualizationMode - 2]);
+        }
+        
         // Common vertex shader
         const vertexShader = `
             varying vec2 vUv;
@@ -1283,9 +2702,26 @@ class ModalVisualizer {
                 uniform float iTime;
                 uniform vec2 iResolution;
                 uniform float iIntensity;
+                uniform sampler2D iSpectrum;
+                uniform float iBass;
+                uniform float iTreble;
+                uniform float iBeat;
+                uniform float iBeatPhase;
+                uniform float iBarPhase;
+                uniform float iBeatLocked;
+                uniform float iSeed;
                 
                 varying vec2 vUv;
                 
+                // QUALITY comes from qualityGovernor.js, 0 = low to 2 = high
+                #if QUALITY == 0
+                #define FRACTAL_LAYERS 2
+                #elif QUALITY == 1
+                #define FRACTAL_LAYERS 3
+                #else
+                #define FRACTAL_LAYERS 5
+                #endif
+                
                 // HSV to RGB conversion
                 vec3 hsv2rgb(vec3 c) {
                     vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
@@ -1293,9 +2729,9 @@ class ModalVisualizer {
                     return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
                 }
                 
-                // Noise functions for psychedelic effects
+                // Noise functions for psychedelic effects, iSeed picks another pattern
                 float random(vec2 st) {
-                    return fract(sin(dot(st.xy, vec2(12.9898, 78.233))) * 43758.5453123);
+                    return fract(sin(dot(st.xy, vec2(12.9898, 78.233)) + iSeed) * 43758.5453123);
                 }
                 
                 float noise(vec2 st) {
@@ -1349,13 +2785,13 @@ class ModalVisualizer {
                     // Fractal-like recursive pattern
                     vec2 fractalUV = p;
                     float fractalLayer = 0.0;
-                    for (int i = 0; i < 5; i++) {
+                    for (int i = 0; i < FRACTAL_LAYERS; i++) {
                         fractalUV = 2.0 * fractalUV - 1.0;
                         fractalUV *= 1.5;
                         fractalUV = fractalUV * 0.9 + 0.1 * sin(fractalUV.yx * 1.5 + time * (0.5 + float(i) * 0.1));
                         fractalLayer += 0.5 + 0.5 * sin(length(fractalUV) * 5.0 - float(i) * 0.5 + time);
                     }
-                    fractalLayer /= 5.0;
+                    fractalLayer /= float(FRACTAL_LAYERS);
                     
                     // Noise-based distortion
                     float noisePattern = noise(uv * 5.0 + time * 0.3);
@@ -1363,6 +2799,9 @@ class ModalVisualizer {
                     // Combine patterns
                     float finalPattern = pattern1 * 0.3 + pattern2 * 0.3 + pattern3 * 0.2 + fractalLayer * 0.2;
                     
+                    // Radial spectrum from local audio - bass in the middle, treble outside
+                    finalPattern += texture2D(iSpectrum, vec2(clamp(radius * 2.0, 0.0, 1.0), 0.25)).x * 0.5;
+                    
                     // Create psychedelic coloring
                     vec3 color;
                     
@@ -1382,7 +2821,7 @@ class ModalVisualizer {
                     color += hsv2rgb(vec3(fract(time * 0.05), 0.8, 1.0)) * glow;
                     
                     // Add pulsing brightness when music plays
-                    float pulse = 0.8 + 0.2 * sin(time * 2.0);
+                    float pulse = 0.8 + 0.2 * sin(time * 2.0) + 0.5 * iBass + 0.3 * iBeat + 0.2 * iBeatLocked * pow(1.0 - iBeatPhase, 4.0);
                     color *= mix(0.5, pulse, iIntensity);
                     
                     // Add subtle scanlines
@@ -1398,9 +2837,26 @@ class ModalVisualizer {
                 uniform float iTime;
                 uniform vec2 iResolution;
                 uniform float iIntensity;
+                uniform sampler2D iSpectrum;
+                uniform float iBass;
+                uniform float iTreble;
+                uniform float iBeat;
+                uniform float iBeatPhase;
+                uniform float iBarPhase;
+                uniform float iBeatLocked;
+                uniform float iSeed;
                 
                 varying vec2 vUv;
                 
+                // QUALITY comes from qualityGovernor.js, 0 = low to 2 = high
+                #if QUALITY == 0
+                #define STAR_LAYERS 1
+                #elif QUALITY == 1
+                #define STAR_LAYERS 2
+                #else
+                #define STAR_LAYERS 3
+                #endif
+                
                 // HSV to RGB conversion
                 vec3 hsv2rgb(vec3 c) {
                     vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
@@ -1418,71 +2874,51 @@ class ModalVisualizer {
                     
                     // Time variables
                     float time = iTime;
-                    float fadeTime = 5.0; // How long traces remain visible
                     
                     // Rotating line parameters
-                    float lineLength = 0.4;
-                    float lineWidth = 0.01 + 0.01 * iIntensity;
+                    float lineLength = 0.4 + 0.15 * iBass;
                     
                     // Create multiple rotating lines with different speeds and colors
+                    // Only where they are now, the traces come from the feedback buffer (getModePost)
                     for (int i = 0; i < 5; i++) {
                         float speed = 0.5 + float(i) * 0.15;
                         float phase = float(i) * 1.256;
                         float angle = time * speed + phase;
-                        
-                        // Current line position
                         vec2 lineDir = vec2(cos(angle), sin(angle));
                         
-                        // Store previous line positions for trail effect
-                        for (int j = 0; j < 30; j++) {
-                            float pastTime = time - float(j) * 0.05;
-                            if (pastTime < 0.0) continue;
-                            
-                            float pastAngle = pastTime * speed + phase;
-                            vec2 pastLineDir = vec2(cos(pastAngle), sin(pastAngle));
-                            
-                            // Calculate distance from point to line segment
-                            vec2 lineStart = center - pastLineDir * lineLength;
-                            vec2 lineEnd = center + pastLineDir * lineLength;
-                            
-                            vec2 lineVec = lineEnd - lineStart;
-                            float lineLength = length(lineVec);
-                            vec2 lineNorm = lineVec / lineLength;
-                            
-                            // Project point onto line
-                            float projection = dot(uv - lineStart, lineNorm);
-                            projection = clamp(projection, 0.0, lineLength);
-                            
-                            vec2 closestPoint = lineStart + lineNorm * projection;
-                            float dist = length(uv - closestPoint);
-                            
-                            // Fade effect based on time and distance
-                            float fade = 1.0 - float(j) / 30.0;
-                            float glow = exp(-dist * (30.0 - float(j) * 0.5)) * fade;
-                            
-                            // Different color for each line
-                            float hue = float(i) / 5.0 + time * 0.05;
-                            vec3 lineColor = hsv2rgb(vec3(hue, 0.8, 1.0));
-                            
-                            // Add color to the scene
-                            color += lineColor * glow * (0.3 + 0.7 * iIntensity);
-                        }
+                        // Calculate distance from point to line segment
+                        vec2 lineStart = center - lineDir * lineLength;
+                        
+                        // Project point onto line
+                        float projection = clamp(dot(uv - lineStart, lineDir), 0.0, 2.0 * lineLength);
+                        vec2 closestPoint = lineStart + lineDir * projection;
+                        float dist = length(uv - closestPoint);
+                        
+                        // Brighter on the beat
+                        float glow = exp(-dist * 30.0) * (1.0 + 0.5 * iBeat + 0.3 * iBeatLocked * pow(1.0 - iBeatPhase, 4.0));
+                        
+                        // Different color for each line
+                        float hue = float(i) / 5.0 + time * 0.05;
+                        vec3 lineColor = hsv2rgb(vec3(hue, 0.8, 1.0));
+                        
+                        // Add color to the scene
+                        color += lineColor * glow * (0.3 + 0.7 * iIntensity);
                     }
                     
                     // Add some twinkling stars in the background
-                    for (int i = 0; i < 3; i++) {
+                    for (int i = 0; i < STAR_LAYERS; i++) {
                         float starPhase = float(i) * 1.5;
                         vec2 grid = floor(uv * (8.0 + float(i) * 6.0));
-                        float star = fract(sin(dot(grid, vec2(234.567, 567.891)) + time * 0.5 + starPhase) * 5678.9);
+                        float star = fract(sin(dot(grid, vec2(234.567, 567.891)) + time * 0.5 + starPhase + iSeed) * 5678.9);
                         
-                        if (star > 0.97) {
+                        if (star > 0.97 - 0.05 * iTreble) {
                             float starGlow = pow(star, 20.0) * 2.0;
                             color += vec3(starGlow) * (0.5 + 0.5 * sin(time * 2.0 + grid.x * grid.y));
                         }
                     }
                     
                     // Apply pulsing effect when music is playing
-                    float pulse = 1.0 + 0.2 * sin(time * 3.0) * iIntensity;
+                    float pulse = 1.0 + (0.2 * sin(time * 3.0) + 0.4 * iBass) * iIntensity;
                     color *= pulse;
                     
                     gl_FragColor = vec4(color, 1.0);
@@ -1492,13 +2928,14 @@ class ModalVisualizer {
         
         // Create THREE.js shader material
         return new THREE.ShaderMaterial({
-            uniforms: {
+            uniforms: Object.assign({
                 iTime: { value: 0 },
-                iResolution: { value: new THREE.Vector2(this.canvas.width, this.canvas.height) },
+                iResolution: { value: new THREE.Vector2(this.canvas.clientWidth, this.canvas.clientHeight) },
                 iIntensity: { value: this.isPlaying ? 1.0 : 0.3 }
-            },
+            }, this.mainVisualizer.getSharedUniforms()),
             vertexShader: vertexShader,
-            fragmentShader: fragmentShader
+            fragmentShader: fragmentShader,
+            defines: this.mainVisualizer.quality.getDefines()
         });
     }
     
@@ -1518,6 +2955,7 @@ class ModalVisualizer {
             this.mesh = new THREE.Mesh(geometry, material);
             this.scene.add(this.mesh);
             this.material = material;
+            this.postProcessing.configure(this.getModePost(this.visualizationMode));
             
             // Start animation loop
             this.animate();
@@ -1543,36 +2981,130 @@ class ModalVisualizer {
         }
     }
     
+    // Join the shared frame loop, after the background's clock ticks
     animate() {
         this.animationRunning = true;
-        requestAnimationFrame(() => this.animate());
+        this.mainVisualizer.scheduler.register('modal', () => this.drawLoop(), FrameScheduler.ORDER.viewport, {
+            restore: () => this.restoreContext()
+        });
+        this.watchVisibility();
+    }
+    
+    // Rebuild the quad and the mode's material around its current uniforms after a WebGL context loss
+    restoreContext() {
+        if (!this.mesh) return;
+        
+        const previousGeometry = this.mesh.geometry;
+        const previousMaterial = this.mesh.material;
+        this.mesh.geometry = new THREE.PlaneGeometry(2, 2);
+        this.material = new THREE.ShaderMaterial({
+            vertexShader: previousMaterial.vertexShader,
+            fragmentShader: previousMaterial.fragmentShader,
+            defines: Object.assign({}, previousMaterial.defines),
+            uniforms: previousMaterial.uniforms
+        });
+        this.mesh.material = this.material;
+        previousGeometry.dispose();
+        previousMaterial.dispose();
         
-        if (this.material && this.material.uniforms) {
-            const time = this.clock.getElapsedTime();
-            this.material.uniforms.iTime.value = time;
-            
-            // Use the intensity based on play status - WMP visualizer should only be active during playback
-            let intensity = this.isPlaying ? 1.0 : 0.1; // Very low intensity when not playing
-            
-            // Add pulsing when playing
-            if (this.isPlaying) {
-                intensity *= 1.0 + 0.2 * Math.sin(time * 3.0);
-            }
-            
-            this.material.uniforms.iIntensity.value = intensity;
+        this.postProcessing.disposeTargets();
+        this.postProcessing.reset();
+        this.handleResize();
+    }
+    
+    // Skip the frames nobody sees: the player window minimized, or the canvas scrolled away
+    watchVisibility() {
+        const scheduler = this.mainVisualizer.scheduler;
+        
+        if (window.IntersectionObserver) {
+            this.intersectionObserver = new IntersectionObserver((entries) => {
+                const entry = entries[entries.length - 1];
+                scheduler.setPaused('modal', 'offscreen', !entry.isIntersecting);
+            });
+            this.intersectionObserver.observe(this.canvas);
+        }
+        
+        const windowElement = this.canvas.closest('.window');
+        if (windowElement) {
+            const updateMinimized = () => {
+                const isMinimized = windowElement.classList.contains('minimized') || windowElement.style.display === 'none';
+                scheduler.setPaused('modal', 'minimized', isMinimized);
+            };
+            this.windowObserver = new MutationObserver(updateMinimized);
+            this.windowObserver.observe(windowElement, { attributes: true, attributeFilter: ['class', 'style'] });
+            updateMinimized();
+        }
+    }
+    
+    drawLoop() {
+        // Nothing to draw while the player window is hidden
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (width === 0 || height === 0) return;
+        
+        // Same clock as the background, which ticks it
+        const clock = this.mainVisualizer.clock;
+        this.updateFrame(clock, this.isPlaying);
+        
+        this.mainVisualizer.scheduler.drawToCanvas(this.canvas, width, height, () => {
+            this.postProcessing.render(this.scene, this.camera, { delta: clock.delta });
+        });
+    }
+    
+    /**
+     * Per-frame uniforms of the player visualization
+     * @param {RenderClock} clock - Clock of the frame
+     * @param {boolean} isPlaying - Whether music is playing
+     */
+    updateFrame(clock, isPlaying) {
+        if (!this.material || !this.material.uniforms) return;
+        
+        const time = clock.time;
+        this.material.uniforms.iTime.value = time;
+        
+        // iFrame, iMouse, iDate... for imported ShaderToy modes
+        ShaderToyImporter.update(this.material.uniforms, time, clock.delta, clock.isDeterministic() ? null : this.shaderToyMouse, clock);
+        
+        // Use the intensity based on play status - WMP visualizer should only be active during playback
+        let intensity = isPlaying ? 1.0 : 0.1; // Very low intensity when not playing
+        
+        // Add pulsing when playing, driven by the real audio when there is some
+        if (isPlaying) {
+            intensity *= this.mainVisualizer.getPulseFactor(time, 0.2);
+        }
+        
+        this.material.uniforms.iIntensity.value = intensity;
+    }
+    
+    /**
+     * Render frame N of the player visualization offscreen
+     * Same clock and options as Visualizer.renderFrame
+     * @returns {{width: number, height: number, pixels: Uint8Array}} - RGBA, rows from the top
+     */
+    renderFrame(frame, { width, height, fps, isPlaying = this.isPlaying } = {}) {
+        if (!this.material) {
+            throw new Error('The player visualization has not started yet');
         }
         
-        this.renderer.render(this.scene, this.camera);
+        const clock = new RenderClock({ source: 'fixed', fps: fps || this.mainVisualizer.clock.fps });
+        clock.seek(frame);
+        
+        return this.mainVisualizer.renderOffline(frame, () => {
+            this.mainVisualizer.updateSources(clock);
+            this.updateFrame(clock, isPlaying);
+            return Visualizer.renderToPixels(this.renderer, this.scene, this.camera, this.material,
+                width || this.canvas.width, height || this.canvas.height, this.getModePost(this.visualizationMode));
+        });
     }
     
     handleResize() {
+        // The canvas itself is sized when it is drawn, see FrameScheduler.drawToCanvas
         const containerWidth = this.canvas.clientWidth;
         const containerHeight = this.canvas.clientHeight;
         
-        this.renderer.setSize(containerWidth, containerHeight, false);
-        
         if (this.material && this.material.uniforms) {
-            this.material.uniforms.iResolution.value.set(containerWidth, containerHeight);
+            // ShaderToy modes have a Vector3, z is the pixel aspect ratio
+            this.material.uniforms.iResolution.value.set(containerWidth, containerHeight, 1);
         }
     }
     
@@ -0,0 +1,197 @@
+/**
+ * xpDialog.js
+ * Small Windows XP style dialog windows built on top of XP.css
+ */
+
+class XPDialog {
+    /**
+     * @param {Object} options
+     * @param {string} options.title - Text shown in the title bar
+     * @param {string|Element} options.content - HTML string or element for the dialog body
+     * @param {Array<{label: string, action?: Function, isDefault?: boolean}>} options.buttons - Buttons at the bottom,
+     *        an action returning false keeps the dialog open
+     * @param {number} options.width - Width in pixels
+     * @param {string} options.className - Extra class for the dialog window
+     * @param {string} options.sound - Optional sound name played when the dialog opens
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({
+            title: 'Windows Media Player',
+            content: '',
+            buttons: [{ label: 'OK', isDefault: true }],
+            width: 360,
+            className: '',
+            sound: null
+        }, options);
+
+        this.element = null;
+        this.body = null;
+        this.onClose = null;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    open() {
+        if (this.element) return this;
+
+        const dialog = document.createElement('div');
+        dialog.className = `window xp-dialog ${this.options.className}`.trim();
+        dialog.style.width = `${this.options.width}px`;
+        dialog.setAttribute('role', 'dialog');
+
+        const titleBar = document.createElement('div');
+        titleBar.className = 'title-bar';
+        titleBar.innerHTML = `
+            <div class="title-bar-text"></div>
+            <div class="title-bar-controls">
+                <button aria-label="Close"></button>
+            </div>
+        `;
+        titleBar.querySelector('.title-bar-text').textContent = this.options.title;
+        titleBar.querySelector('button[aria-label="Close"]').addEventListener('click', () => this.close());
+        dialog.appendChild(titleBar);
+
+        this.body = document.createElement('div');
+        this.body.className = 'window-body xp-dialog-body';
+        if (typeof this.options.content === 'string') {
+            this.body.innerHTML = this.options.content;
+        } else if (this.options.content) {
+            this.body.appendChild(this.options.content);
+        }
+        dialog.appendChild(this.body);
+
+        if (this.options.buttons.length > 0) {
+            const buttonRow = document.createElement('div');
+            buttonRow.className = 'xp-dialog-buttons';
+
+            this.options.buttons.forEach(buttonOptions => {
+                const button = document.createElement('button');
+                button.textContent = buttonOptions.label;
+                if (buttonOptions.isDefault) {
+                    button.classList.add('default');
+                }
+                button.addEventListener('click', async () => {
+                    const result = buttonOptions.action ? await buttonOptions.action(this) : true;
+                    if (result !== false) {
+                        this.close();
+                    }
+                });
+                buttonRow.appendChild(button);
+            });
+
+            dialog.appendChild(buttonRow);
+        }
+
+        document.body.appendChild(dialog);
+        this.element = dialog;
+        this.setupDragging(titleBar);
+        document.addEventListener('keydown', this.handleKeydown);
+
+        if (this.options.sound && window.soundManager) {
+            window.soundManager.play(this.options.sound, 0.5);
+        }
+
+        // Focus the first field, or the default button
+        const firstField = dialog.querySelector('input, textarea, select') || dialog.querySelector('button.default');
+        if (firstField) {
+            firstField.focus();
+        }
+
+        return this;
+    }
+
+    close() {
+        if (!this.element) return;
+
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.element.remove();
+        this.element = null;
+
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    /**
+     * Find an element inside the dialog body
+     * @param {string} selector - CSS selector
+     * @returns {Element|null}
+     */
+    find(selector) {
+        return this.body ? this.body.querySelector(selector) : null;
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    // Dialogs can be moved by their title bar like the other windows
+    setupDragging(titleBar) {
+        let offsetX = 0;
+        let offsetY = 0;
+
+        const onMove = (e) => {
+            const point = e.touches ? e.touches[0] : e;
+            this.element.style.left = `${Math.max(0, point.clientX - offsetX)}px`;
+            this.element.style.top = `${Math.max(0, point.clientY - offsetY)}px`;
+            this.element.style.transform = 'none';
+        };
+
+        const onEnd = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onEnd);
+            document.removeEventListener('touchmove', onMove);
+            document.removeEventListener('touchend', onEnd);
+        };
+
+        const onStart = (e) => {
+            if (e.target.closest('button') || !this.element) return;
+            const point = e.touches ? e.touches[0] : e;
+            const rect = this.element.getBoundingClientRect();
+            offsetX = point.clientX - rect.left;
+            offsetY = point.clientY - rect.top;
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onEnd);
+            document.addEventListener('touchmove', onMove, { passive: true });
+            document.addEventListener('touchend', onEnd);
+        };
+
+        titleBar.addEventListener('mousedown', onStart);
+        titleBar.addEventListener('touchstart', onStart, { passive: true });
+    }
+
+    /**
+     * Show a simple message box
+     * @param {string} title - Title bar text
+     * @param {string} message - Message text (not HTML)
+     * @returns {XPDialog}
+     */
+    static alert(title, message) {
+        const content = document.createElement('p');
+        content.className = 'xp-dialog-message';
+        content.textContent = message;
+
+        return new XPDialog({ title, content, sound: 'exclamation' }).open();
+    }
+
+    /**
+     * Show a notification balloon above the taskbar that goes away by itself
+     * @param {string} message - Message text (not HTML)
+     * @param {number} duration - Milliseconds before it fades out
+     * @returns {HTMLElement}
+     */
+    static notify(message, duration = 6000) {
+        const notification = document.createElement('div');
+        notification.className = 'xp-notification';
+        notification.setAttribute('role', 'status');
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.classList.add('fadeOut');
+            setTimeout(() => notification.remove(), 500);
+        }, duration);
+        return notification;
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * zipWriter.js
+ * Zip archives built in the browser
+ *
+ * Files are stored without compression, the PNGs that go in are compressed
+ * already. Only the CRC is computed from the data, the Blobs themselves are
+ * kept as parts of the result so large archives can stay on disk.
+ *
+ *   const zip = new ZipWriter();
+ *   await zip.add('frame-00000.png', blob);
+ *   const archive = zip.toBlob();
+ * Archives are limited to 4 GB and 65535 files (no Zip64).
+ */
+
+class ZipWriter {
+    // Without Zip64, room is left for the central directory
+    static get MAX_SIZE() {
+        return 0xFFFFFFFF - 0xFFFF;
+    }
+
+    static get MAX_FILES() {
+        return 0xFFFF;
+    }
+
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        this.date = new Date();
+    }
+
+    /**
+     * Add a file
+     * @param {string} name - Path inside the archive, / separated
+     * @param {Blob} blob - File data
+     * @returns {Promise<void>}
+     */
+    async add(name, blob) {
+        if (this.entries.length >= ZipWriter.MAX_FILES) {
+            throw new Error('A zip can hold at most 65535 files');
+        }
+        if (this.offset + blob.size > ZipWriter.MAX_SIZE) {
+            throw new Error('The zip would be larger than 4 GB');
+        }
+
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = ZipWriter.crc32(new Uint8Array(await blob.arrayBuffer()));
+        const entry = { nameBytes, crc, size: blob.size, offset: this.offset };
+
+        const header = new DataView(new ArrayBuffer(30 + nameBytes.length));
+        header.setUint32(0, 0x04034B50, true);
+        this.writeCommonFields(header, 4, entry);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+        new Uint8Array(header.buffer).set(nameBytes, 30);
+
+        this.parts.push(header.buffer, blob);
+        this.entries.push(entry);
+        this.offset += header.byteLength + blob.size;
+    }
+
+    /**
+     * The archive with everything added so far
+     * @returns {Blob}
+     */
+    toBlob() {
+        const directoryParts = this.entries.map(entry => {
+            const header = new DataView(new ArrayBuffer(46 + entry.nameBytes.length));
+            header.setUint32(0, 0x02014B50, true);
+            header.setUint16(4, 20, true);
+            this.writeCommonFields(header, 6, entry);
+            header.setUint16(28, entry.nameBytes.length, true);
+            // Extra field, comment, disk number, internal and external attributes stay 0
+            header.setUint32(42, entry.offset, true);
+            new Uint8Array(header.buffer).set(entry.nameBytes, 46);
+            return header.buffer;
+        });
+        const directorySize = directoryParts.reduce((total, part) => total + part.byteLength, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.parts, ...directoryParts, end.buffer], { type: 'application/zip' });
+    }
+
+    // Version, flags, method, date, CRC and sizes, the same in both headers
+    writeCommonFields(view, offset, entry) {
+        const date = this.date;
+        view.setUint16(offset, 20, true);
+        // UTF-8 names
+        view.setUint16(offset + 2, 0x0800, true);
+        // Stored
+        view.setUint16(offset + 4, 0, true);
+        view.setUint16(offset + 6, (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1), true);
+        view.setUint16(offset + 8, ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(), true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.size, true);
+        view.setUint32(offset + 18, entry.size, true);
+    }
+
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}